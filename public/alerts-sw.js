@@ -0,0 +1,29 @@
+/* eslint-disable no-restricted-globals */
+// --- Risk Alert Service Worker ---
+// Shows liquidation-risk alerts while the dashboard tab is in the background and brings the
+// dashboard back to the front when one is clicked. Rules are evaluated by the page itself
+// (src/hooks/useRiskAlerts.js); this worker only displays what the page posts to it.
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', event => {
+    const { type, title, body, tag, url } = event.data || {};
+    if (type !== 'risk-alert') return;
+    event.waitUntil(self.registration.showNotification(title, {
+        body,
+        tag,
+        renotify: true,
+        requireInteraction: true,
+        data: { url },
+    }));
+});
+
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/dashboard', self.location.origin).href;
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+        const open = windows.find(client => client.url.startsWith(url));
+        return open ? open.focus() : self.clients.openWindow(url);
+    }));
+});
@@ -1,19 +1,21 @@
 import React from 'react';
 import { Routes, Route } from 'react-router-dom';
+import { VERIFY_ADMIN_ROLE_ONCHAIN } from './config';
 
 // Import the page components
 import LandingPage from './pages/LandingPage';
 import DashboardPage from './pages/DashboardPage';
 import AdminPage from './pages/AdminPage';
 import TransactionHistoryPage from './pages/TransactionHistoryPage';
+import RequireAuth from './components/RequireAuth';
 
 function App() {
   return (
     <Routes>
       <Route path="/" element={<LandingPage />} />
-      <Route path="/dashboard" element={<DashboardPage />} />
-      <Route path="/admin" element={<AdminPage />} />
-      <Route path="/history" element={<TransactionHistoryPage />} />
+      <Route path="/dashboard" element={<RequireAuth requireWallet><DashboardPage /></RequireAuth>} />
+      <Route path="/admin" element={<RequireAuth role="admin" requireOnChainAdmin={VERIFY_ADMIN_ROLE_ONCHAIN}><AdminPage /></RequireAuth>} />
+      <Route path="/history" element={<RequireAuth><TransactionHistoryPage /></RequireAuth>} />
     </Routes>
   );
 }
@@ -0,0 +1,40 @@
+// --- Mock Transaction Data (tests only) ---
+// Generates realistic `/transactions` responses based on the backend schema.
+
+export const generateMockTransactions = (page, limit, type = 'all') => {
+    const eventTypes = ['CollateralDeposited', 'CollateralWithdrawn', 'TokensMinted', 'TokensBurned', 'AutoMintExecuted'];
+    const allTransactions = Array.from({ length: 47 }, (_, i) => {
+        const event_name = eventTypes[i % eventTypes.length];
+        let event_data = {};
+        switch (event_name) {
+            case 'CollateralDeposited':
+            case 'CollateralWithdrawn':
+                event_data = { user: '0xUser...', collateral: '0xETH...', amount: '1000000000000000000' }; // 1 ETH
+                break;
+            case 'TokensMinted':
+            case 'TokensBurned':
+                event_data = { user: '0xUser...', collateral: '0xETH...', amount: (500 * (i + 1) * 1e6).toString() }; // 500+ tGHSX
+                break;
+            default:
+                 event_data = { user: '0xUser...', amount: (15 * 1e6).toString(), bonus: (2 * 1e6).toString() }; // 15 tGHSX
+                break;
+        }
+        return {
+            tx_hash: `0x${(i + 1).toString(16).padStart(64, '0')}`,
+            user_id: 'user123',
+            event_name,
+            event_data: JSON.stringify(event_data),
+            block_timestamp: new Date(Date.UTC(2025, 0, 31) - i * 3600000 * 2).toISOString(),
+            status: i % 10 === 2 ? 'pending' : 'done'
+        };
+    });
+
+    const filtered = type === 'all' ? allTransactions : allTransactions.filter(tx => tx.event_name === type);
+    const start = (page - 1) * limit;
+    const end = start + limit;
+    
+    return {
+        total: filtered.length,
+        transactions: filtered.slice(start, end)
+    };
+};
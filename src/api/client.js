@@ -0,0 +1,204 @@
+import { API_BASE_URL } from '../config';
+import { loadToken } from '../utils/authSession';
+
+// --- Error Types ---
+// The backend (FastAPI) reports failures as `{ detail: string }`, or as
+// `{ detail: [{ loc, msg, type }] }` for validation errors. Both are flattened
+// into `message`, and the HTTP status picks the subclass.
+
+export class ApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {{ status?: number, detail?: any, path?: string }} [info]
+     */
+    constructor(message, { status = 0, detail = null, path = '' } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.detail = detail;
+        this.path = path;
+    }
+}
+
+export class UnauthorizedError extends ApiError {
+    constructor(message, info) { super(message, info); this.name = 'UnauthorizedError'; }
+}
+
+export class ForbiddenError extends ApiError {
+    constructor(message, info) { super(message, info); this.name = 'ForbiddenError'; }
+}
+
+export class NotFoundError extends ApiError {
+    constructor(message, info) { super(message, info); this.name = 'NotFoundError'; }
+}
+
+export class ValidationError extends ApiError {
+    constructor(message, info) { super(message, info); this.name = 'ValidationError'; }
+}
+
+export class NetworkError extends ApiError {
+    constructor(message, info) { super(message, info); this.name = 'NetworkError'; }
+}
+
+const ERROR_CLASSES = { 401: UnauthorizedError, 403: ForbiddenError, 404: NotFoundError, 422: ValidationError };
+
+export const isAbortError = err => err?.name === 'AbortError';
+
+export const formatErrorDetail = detail => {
+    if (!detail) return null;
+    if (typeof detail === 'string') return detail;
+    if (Array.isArray(detail)) {
+        return detail.map(d => (d.loc ? `${d.loc.filter(l => l !== 'body').join('.')}: ${d.msg}` : d.msg || String(d))).join('; ');
+    }
+    return detail.msg || detail.message || JSON.stringify(detail);
+};
+
+const toApiError = (status, body, path) => {
+    const detail = body?.detail ?? null;
+    const message = formatErrorDetail(detail) || `Request failed with status ${status}.`;
+    const ErrorClass = ERROR_CLASSES[status] || ApiError;
+    return new ErrorClass(message, { status, detail, path });
+};
+
+// --- Core Request ---
+export const getAuthToken = loadToken;
+
+// Called with the error whenever a request that carried a token comes back 401.
+let unauthorizedHandler = null;
+export const setUnauthorizedHandler = handler => { unauthorizedHandler = handler; };
+
+const buildUrl = (path, query) => {
+    const url = `${API_BASE_URL}${path}`;
+    if (!query) return url;
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') params.append(key, value);
+    });
+    const qs = params.toString();
+    return qs ? `${url}?${qs}` : url;
+};
+
+const readBody = async response => {
+    const text = await response.text();
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return { detail: text };
+    }
+};
+
+/**
+ * Sends a request to the tGHSX backend and returns the parsed JSON body.
+ * Throws an `ApiError` subclass on non-2xx responses, a `NetworkError` when the
+ * server can't be reached, and rethrows the native `AbortError` when `signal` fires.
+ *
+ * @param {string} path - Path relative to API_BASE_URL, e.g. `/vault/mint-status`.
+ * @param {object} [options]
+ * @param {string} [options.method='GET']
+ * @param {object} [options.query] - Query params; empty values are dropped.
+ * @param {object} [options.body] - Serialized as JSON.
+ * @param {boolean} [options.auth=true] - Attach the stored bearer token.
+ * @param {string} [options.token] - Explicit token, overrides the stored one.
+ * @param {AbortSignal} [options.signal]
+ */
+export async function apiRequest(path, { method = 'GET', query, body, auth = true, token, signal } = {}) {
+    const headers = { Accept: 'application/json' };
+    const bearer = token || (auth ? getAuthToken() : null);
+    if (bearer) headers.Authorization = `Bearer ${bearer}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    let response;
+    try {
+        response = await fetch(buildUrl(path, query), {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            signal,
+        });
+    } catch (err) {
+        if (isAbortError(err)) throw err;
+        throw new NetworkError('Unable to reach the tGHSX API. Check your connection and try again.', { path });
+    }
+
+    const data = await readBody(response);
+    if (!response.ok) {
+        const error = toApiError(response.status, data, path);
+        if (error instanceof UnauthorizedError && bearer) unauthorizedHandler?.(error);
+        throw error;
+    }
+    return data;
+}
+
+// --- Vault & Market Endpoints ---
+export const getVaultStatus = (collateral, opts) => apiRequest(`/vault/status/${collateral}`, opts);
+export const getMintStatus = opts => apiRequest('/vault/mint-status', opts);
+export const getOraclePrice = opts => apiRequest('/oracle/price', opts);
+export const getProtocolHealth = opts => apiRequest('/protocol/health', { auth: false, ...opts });
+export const getCollaterals = opts => apiRequest('/collaterals', opts);
+/** Single-use `{ ticket }` that opens `/events/stream` for the caller; valid for a few seconds. */
+export const createStreamTicket = opts => apiRequest('/events/ticket', { method: 'POST', ...opts });
+/** Read-only Auto-Mint settings for users: `{ isEnabled, baseReward, bonusMultiplier, minHoldTime, collateralRequirement }`. */
+export const getPublicAutoMintConfig = opts => apiRequest('/vault/automint-config', opts);
+/** `{ holdStartedAt }` for the caller's vault on `collateral`: unix seconds, or null before the first deposit. */
+export const getAutoMintStatus = (collateral, opts) => apiRequest(`/vault/automint-status/${collateral}`, opts);
+/**
+ * Protocol snapshots for a range ('24h' | '7d' | '30d' | 'all') as `{ points, composition }`:
+ * points are `{ timestamp, tvl_usd, total_debt, global_ratio, minted, burned }`, composition
+ * is the current `{ symbol, address, value_usd }` per collateral.
+ */
+export const getProtocolHistory = (range, opts) => apiRequest('/protocol/history', { query: { range }, auth: false, ...opts });
+
+/** @param {{ page?: number, limit?: number, type?: string }} params */
+export const getTransactions = ({ page = 1, limit = 10, type, ...filters } = {}, opts) =>
+    apiRequest('/transactions', { query: { page, limit, type: type === 'all' ? undefined : type, ...filters }, ...opts });
+
+// --- Admin Endpoints ---
+export const getAdminStatus = opts => apiRequest('/admin/status', opts);
+export const getAutoMintConfig = opts => apiRequest('/admin/automint-config', opts);
+export const getPendingRequests = opts => apiRequest('/admin/pending-requests', opts);
+export const getAtRiskVaults = opts => apiRequest('/liquidations/at-risk', opts);
+export const pauseProtocol = opts => apiRequest('/admin/pause', { method: 'POST', ...opts });
+export const unpauseProtocol = opts => apiRequest('/admin/unpause', { method: 'POST', ...opts });
+export const updateAutoMintConfig = (config, opts) => apiRequest('/admin/update-automint-config', { method: 'POST', body: config, ...opts });
+export const toggleAutoMint = (enabled, opts) => apiRequest('/admin/toggle-automint', { method: 'POST', query: { enabled }, ...opts });
+/**
+ * Every collateral the vault knows about, including disabled ones. Entries have the `/collaterals`
+ * shape plus `enabled`, `debtCeiling` (tGHSX) and `oracleFeed` (price feed address).
+ */
+export const getAdminCollaterals = opts => apiRequest('/admin/collaterals', opts);
+export const addCollateral = (collateral, opts) => apiRequest('/admin/collaterals', { method: 'POST', body: collateral, ...opts });
+export const updateCollateral = (address, changes, opts) => apiRequest(`/admin/collaterals/${address}`, { method: 'PATCH', body: changes, ...opts });
+
+/**
+ * `{ entries, total }` from the admin audit trail, newest first. Each entry is
+ * `{ id, admin, action, payload, result, message, created_at }` with `result` 'success' or 'failure'.
+ * @param {{ page?: number, limit?: number, admin?: string, action?: string }} params
+ */
+export const getAuditLog = ({ page = 1, limit = 20, ...filters } = {}, opts) => apiRequest('/admin/audit-log', { query: { page, limit, ...filters }, ...opts });
+/**
+ * Has the backend's keeper liquidate one vault. Resolves to `{ tx_hash }` once the
+ * transaction is sent; confirmation is tracked client-side.
+ */
+export const executeLiquidation = (wallet, collateral, opts) => apiRequest('/liquidations/execute', { method: 'POST', body: { wallet_address: wallet, collateral_address: collateral }, ...opts });
+
+/**
+ * `{ request, vault, mint_status, mint_history }` for one pending request: the requester's
+ * vault on the request's collateral (same shape as /vault/status), their daily mint usage,
+ * and their previous mint requests.
+ */
+export const getMintRequestDetail = (requestId, opts) => apiRequest(`/admin/mint-requests/${requestId}`, opts);
+export const approveMintRequest = (requestId, opts) => apiRequest(`/admin/mint-requests/${requestId}/approve`, { method: 'POST', ...opts });
+export const declineMintRequest = (requestId, reason, opts) => apiRequest(`/admin/mint-requests/${requestId}/decline`, { method: 'POST', body: { reason }, ...opts });
+
+// --- Auth Endpoints ---
+export const login = (email, password, opts) => apiRequest('/auth/login', { method: 'POST', body: { email, password }, auth: false, ...opts });
+export const register = (email, password, opts) => apiRequest('/auth/register', { method: 'POST', body: { email, password }, auth: false, ...opts });
+export const refreshSession = opts => apiRequest('/auth/refresh', { method: 'POST', ...opts });
+
+// --- Sign-In with Ethereum (EIP-4361) ---
+export const getSiweNonce = (address, opts) => apiRequest('/auth/siwe/nonce', { query: { address }, auth: false, ...opts });
+export const verifySiwe = (message, signature, opts) => apiRequest('/auth/siwe/verify', { method: 'POST', body: { message, signature }, auth: false, ...opts });
+export const getLinkedWallets = opts => apiRequest('/auth/wallets', opts);
+export const linkWallet = (message, signature, opts) => apiRequest('/auth/wallets', { method: 'POST', body: { message, signature }, ...opts });
+export const unlinkWallet = (address, opts) => apiRequest(`/auth/wallets/${address}`, { method: 'DELETE', ...opts });
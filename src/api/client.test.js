@@ -0,0 +1,75 @@
+import { apiRequest, setUnauthorizedHandler, getTransactions, ApiError, UnauthorizedError, ValidationError, NetworkError, NotFoundError } from './client';
+import { API_BASE_URL } from '../config';
+
+const jsonResponse = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    text: () => Promise.resolve(body === undefined ? '' : JSON.stringify(body)),
+});
+
+beforeEach(() => {
+    global.fetch = jest.fn();
+    localStorage.clear();
+});
+
+test('attaches the stored token and builds the query string', async () => {
+    localStorage.setItem('authToken', 'abc');
+    fetch.mockResolvedValue(jsonResponse(200, { total: 0, transactions: [] }));
+
+    await getTransactions({ page: 2, limit: 10, type: 'all' });
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe(`${API_BASE_URL}/transactions?page=2&limit=10`);
+    expect(init.headers.Authorization).toBe('Bearer abc');
+});
+
+test('skips the token for unauthenticated requests', async () => {
+    localStorage.setItem('authToken', 'abc');
+    fetch.mockResolvedValue(jsonResponse(200, {}));
+
+    await apiRequest('/protocol/health', { auth: false });
+
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+});
+
+test('maps status codes and detail bodies to typed errors', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(401, { detail: 'Token expired' }));
+    await expect(apiRequest('/vault/mint-status')).rejects.toThrow(new UnauthorizedError('Token expired'));
+
+    fetch.mockResolvedValueOnce(jsonResponse(404, { detail: 'Not Found' }));
+    await expect(apiRequest('/auth/login')).rejects.toBeInstanceOf(NotFoundError);
+
+    fetch.mockResolvedValueOnce(jsonResponse(422, { detail: [{ loc: ['body', 'email'], msg: 'field required' }] }));
+    const err = await apiRequest('/auth/login').catch(e => e);
+    expect(err).toBeInstanceOf(ValidationError);
+    expect(err).toBeInstanceOf(ApiError);
+    expect(err.message).toBe('email: field required');
+    expect(err.status).toBe(422);
+
+    fetch.mockResolvedValueOnce(jsonResponse(500));
+    await expect(apiRequest('/oracle/price')).rejects.toThrow('Request failed with status 500.');
+});
+
+test('wraps connection failures but lets aborts through', async () => {
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await expect(apiRequest('/collaterals')).rejects.toBeInstanceOf(NetworkError);
+
+    const abort = Object.assign(new Error('aborted'), { name: 'AbortError' });
+    fetch.mockRejectedValueOnce(abort);
+    await expect(apiRequest('/collaterals')).rejects.toBe(abort);
+});
+
+test('reports 401s on authenticated requests to the unauthorized handler', async () => {
+    const handler = jest.fn();
+    setUnauthorizedHandler(handler);
+    localStorage.setItem('authToken', 'abc');
+    fetch.mockResolvedValue(jsonResponse(401, { detail: 'Token expired' }));
+
+    await expect(apiRequest('/vault/mint-status')).rejects.toBeInstanceOf(UnauthorizedError);
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    // A failed login is not a dead session.
+    await expect(apiRequest('/auth/login', { method: 'POST', auth: false })).rejects.toBeInstanceOf(UnauthorizedError);
+    expect(handler).toHaveBeenCalledTimes(1);
+    setUnauthorizedHandler(null);
+});
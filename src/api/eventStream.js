@@ -0,0 +1,80 @@
+import { API_BASE_URL } from '../config';
+import { createStreamTicket, NetworkError } from './client';
+
+// --- Backend Event Stream ---
+// Server-sent events from `/events/stream`. EventSource can't send headers, and a JWT in the
+// URL would end up in access logs and history, so each connection opens with a short-lived,
+// single-use ticket from an authenticated POST. The backend only streams events for that account.
+
+export const LIVE_EVENT_TYPES = ['vault', 'mint_status', 'oracle_price', 'transaction', 'protocol_health'];
+
+const RECONNECT_DELAY_MS = 3000;
+const MAX_RECONNECTS = 5;
+
+export const buildEventStreamUrl = ticket => `${API_BASE_URL}/events/stream?${new URLSearchParams({ ticket })}`;
+
+/**
+ * Opens the stream. `onStatus` gets 'connecting', 'live', 'reconnecting' or 'closed' (it gave
+ * up, e.g. the endpoint is missing). Returns a close function.
+ *
+ * @param {{ token: string, onEvent: (event: { type: string, data: object }) => void, onStatus: (status: string) => void }} options
+ */
+export function connectEventStream({ token, onEvent, onStatus }) {
+    if (typeof EventSource === 'undefined') {
+        onStatus('closed');
+        return () => {};
+    }
+    let source = null;
+    let retryTimer = null;
+    let failures = 0;
+    let closed = false;
+
+    // A spent ticket can't reconnect, so EventSource's own retry is replaced by a fresh ticket each time.
+    const retry = () => {
+        failures += 1;
+        if (failures > MAX_RECONNECTS) {
+            onStatus('closed');
+            return;
+        }
+        onStatus('reconnecting');
+        retryTimer = setTimeout(open, RECONNECT_DELAY_MS * failures);
+    };
+
+    const open = async () => {
+        let ticket;
+        try {
+            ({ ticket } = await createStreamTicket({ token }));
+        } catch (err) {
+            if (closed) return;
+            // Offline: try again later. Anything else (no endpoint, no session) won't fix itself.
+            if (err instanceof NetworkError) retry();
+            else onStatus('closed');
+            return;
+        }
+        if (closed) return;
+        source = new EventSource(buildEventStreamUrl(ticket));
+        source.onopen = () => {
+            failures = 0;
+            onStatus('live');
+        };
+        source.onerror = () => {
+            source.close();
+            if (!closed) retry();
+        };
+        LIVE_EVENT_TYPES.forEach(type => source.addEventListener(type, message => {
+            try {
+                onEvent({ type, data: JSON.parse(message.data) });
+            } catch (err) {
+                console.error(`Ignoring malformed "${type}" event:`, err);
+            }
+        }));
+    };
+
+    onStatus('connecting');
+    open();
+    return () => {
+        closed = true;
+        clearTimeout(retryTimer);
+        source?.close();
+    };
+}
@@ -0,0 +1,136 @@
+import { ApiError, NetworkError, isAbortError } from './client';
+
+// --- Query Cache ---
+// Keyed, stale-while-revalidate cache shared by every page. Concurrent requests for the same
+// key share one in-flight fetch, failed fetches retry with exponential backoff, and the last
+// good data stays available while a refetch runs or after it fails.
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 500;
+
+const EMPTY_STATE = Object.freeze({ data: undefined, error: null, updatedAt: 0, isFetching: false, isInvalidated: false });
+
+// hash -> { key, state, promise, fetcher, listeners, generation, refetchOnSettle }
+const entries = new Map();
+
+export const hashKey = key => JSON.stringify(key);
+
+const getEntry = key => {
+    const hash = hashKey(key);
+    if (!entries.has(hash)) entries.set(hash, { key, state: EMPTY_STATE, promise: null, fetcher: null, listeners: new Set(), generation: 0, refetchOnSettle: false });
+    return entries.get(hash);
+};
+
+// State objects are replaced, never mutated, so subscribers can compare by reference.
+const update = (entry, changes) => {
+    entry.state = { ...entry.state, ...changes };
+    entry.listeners.forEach(listener => listener());
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Network failures and 5xx responses are worth retrying; 4xx responses won't change. */
+export const isRetryable = err => !isAbortError(err) && (err instanceof NetworkError || !(err instanceof ApiError) || err.status >= 500);
+
+/** Calls `fn` until it succeeds, waiting `baseDelayMs`, then twice as long, between attempts. */
+export async function retryWithBackoff(fn, { retries = DEFAULT_RETRIES, baseDelayMs = DEFAULT_RETRY_DELAY_MS, shouldRetry = isRetryable } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt >= retries || !shouldRetry(err)) throw err;
+            await wait(baseDelayMs * 2 ** attempt);
+        }
+    }
+}
+
+/** `{ data, error, updatedAt, isFetching, isInvalidated }` for `key`; the same object until something changes. */
+export const getQueryState = key => entries.get(hashKey(key))?.state || EMPTY_STATE;
+
+export const subscribeQuery = (key, listener) => {
+    const entry = getEntry(key);
+    entry.listeners.add(listener);
+    return () => entry.listeners.delete(listener);
+};
+
+/**
+ * Fetches `key` unless a fetch for it is already running, in which case that one is shared.
+ * Resolves with the data or rejects with the final error; either way the cache is updated.
+ * If the key is invalidated while the fetch runs, a watched key is fetched again once it
+ * settles and the promise resolves with that newer result.
+ *
+ * @param {Array} key - e.g. `['vault', address, collateral]`
+ * @param {() => Promise<any>} fetcher
+ * @param {{ retries?: number, retryDelayMs?: number }} [options]
+ */
+export function fetchQuery(key, fetcher, { retries = DEFAULT_RETRIES, retryDelayMs = DEFAULT_RETRY_DELAY_MS } = {}) {
+    const entry = getEntry(key);
+    entry.fetcher = fetcher;
+    if (entry.promise) return entry.promise;
+    // A fetch started before `clearQueryCache` belongs to the previous session; drop its result.
+    const { generation } = entry;
+    // A response to a request sent before an invalidation may predate the change, so it can't
+    // clear `isInvalidated`; watched keys are fetched again instead. Returns that refetch, if any.
+    const settle = changes => {
+        entry.promise = null;
+        const stale = entry.refetchOnSettle;
+        entry.refetchOnSettle = false;
+        update(entry, { ...changes, isFetching: false, isInvalidated: stale });
+        return stale && entry.listeners.size ? fetchQuery(key, entry.fetcher, { retries, retryDelayMs }) : null;
+    };
+    const promise = retryWithBackoff(fetcher, { retries, baseDelayMs: retryDelayMs })
+        .then(data => {
+            if (entry.generation !== generation) return data;
+            return settle({ data, error: null, updatedAt: Date.now() }) || data;
+        }, err => {
+            if (entry.generation !== generation) throw err;
+            const refetch = settle({ error: err });
+            if (refetch) return refetch;
+            throw err;
+        });
+    entry.promise = promise;
+    update(entry, { isFetching: true });
+    return promise;
+}
+
+/** Patches cached data in place, e.g. from a live event. `updater` receives the current data. */
+export const setQueryData = (key, updater) => {
+    const entry = getEntry(key);
+    const data = typeof updater === 'function' ? updater(entry.state.data) : updater;
+    update(entry, { data, error: null, updatedAt: Date.now(), isInvalidated: false });
+};
+
+const matchesPrefix = (key, prefix) => prefix.every((part, i) => hashKey(key[i]) === hashKey(part));
+
+/**
+ * Marks every query whose key starts with `prefix` as stale and refetches the ones a
+ * component is currently showing. Resolves once those refetches settle.
+ */
+export function invalidateQueries(prefix = []) {
+    const refetches = [];
+    entries.forEach(entry => {
+        if (!matchesPrefix(entry.key, prefix)) return;
+        if (entry.promise) entry.refetchOnSettle = true;
+        update(entry, { isInvalidated: true });
+        if (entry.listeners.size && entry.fetcher) refetches.push(fetchQuery(entry.key, entry.fetcher).catch(() => {}));
+    });
+    return Promise.all(refetches);
+}
+
+/**
+ * Forgets all data, e.g. when the signed-in account changes. Watched entries are reset in place
+ * (and marked invalidated, so `useQuery` refetches them) because their subscribers keep
+ * holding on to them; unwatched ones are dropped.
+ */
+export const clearQueryCache = () => {
+    entries.forEach((entry, hash) => {
+        entry.generation += 1;
+        entry.promise = null;
+        entry.refetchOnSettle = false;
+        if (!entry.listeners.size) {
+            entries.delete(hash);
+            return;
+        }
+        update(entry, { ...EMPTY_STATE, isInvalidated: true });
+    });
+};
@@ -0,0 +1,97 @@
+import { fetchQuery, getQueryState, setQueryData, invalidateQueries, subscribeQuery, clearQueryCache, retryWithBackoff } from './queryCache';
+import { ValidationError, NetworkError } from './client';
+
+afterEach(clearQueryCache);
+
+test('shares one in-flight request between callers of the same key', async () => {
+    const fetcher = jest.fn().mockResolvedValue({ ratio: 180 });
+    const [a, b] = await Promise.all([fetchQuery(['vault', '0x1'], fetcher), fetchQuery(['vault', '0x1'], fetcher)]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(a).toBe(b);
+    expect(getQueryState(['vault', '0x1'])).toMatchObject({ data: { ratio: 180 }, error: null, isFetching: false });
+});
+
+test('keeps the last good data when a refetch fails', async () => {
+    await fetchQuery(['health'], () => Promise.resolve({ tvl: 1 }));
+    const err = new ValidationError('Bad request', { status: 422 });
+    await expect(fetchQuery(['health'], () => Promise.reject(err), { retryDelayMs: 0 })).rejects.toBe(err);
+    expect(getQueryState(['health'])).toMatchObject({ data: { tvl: 1 }, error: err });
+});
+
+test('retries network failures with backoff but not client errors', async () => {
+    const flaky = jest.fn()
+        .mockRejectedValueOnce(new NetworkError('offline'))
+        .mockRejectedValueOnce(new Error('boom'))
+        .mockResolvedValue('ok');
+    await expect(retryWithBackoff(flaky, { baseDelayMs: 0 })).resolves.toBe('ok');
+    expect(flaky).toHaveBeenCalledTimes(3);
+
+    const invalid = jest.fn().mockRejectedValue(new ValidationError('nope', { status: 422 }));
+    await expect(retryWithBackoff(invalid, { baseDelayMs: 0 })).rejects.toThrow('nope');
+    expect(invalid).toHaveBeenCalledTimes(1);
+});
+
+test('patches data and refetches watched queries on invalidation', async () => {
+    const fetcher = jest.fn().mockResolvedValue({ minted: 1 });
+    await fetchQuery(['mint', '0x1'], fetcher);
+    const listener = jest.fn();
+    const unsubscribe = subscribeQuery(['mint', '0x1'], listener);
+
+    setQueryData(['mint', '0x1'], prev => ({ ...prev, minted: 2 }));
+    expect(getQueryState(['mint', '0x1']).data).toEqual({ minted: 2 });
+    expect(listener).toHaveBeenCalled();
+
+    await invalidateQueries(['mint']);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(getQueryState(['mint', '0x1']).data).toEqual({ minted: 1 });
+
+    unsubscribe();
+    await invalidateQueries(['mint']);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(getQueryState(['mint', '0x1']).isInvalidated).toBe(true);
+});
+
+test('refetches a key invalidated while its fetch was running instead of trusting that response', async () => {
+    let resolveFirst;
+    const fetcher = jest.fn()
+        .mockImplementationOnce(() => new Promise(resolve => { resolveFirst = resolve; }))
+        .mockResolvedValue({ minted: 2 });
+    const unsubscribe = subscribeQuery(['mint', '0x1'], () => {});
+    const first = fetchQuery(['mint', '0x1'], fetcher);
+
+    const invalidated = invalidateQueries(['mint']);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    resolveFirst({ minted: 1 });
+
+    await expect(first).resolves.toEqual({ minted: 2 });
+    await invalidated;
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(getQueryState(['mint', '0x1'])).toMatchObject({ data: { minted: 2 }, isFetching: false, isInvalidated: false });
+    unsubscribe();
+});
+
+test('leaves an unwatched key invalidated when its running fetch predates the invalidation', async () => {
+    let resolveFirst;
+    const pending = fetchQuery(['health'], () => new Promise(resolve => { resolveFirst = resolve; }));
+    await invalidateQueries(['health']);
+    resolveFirst({ tvl: 1 });
+    await pending;
+    expect(getQueryState(['health'])).toMatchObject({ data: { tvl: 1 }, isInvalidated: true });
+});
+
+test('keeps subscribers attached across a cache clear', async () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeQuery(['vault', '0x1'], listener);
+    const stale = fetchQuery(['vault', '0x1'], () => Promise.resolve({ owner: 'old' }));
+    clearQueryCache();
+    expect(getQueryState(['vault', '0x1'])).toMatchObject({ data: undefined, isInvalidated: true });
+    await stale;
+    expect(getQueryState(['vault', '0x1']).data).toBeUndefined();
+
+    listener.mockClear();
+    await fetchQuery(['vault', '0x1'], () => Promise.resolve({ owner: 'new' }));
+    setQueryData(['vault', '0x1'], prev => ({ ...prev, patched: true }));
+    expect(listener).toHaveBeenCalled();
+    expect(getQueryState(['vault', '0x1']).data).toEqual({ owner: 'new', patched: true });
+    unsubscribe();
+});
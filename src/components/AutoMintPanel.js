@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { CheckCircle, Clock, XCircle, RefreshCw } from 'lucide-react';
+import { AUTOMINT_CONFIG_FIELDS, TGHSX_UNIT, getAutoMintEligibility, formatDuration } from '../utils/autoMint';
+import { TGHSX_TOKEN, formatTokenAmount } from '../utils/tokenRegistry';
+import { explorerTxUrl } from '../utils/explorer';
+
+// --- Auto-Mint Eligibility ---
+// The protocol's Auto-Mint settings, whether the selected vault qualifies right now (hold time
+// and ratio), the reward it would get and the rewards it already received.
+
+const Check = ({ ok, pending, label, detail }) => (
+    <li className="flex items-start text-sm">
+        {pending ? <RefreshCw className="w-4 h-4 mr-2 mt-0.5 text-gray-400 animate-spin" />
+            : ok ? <CheckCircle className="w-4 h-4 mr-2 mt-0.5 text-green-400" />
+            : <XCircle className="w-4 h-4 mr-2 mt-0.5 text-red-400" />}
+        <div>
+            <p className="text-gray-200">{label}</p>
+            {detail && <p className="text-gray-400">{detail}</p>}
+        </div>
+    </li>
+);
+
+/**
+ * `holdStartedAt` and `vault` are undefined while loading; `error` is set when either failed to
+ * load, and `collateral` is empty when there is no vault to check. `history` is the
+ * `useAutoMintHistory` result.
+ */
+export default function AutoMintPanel({ config, collateral, vault, holdStartedAt, error, onRetry, history, symbol, getSymbol, onAutoMint }) {
+    const [now, setNow] = useState(Date.now());
+    const unavailable = !collateral || !!error;
+    const isLoading = !unavailable && (vault === undefined || holdStartedAt === undefined);
+    const eligibility = getAutoMintEligibility({ config, vault, holdStartedAt }, now);
+    const counting = !isLoading && eligibility.holdRemaining > 0;
+
+    // Tick once a second while the hold countdown runs.
+    useEffect(() => {
+        if (!counting) return;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [counting]);
+
+    const requirement = config.collateralRequirement;
+
+    return (
+        <div className="bg-gray-800/50 rounded-xl shadow-lg border border-gray-700/50 backdrop-blur-sm mb-6">
+            <div className="p-4 border-b border-gray-700 flex justify-between items-center">
+                <h2 className="text-xl font-semibold">🤖 Auto-Mint</h2>
+                <span className={`text-xs px-2 py-1 rounded ${config.isEnabled ? 'bg-green-500/20 text-green-400' : 'bg-gray-500/20 text-gray-400'}`}>
+                    {config.isEnabled ? 'Enabled' : 'Disabled'}
+                </span>
+            </div>
+            <div className="p-6 space-y-5">
+                <dl className="grid grid-cols-2 gap-3 text-sm">
+                    {AUTOMINT_CONFIG_FIELDS.map(({ key, label, format }) => (
+                        <div key={key}>
+                            <dt className="text-gray-400">{label}</dt>
+                            <dd className="font-mono">{format(config[key])}</dd>
+                        </div>
+                    ))}
+                </dl>
+
+                <div>
+                    <h3 className="text-sm font-medium text-gray-300 mb-2">Eligibility{symbol ? ` (${symbol} vault)` : ''}</h3>
+                    {!collateral ? (
+                        <p className="text-sm text-gray-500">No collateral is available to check.</p>
+                    ) : error ? (
+                        <p className="text-sm text-red-400">
+                            Could not check eligibility: {error.message}
+                            <button onClick={onRetry} className="ml-2 underline">Retry</button>
+                        </p>
+                    ) : (
+                    <ul className="space-y-2">
+                        <Check
+                            pending={isLoading}
+                            ok={!isLoading && Number(vault?.collateralAmount) > 0 && eligibility.holdRemaining === 0}
+                            label="Minimum hold time"
+                            detail={isLoading ? null
+                                : !(Number(vault?.collateralAmount) > 0) ? 'No collateral deposited.'
+                                : counting ? <span className="flex items-center"><Clock className="w-3 h-3 mr-1" />{formatCountdown(eligibility.holdRemaining)} left (until {new Date(eligibility.holdEndsAt).toLocaleString()})</span>
+                                : `Held for at least ${formatDuration(config.minHoldTime)}.`}
+                        />
+                        <Check
+                            pending={isLoading}
+                            ok={eligibility.ratioMet}
+                            label={`Collateral ratio ≥ ${requirement}%`}
+                            detail={isLoading ? null : Number(vault?.mintedAmount) > 0 ? `Current ratio ${eligibility.ratio.toFixed(2)}%.` : 'No debt on this vault.'}
+                        />
+                    </ul>
+                    )}
+                </div>
+
+                <div className="bg-gray-900/50 p-4 rounded-lg flex justify-between items-center">
+                    <div>
+                        <p className="text-sm text-gray-400">Projected reward</p>
+                        <p className="text-2xl font-bold">{eligibility.reward.toLocaleString('en-US', { maximumFractionDigits: 6 })} tGHSX</p>
+                        <p className="text-xs text-gray-500">{Number(config.baseReward) / TGHSX_UNIT} base + {config.bonusMultiplier}% bonus</p>
+                    </div>
+                    <button
+                        onClick={onAutoMint}
+                        disabled={isLoading || unavailable || !eligibility.eligible}
+                        title={eligibility.reasons.join(' ')}
+                        className="px-4 py-2 rounded-md text-sm font-semibold bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed"
+                    >
+                        Auto-Mint
+                    </button>
+                </div>
+                {!isLoading && !unavailable && !eligibility.eligible && (
+                    <ul className="text-sm text-amber-400 list-disc list-inside">
+                        {eligibility.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                    </ul>
+                )}
+
+                <div>
+                    <h3 className="text-sm font-medium text-gray-300 mb-2">Past Rewards</h3>
+                    {history.error && <p className="text-sm text-red-400 mb-2">Could not load reward history: {history.error.message}</p>}
+                    {!history.entries ? (
+                        !history.error && <p className="text-sm text-gray-500">Loading…</p>
+                    ) : (
+                        <>
+                            {history.entries.length ? (
+                                <ul className="divide-y divide-gray-700 max-h-48 overflow-y-auto">
+                                    {history.entries.map(entry => (
+                                        <li key={`${entry.txHash}-${entry.collateral}`} className="py-2 flex justify-between text-sm">
+                                            <a href={explorerTxUrl(entry.txHash)} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">
+                                                {entry.timestamp ? new Date(entry.timestamp).toLocaleString() : `Block ${entry.blockNumber}`}
+                                            </a>
+                                            <span className="font-mono">{formatTokenAmount(entry.amount, TGHSX_TOKEN)} <span className="text-gray-400">({getSymbol(entry.collateral) || 'collateral'})</span></span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            ) : <p className="text-sm text-gray-500">No Auto-Mint rewards in this period.</p>}
+                            <div className="mt-2 flex justify-between items-center text-xs text-gray-500">
+                                <span>{history.hasMore ? `Showing rewards since ${history.since ? new Date(history.since).toLocaleString() : `block ${history.fromBlock}`}.` : 'Showing all rewards.'}</span>
+                                {history.hasMore && (
+                                    <button onClick={history.loadOlder} disabled={history.isLoading} className="text-blue-400 hover:underline disabled:opacity-50">
+                                        {history.isLoading ? 'Loading…' : 'Load older'}
+                                    </button>
+                                )}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// "1d 04:05:06" / "04:05:06"
+const formatCountdown = seconds => {
+    const days = Math.floor(seconds / 86400);
+    const clock = [Math.floor(seconds / 3600) % 24, Math.floor(seconds / 60) % 60, seconds % 60].map(n => String(n).padStart(2, '0')).join(':');
+    return days ? `${days}d ${clock}` : clock;
+};
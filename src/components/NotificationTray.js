@@ -0,0 +1,42 @@
+import React from 'react';
+import { CheckCircle, XCircle, AlertTriangle, Info, RefreshCw, ExternalLink, X } from 'lucide-react';
+
+const STYLES = {
+    info: { icon: <Info />, color: 'text-blue-400', border: 'border-blue-500/40' },
+    success: { icon: <CheckCircle />, color: 'text-green-400', border: 'border-green-500/40' },
+    error: { icon: <XCircle />, color: 'text-red-400', border: 'border-red-500/40' },
+    warning: { icon: <AlertTriangle />, color: 'text-amber-400', border: 'border-amber-500/40' },
+    pending: { icon: <RefreshCw />, color: 'text-blue-400 animate-spin', border: 'border-blue-500/40' },
+};
+
+const NotificationTray = ({ toasts, onDismiss }) => (
+    <div className="fixed bottom-4 right-4 z-[60] w-full max-w-sm space-y-3 pointer-events-none" aria-live="polite">
+        {toasts.map(toast => {
+            const style = STYLES[toast.type] || STYLES.info;
+            return (
+                <div key={toast.id} className={`pointer-events-auto bg-gray-800 text-white border ${style.border} rounded-lg shadow-xl p-4 flex items-start`}>
+                    {React.cloneElement(style.icon, { className: `w-5 h-5 mr-3 flex-shrink-0 ${style.color}` })}
+                    <div className="flex-grow min-w-0">
+                        <p className="font-semibold text-sm">{toast.title}</p>
+                        {toast.message && <p className="text-sm text-gray-400 break-words">{toast.message}</p>}
+                        {toast.href && (
+                            <a href={toast.href} target="_blank" rel="noopener noreferrer" className="mt-1 inline-flex items-center text-xs text-blue-400 hover:underline">
+                                View on explorer <ExternalLink className="w-3 h-3 ml-1" />
+                            </a>
+                        )}
+                        {toast.action && (
+                            <button onClick={toast.action.onClick} className="mt-2 px-3 py-1 text-xs font-semibold rounded bg-blue-600 hover:bg-blue-700">
+                                {toast.action.label}
+                            </button>
+                        )}
+                    </div>
+                    <button onClick={() => onDismiss(toast.id)} className="ml-2 p-1 rounded hover:bg-gray-700 text-gray-400">
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            );
+        })}
+    </div>
+);
+
+export default NotificationTray;
@@ -0,0 +1,123 @@
+import React, { useState, useMemo } from 'react';
+import {
+    LineChart, Line, BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer
+} from 'recharts';
+import { RefreshCw, AlertTriangle } from 'lucide-react';
+import useProtocolHistory from '../hooks/useProtocolHistory';
+import { ANALYTICS_RANGES, COMPOSITION_COLORS, bucketVolume, toCompositionSlices, formatTick } from '../utils/analytics';
+import { MIN_COLLATERAL_RATIO } from '../utils/vaultMath';
+
+// --- Protocol Analytics ---
+// Historical TVL, debt, global ratio, mint/burn volume and collateral mix from /protocol/history.
+
+const AXIS = { stroke: '#6b7280', fontSize: 12 };
+const TOOLTIP_STYLE = { backgroundColor: '#1f2937', border: '1px solid #374151', borderRadius: 6 };
+
+const compactUsd = value => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', notation: 'compact', maximumFractionDigits: 1 }).format(value);
+const compactNumber = value => new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+
+const ChartPanel = ({ title, children }) => (
+    <div className="bg-gray-900/40 border border-gray-700 rounded-lg p-4">
+        <h3 className="text-sm font-medium text-gray-300 mb-3">{title}</h3>
+        <div className="h-56">{children}</div>
+    </div>
+);
+
+const EmptyChart = () => <div className="h-full flex items-center justify-center text-sm text-gray-500">No data for this range.</div>;
+
+export default function ProtocolAnalytics() {
+    const [range, setRange] = useState('7d');
+    const { history, isLoading, error, refresh } = useProtocolHistory(range);
+
+    const points = useMemo(() => history?.points || [], [history]);
+    const volume = useMemo(() => bucketVolume(points, ANALYTICS_RANGES[range].bucketMs), [points, range]);
+    const slices = useMemo(() => toCompositionSlices(history?.composition), [history]);
+    const tick = time => formatTick(time, range);
+    const tooltipLabel = time => new Date(time).toLocaleString();
+
+    return (
+        <div className="bg-gray-800/50 rounded-xl shadow-lg border border-gray-700/50 mb-6">
+            <div className="p-4 border-b border-gray-700 flex justify-between items-center">
+                <h2 className="text-xl font-semibold flex items-center">
+                    📊 Protocol Analytics
+                    {isLoading && <RefreshCw className="w-4 h-4 ml-3 text-blue-400 animate-spin" />}
+                </h2>
+                <div className="flex text-sm">
+                    {Object.entries(ANALYTICS_RANGES).map(([key, { label }], i, all) => (
+                        <button key={key} onClick={() => setRange(key)}
+                            className={`${range === key ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700'} px-3 py-1.5 ${i === 0 ? 'rounded-l' : ''} ${i === all.length - 1 ? 'rounded-r' : ''}`}>
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            {error && !history ? (
+                <div className="p-6 text-center">
+                    <AlertTriangle className="w-8 h-8 text-red-400 mx-auto" />
+                    <p className="mt-2 text-gray-400">{error}</p>
+                    <button onClick={() => refresh()} className="mt-4 px-4 py-2 rounded-md text-sm font-semibold bg-blue-600 hover:bg-blue-700">Try Again</button>
+                </div>
+            ) : (
+                <div className={`p-4 grid grid-cols-1 lg:grid-cols-2 gap-4 ${isLoading ? 'opacity-60' : ''}`}>
+                    <ChartPanel title="TVL & Total Debt">
+                        {points.length ? (
+                            <ResponsiveContainer width="100%" height="100%">
+                                <LineChart data={points}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                                    <XAxis dataKey="time" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={tick} {...AXIS} />
+                                    <YAxis tickFormatter={compactUsd} width={60} {...AXIS} />
+                                    <Tooltip contentStyle={TOOLTIP_STYLE} labelFormatter={tooltipLabel} formatter={value => compactUsd(value)} />
+                                    <Legend />
+                                    <Line type="monotone" dataKey="tvl" name="TVL" stroke="#3b82f6" dot={false} />
+                                    <Line type="monotone" dataKey="debt" name="Debt" stroke="#f59e0b" dot={false} />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        ) : <EmptyChart />}
+                    </ChartPanel>
+                    <ChartPanel title="Global Collateralization Ratio">
+                        {points.length ? (
+                            <ResponsiveContainer width="100%" height="100%">
+                                <LineChart data={points}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                                    <XAxis dataKey="time" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={tick} {...AXIS} />
+                                    <YAxis tickFormatter={value => `${value}%`} width={50} domain={['auto', 'auto']} {...AXIS} />
+                                    <Tooltip contentStyle={TOOLTIP_STYLE} labelFormatter={tooltipLabel} formatter={value => `${value.toFixed(2)}%`} />
+                                    <ReferenceLine y={MIN_COLLATERAL_RATIO} stroke="#ef4444" strokeDasharray="4 4" label={{ value: 'Min', fill: '#ef4444', fontSize: 12 }} />
+                                    <Line type="monotone" dataKey="ratio" name="Ratio" stroke="#22c55e" dot={false} />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        ) : <EmptyChart />}
+                    </ChartPanel>
+                    <ChartPanel title="Mint / Burn Volume (tGHSX)">
+                        {volume.length ? (
+                            <ResponsiveContainer width="100%" height="100%">
+                                <BarChart data={volume}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                                    <XAxis dataKey="time" tickFormatter={tick} {...AXIS} />
+                                    <YAxis tickFormatter={compactNumber} width={50} {...AXIS} />
+                                    <Tooltip contentStyle={TOOLTIP_STYLE} labelFormatter={tooltipLabel} formatter={value => compactNumber(value)} />
+                                    <Legend />
+                                    <Bar dataKey="minted" name="Minted" fill="#3b82f6" />
+                                    <Bar dataKey="burned" name="Burned" fill="#a855f7" />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        ) : <EmptyChart />}
+                    </ChartPanel>
+                    <ChartPanel title="Collateral Composition">
+                        {slices.length ? (
+                            <ResponsiveContainer width="100%" height="100%">
+                                <PieChart>
+                                    <Pie data={slices} dataKey="value" nameKey="name" innerRadius="45%" outerRadius="75%" paddingAngle={2}>
+                                        {slices.map((slice, i) => <Cell key={slice.name} fill={COMPOSITION_COLORS[i % COMPOSITION_COLORS.length]} />)}
+                                    </Pie>
+                                    <Tooltip contentStyle={TOOLTIP_STYLE} formatter={(value, name, { payload }) => [`${compactUsd(value)} (${payload.share.toFixed(1)}%)`, name]} />
+                                    <Legend />
+                                </PieChart>
+                            </ResponsiveContainer>
+                        ) : <EmptyChart />}
+                    </ChartPanel>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,58 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+// --- Query View ---
+// Loading and error states for `useQuery` results, shared by the dashboard and admin cards.
+
+const Card = ({ title, children }) => (
+    <div className="bg-gray-800/50 rounded-xl shadow-lg border border-gray-700/50">
+        {title && <div className="p-4 border-b border-gray-700"><h2 className="text-xl font-semibold">{title}</h2></div>}
+        {children}
+    </div>
+);
+
+/**
+ * Renders `children(...data)` once every query has data. Until then it shows a skeleton, or
+ * the first error with a retry for the missing queries. A failed background refresh keeps
+ * the last good data and shows a notice above it instead.
+ *
+ * @param {object} props
+ * @param {object[]} props.queries - `useQuery` results, in the order their data is passed to `children`.
+ * @param {string} [props.title] - Card heading shown while loading or failed.
+ */
+export default function QueryView({ queries, title, children }) {
+    const missing = queries.filter(q => q.data === undefined);
+    const failed = missing.find(q => q.error);
+    if (failed) return (
+        <Card title={title}>
+            <div className="p-6 text-center">
+                <AlertTriangle className="w-8 h-8 text-red-400 mx-auto" />
+                <p className="mt-2 text-sm text-gray-400">{failed.error.message}</p>
+                <button onClick={() => missing.forEach(q => q.refetch())} disabled={failed.isFetching} className="mt-4 px-4 py-1.5 rounded-md text-sm font-semibold bg-blue-600 hover:bg-blue-700 disabled:opacity-50">
+                    {failed.isFetching ? 'Retrying…' : 'Retry'}
+                </button>
+            </div>
+        </Card>
+    );
+    if (missing.length) return (
+        <Card title={title}>
+            <div className="p-6 space-y-3 animate-pulse">
+                <div className="h-6 bg-gray-700 rounded w-1/2" />
+                <div className="h-4 bg-gray-700 rounded w-3/4" />
+                <div className="h-4 bg-gray-700 rounded w-2/3" />
+            </div>
+        </Card>
+    );
+    const stale = queries.find(q => q.error);
+    return (
+        <div>
+            {stale && (
+                <p className="mb-2 flex items-center text-xs text-amber-400">
+                    <AlertTriangle className="w-3 h-3 mr-1" />Couldn't refresh ({stale.error.message}); showing data from {new Date(stale.updatedAt).toLocaleTimeString()}.
+                    <button onClick={stale.refetch} className="ml-2 underline">Retry</button>
+                </p>
+            )}
+            {children(...queries.map(q => q.data))}
+        </div>
+    );
+}
@@ -0,0 +1,34 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import QueryView from './QueryView';
+
+const query = (state = {}) => ({ data: undefined, error: null, isFetching: false, updatedAt: 0, refetch: jest.fn(), ...state });
+
+test('shows a skeleton until every query has data, then passes the data in order', () => {
+    const status = query({ data: { paused: false } });
+    const health = query();
+    const { rerender } = render(<QueryView queries={[status, health]} title="Protocol">{(s, h) => <p>{`${s.paused} ${h.ok}`}</p>}</QueryView>);
+    expect(screen.getByText('Protocol')).toBeInTheDocument();
+    expect(screen.queryByText(/false/)).not.toBeInTheDocument();
+
+    rerender(<QueryView queries={[status, { ...health, data: { ok: true } }]} title="Protocol">{(s, h) => <p>{`${s.paused} ${h.ok}`}</p>}</QueryView>);
+    expect(screen.getByText('false true')).toBeInTheDocument();
+    expect(screen.queryByText('Protocol')).not.toBeInTheDocument();
+});
+
+test('retries only the queries that have no data after a first-load error', () => {
+    const loaded = query({ data: {} });
+    const failed = query({ error: new Error('Request failed with status 500.') });
+    render(<QueryView queries={[loaded, failed]}>{() => null}</QueryView>);
+
+    fireEvent.click(screen.getByText('Retry'));
+    expect(screen.getByText('Request failed with status 500.')).toBeInTheDocument();
+    expect(failed.refetch).toHaveBeenCalled();
+    expect(loaded.refetch).not.toHaveBeenCalled();
+});
+
+test('keeps the last good data when a refresh fails', () => {
+    const stale = query({ data: { price: 12 }, error: new Error('Network down'), updatedAt: Date.now() });
+    render(<QueryView queries={[stale]}>{data => <p>{`price ${data.price}`}</p>}</QueryView>);
+    expect(screen.getByText('price 12')).toBeInTheDocument();
+    expect(screen.getByText(/Couldn't refresh \(Network down\)/)).toBeInTheDocument();
+});
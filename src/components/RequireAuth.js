@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { Shield, RefreshCw } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useWallet } from '../context/WalletContext';
+import useVaultRole from '../hooks/useVaultRole';
+import { buildLoginUrl } from '../utils/authSession';
+import WalletPicker from './WalletPicker';
+import ForbiddenPage from '../pages/ForbiddenPage';
+
+/**
+ * Route guard. Checks, in order: a session (else redirect to login and back), the JWT `role`
+ * claim (else 403), a connected wallet (once the silent reconnect has had its chance), and
+ * optionally the vault's on-chain admin role.
+ *
+ * @param {object} props
+ * @param {string} [props.role] - Required `role` claim, e.g. 'admin'.
+ * @param {boolean} [props.requireWallet=false]
+ * @param {boolean} [props.requireOnChainAdmin=false] - Connected wallet must hold DEFAULT_ADMIN_ROLE on the vault.
+ */
+export default function RequireAuth({ role, requireWallet = false, requireOnChainAdmin = false, children }) {
+    const location = useLocation();
+    const { token, role: userRole } = useAuth();
+    const wallet = useWallet();
+    const { hasRole, error: roleError } = useVaultRole(requireOnChainAdmin ? wallet.address : null);
+
+    if (!token) return <Navigate to={buildLoginUrl(`${location.pathname}${location.search}`)} replace />;
+    if (role && userRole !== role) {
+        return <ForbiddenPage message={`This page requires the "${role}" role, and your account doesn't have it.`} />;
+    }
+    if ((requireWallet || requireOnChainAdmin) && !wallet.address) {
+        if (wallet.isRestoring) return <Checking label="Reconnecting your wallet…" />;
+        return <ConnectWalletGate wallet={wallet} switchChain={requireOnChainAdmin} />;
+    }
+    if (requireOnChainAdmin) {
+        if (roleError) return <ForbiddenPage message={`${roleError} Admin access can't be confirmed right now.`} />;
+        if (hasRole === null) return <Checking label="Checking admin role on-chain…" />;
+        if (!hasRole) {
+            return <ForbiddenPage message={`The connected wallet ${wallet.address.slice(0, 6)}...${wallet.address.slice(-4)} does not hold the vault's admin role. Switch to an admin wallet.`} />;
+        }
+    }
+    return children;
+}
+
+const ConnectWalletGate = ({ wallet, switchChain }) => {
+    const [showPicker, setShowPicker] = useState(false);
+    return (
+        <div className="flex items-center justify-center min-h-screen bg-gray-900 text-white">
+            <div className="bg-gray-800 p-8 rounded-lg text-center">
+                <Shield className="w-12 h-12 text-blue-500 mx-auto" />
+                <h2 className="mt-4 text-2xl font-bold">Wallet Required</h2>
+                <p className="mt-2 text-gray-400">Please connect your wallet.</p>
+                <button onClick={() => setShowPicker(true)} className="mt-6 px-5 py-2 bg-blue-600 hover:bg-blue-700 rounded">Connect Wallet</button>
+            </div>
+            {showPicker && (
+                <WalletPicker wallets={wallet.wallets} walletConnectEnabled={wallet.walletConnectEnabled} isConnecting={wallet.isConnecting} error={wallet.error}
+                    onSelect={id => wallet.connect(id, { switchChain })} onClose={() => setShowPicker(false)} />
+            )}
+        </div>
+    );
+};
+
+const Checking = ({ label }) => (
+    <div className="flex flex-col items-center justify-center min-h-screen bg-gray-900 text-gray-400">
+        <RefreshCw className="w-12 h-12 text-blue-500 animate-spin" />
+        <p className="mt-4 text-sm">{label}</p>
+    </div>
+);
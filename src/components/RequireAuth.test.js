@@ -0,0 +1,82 @@
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+import RequireAuth from './RequireAuth';
+import { useAuth } from '../context/AuthContext';
+import { useWallet } from '../context/WalletContext';
+import useVaultRole from '../hooks/useVaultRole';
+
+jest.mock('../context/AuthContext', () => ({ useAuth: jest.fn() }));
+jest.mock('../context/WalletContext', () => ({ useWallet: jest.fn() }));
+jest.mock('../hooks/useVaultRole', () => jest.fn());
+
+const ADMIN_WALLET = '0x52908400098527886E0F7030069857D2E4169EE7';
+
+const LoginPage = () => {
+    const location = useLocation();
+    return <p>login {location.search}</p>;
+};
+
+const guardedRoute = props => (
+    <MemoryRouter initialEntries={['/admin?tab=audit']}>
+        <Routes>
+            <Route path="/" element={<LoginPage />} />
+            <Route path="/admin" element={<RequireAuth {...props}><p>admin page</p></RequireAuth>} />
+        </Routes>
+    </MemoryRouter>
+);
+const renderGuard = (props = {}) => render(guardedRoute(props));
+
+beforeEach(() => {
+    useAuth.mockReturnValue({ token: 'jwt', role: 'admin' });
+    useWallet.mockReturnValue({ address: ADMIN_WALLET, isRestoring: false, wallets: [] });
+    useVaultRole.mockReturnValue({ hasRole: true, error: null });
+});
+
+test('redirects to login with the page to come back to when there is no session', () => {
+    useAuth.mockReturnValue({ token: null, role: null });
+    renderGuard({ role: 'admin', requireWallet: true });
+    expect(screen.getByText('login ?login=1&returnTo=%2Fadmin%3Ftab%3Daudit')).toBeInTheDocument();
+});
+
+test('shows 403 for the wrong role before asking for a wallet', () => {
+    useAuth.mockReturnValue({ token: 'jwt', role: 'user' });
+    useWallet.mockReturnValue({ address: null, isRestoring: false, wallets: [] });
+    renderGuard({ role: 'admin', requireWallet: true });
+    expect(screen.getByText('Access Denied')).toBeInTheDocument();
+    expect(screen.queryByText('Wallet Required')).not.toBeInTheDocument();
+});
+
+test('waits for the silent reconnect before asking to connect a wallet', () => {
+    useWallet.mockReturnValue({ address: null, isRestoring: true, wallets: [] });
+    const { rerender } = renderGuard({ requireWallet: true });
+    expect(screen.getByText('Reconnecting your wallet…')).toBeInTheDocument();
+    expect(screen.queryByText('Wallet Required')).not.toBeInTheDocument();
+
+    useWallet.mockReturnValue({ address: null, isRestoring: false, wallets: [] });
+    rerender(guardedRoute({ requireWallet: true }));
+    expect(screen.getByText('Wallet Required')).toBeInTheDocument();
+});
+
+test('checks the on-chain admin role of the connected wallet', () => {
+    useVaultRole.mockReturnValue({ hasRole: null, error: null });
+    const { unmount } = renderGuard({ requireOnChainAdmin: true });
+    expect(useVaultRole).toHaveBeenLastCalledWith(ADMIN_WALLET);
+    expect(screen.getByText('Checking admin role on-chain…')).toBeInTheDocument();
+    unmount();
+
+    useVaultRole.mockReturnValue({ hasRole: true, error: null });
+    renderGuard({ requireOnChainAdmin: true });
+    expect(screen.getByText('admin page')).toBeInTheDocument();
+});
+
+test('denies access when the wallet lacks the role or the role read fails', () => {
+    useVaultRole.mockReturnValue({ hasRole: false, error: null });
+    const { unmount } = renderGuard({ requireOnChainAdmin: true });
+    expect(screen.getByText(/does not hold the vault's admin role/)).toBeInTheDocument();
+    unmount();
+
+    useVaultRole.mockReturnValue({ hasRole: null, error: 'Could not read roles from the vault contract.' });
+    renderGuard({ requireOnChainAdmin: true });
+    expect(screen.getByText(/Admin access can't be confirmed right now/)).toBeInTheDocument();
+    expect(screen.queryByText('admin page')).not.toBeInTheDocument();
+});
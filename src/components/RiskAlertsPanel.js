@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { Bell, BellOff, Trash2 } from 'lucide-react';
+import { ALERT_TYPES, validateRule, describeRule } from '../utils/alertRules';
+import { getLiquidationThreshold } from '../utils/vaultMath';
+
+// --- Risk Alerts ---
+// Rule editor, browser-notification opt-in and alert history for `useRiskAlerts`.
+
+const PERMISSION_NOTES = {
+    denied: 'Browser notifications are blocked for this site, so alerts only show inside the app.',
+    unsupported: 'This browser has no notifications, so alerts only show inside the app.',
+};
+
+const EMPTY_FORM = { type: 'ratio-below', threshold: String(ALERT_TYPES['ratio-below'].defaultThreshold), collateral: '' };
+
+export default function RiskAlertsPanel({ alerts, collaterals, getSymbol }) {
+    const { rules, history, permission, requestPermission, addRule, removeRule, toggleRule, clearHistory } = alerts;
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [error, setError] = useState(null);
+
+    const spec = ALERT_TYPES[form.type];
+    const collateral = spec.needsCollateral ? form.collateral || collaterals[0]?.address || '' : null;
+    const liquidationAt = collateral ? getLiquidationThreshold(collaterals.find(c => c.address === collateral)) : null;
+    const firesTooLate = form.type === 'ratio-below' && liquidationAt && Number(form.threshold) <= liquidationAt;
+
+    const changeType = type => {
+        setForm(prev => ({ ...prev, type, threshold: ALERT_TYPES[type].unit ? String(ALERT_TYPES[type].defaultThreshold) : '' }));
+        setError(null);
+    };
+
+    const handleAdd = () => {
+        const rule = { type: form.type, threshold: form.threshold, collateral };
+        const message = validateRule(rule);
+        setError(message);
+        if (message) return;
+        addRule(rule);
+        setForm(prev => ({ ...EMPTY_FORM, collateral: prev.collateral }));
+    };
+
+    return (
+        <div className="bg-gray-800/50 rounded-xl shadow-lg border border-gray-700/50 mb-6">
+            <div className="p-4 border-b border-gray-700 flex justify-between items-center">
+                <h2 className="text-xl font-semibold">🔔 Risk Alerts</h2>
+                {permission === 'granted' ? (
+                    <span className="flex items-center text-sm text-green-400"><Bell className="w-4 h-4 mr-1" />Browser notifications on</span>
+                ) : permission === 'default' ? (
+                    <button onClick={requestPermission} className="flex items-center px-3 py-1.5 rounded-md text-sm font-medium bg-blue-600 hover:bg-blue-700">
+                        <Bell className="w-4 h-4 mr-1" />Enable browser notifications
+                    </button>
+                ) : (
+                    <span className="flex items-center text-sm text-gray-400" title={PERMISSION_NOTES[permission]}><BellOff className="w-4 h-4 mr-1" />Notifications unavailable</span>
+                )}
+            </div>
+
+            <div className="p-6 space-y-6">
+                {PERMISSION_NOTES[permission] && <p className="text-sm text-gray-400">{PERMISSION_NOTES[permission]}</p>}
+                <p className="text-sm text-gray-400">Rules are checked while the dashboard is open, including in a background tab.</p>
+
+                <div className="grid md:grid-cols-4 gap-3 items-end">
+                    <label className="block text-sm text-gray-300">
+                        Alert when
+                        <select value={form.type} onChange={e => changeType(e.target.value)} className="mt-1 w-full bg-gray-900 border border-gray-600 rounded-md p-2 text-white">
+                            {Object.entries(ALERT_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+                        </select>
+                    </label>
+                    {spec.needsCollateral && (
+                        <label className="block text-sm text-gray-300">
+                            Collateral
+                            <select value={collateral} onChange={e => setForm(prev => ({ ...prev, collateral: e.target.value }))} className="mt-1 w-full bg-gray-900 border border-gray-600 rounded-md p-2 text-white">
+                                {collaterals.map(c => <option key={c.address} value={c.address}>{getSymbol(c.address) || c.symbol}</option>)}
+                            </select>
+                        </label>
+                    )}
+                    {spec.unit && (
+                        <label className="block text-sm text-gray-300">
+                            Threshold ({spec.unit})
+                            <input type="number" min={spec.min} max={spec.max} value={form.threshold} onChange={e => setForm(prev => ({ ...prev, threshold: e.target.value }))} className="mt-1 w-full bg-gray-900 border border-gray-600 rounded-md p-2 text-white" />
+                        </label>
+                    )}
+                    <button onClick={handleAdd} className="px-4 py-2 rounded-md text-sm font-medium bg-blue-600 hover:bg-blue-700">Add Rule</button>
+                </div>
+                {error && <p className="text-sm text-red-400">{error}</p>}
+                {!error && firesTooLate && <p className="text-sm text-amber-400">This vault is liquidated at {liquidationAt}%; pick a higher threshold to be warned before that.</p>}
+
+                <div>
+                    <h3 className="text-sm font-medium text-gray-300 mb-2">Your Rules</h3>
+                    {rules.length ? (
+                        <ul className="divide-y divide-gray-700">
+                            {rules.map(rule => (
+                                <li key={rule.id} className="py-2 flex items-center justify-between text-sm">
+                                    <label className={`flex items-center ${rule.enabled ? '' : 'text-gray-500'}`}>
+                                        <input type="checkbox" checked={rule.enabled} onChange={() => toggleRule(rule.id)} className="mr-2" />
+                                        {describeRule(rule, rule.collateral && getSymbol(rule.collateral))}
+                                    </label>
+                                    <button onClick={() => removeRule(rule.id)} title="Delete rule" className="text-gray-400 hover:text-red-400"><Trash2 className="w-4 h-4" /></button>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : <p className="text-sm text-gray-500">No rules yet.</p>}
+                </div>
+
+                <div>
+                    <div className="flex justify-between items-center mb-2">
+                        <h3 className="text-sm font-medium text-gray-300">Alert History</h3>
+                        {history.length > 0 && <button onClick={clearHistory} className="text-xs text-gray-400 hover:text-white underline">Clear</button>}
+                    </div>
+                    {history.length ? (
+                        <ul className="divide-y divide-gray-700 max-h-64 overflow-y-auto">
+                            {history.map(entry => (
+                                <li key={`${entry.ruleId}-${entry.firedAt}`} className="py-2 text-sm">
+                                    <div className="flex justify-between"><span className="font-medium">{entry.title}</span><span className="text-gray-500">{new Date(entry.firedAt).toLocaleString()}</span></div>
+                                    <p className="text-gray-400">{entry.message}</p>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : <p className="text-sm text-gray-500">No alerts have fired.</p>}
+                </div>
+            </div>
+        </div>
+    );
+}
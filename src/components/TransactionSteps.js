@@ -0,0 +1,32 @@
+import React from 'react';
+import { RefreshCw, AlertTriangle, CheckCircle } from 'lucide-react';
+import { TX_STATUS, CONFIRMATIONS_REQUIRED } from '../utils/txStore';
+import { explorerTxUrl, shortHash } from '../utils/explorer';
+
+// Progress of the transactions in one flow (e.g. approve → deposit), from TransactionContext's getFlow.
+const TransactionSteps = ({ steps }) => {
+    if (!steps.length) return null;
+    const icon = status => {
+        if (status === TX_STATUS.PENDING) return <RefreshCw className="w-4 h-4 text-blue-400 animate-spin" />;
+        if (status === TX_STATUS.FAILED || status === TX_STATUS.DROPPED) return <AlertTriangle className="w-4 h-4 text-red-400" />;
+        return <CheckCircle className={`w-4 h-4 ${status === TX_STATUS.CONFIRMED ? 'text-green-400' : 'text-blue-400'}`} />;
+    };
+    return (
+        <ol className="bg-gray-900/60 border border-gray-700 rounded-lg p-3 space-y-2 text-sm">
+            {steps.map((step, i) => (
+                <li key={step.hash} className="flex items-center justify-between">
+                    <span className="flex items-center space-x-2">
+                        {icon(step.status)}
+                        <span>{i + 1}. {step.label}</span>
+                    </span>
+                    <span className="flex items-center space-x-3 text-xs">
+                        <span className="text-gray-400">{step.status === TX_STATUS.PENDING ? 'Pending' : `${Math.min(step.confirmations, CONFIRMATIONS_REQUIRED)}/${CONFIRMATIONS_REQUIRED} conf.`}</span>
+                        <a href={explorerTxUrl(step.hash)} target="_blank" rel="noopener noreferrer" className="font-mono text-blue-400 hover:underline">{shortHash(step.hash)}</a>
+                    </span>
+                </li>
+            ))}
+        </ol>
+    );
+};
+
+export default TransactionSteps;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Wallet, Smartphone, X } from 'lucide-react';
+import { WALLETCONNECT_ID } from '../web3/eip6963';
+
+// Lists every discovered injected wallet plus WalletConnect for mobile wallets.
+const WalletPicker = ({ wallets, walletConnectEnabled, isConnecting, error, onSelect, onClose }) => {
+    const noOptions = !wallets.length && !walletConnectEnabled;
+    return (
+        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4" onClick={onClose}>
+            <div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-sm" onClick={e => e.stopPropagation()}>
+                <div className="p-6 border-b border-gray-700 flex items-center justify-between">
+                    <h3 className="text-xl font-semibold text-white">Connect a Wallet</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white"><X className="w-5 h-5" /></button>
+                </div>
+                <div className="p-6 space-y-3">
+                    {wallets.map(wallet => (
+                        <WalletOption key={wallet.id} disabled={isConnecting} onClick={() => onSelect(wallet.id)}
+                            icon={wallet.icon ? <img src={wallet.icon} alt="" className="w-6 h-6" /> : <Wallet className="w-6 h-6 text-blue-400" />}
+                            label={wallet.name} />
+                    ))}
+                    {walletConnectEnabled && (
+                        <WalletOption disabled={isConnecting} onClick={() => onSelect(WALLETCONNECT_ID)}
+                            icon={<Smartphone className="w-6 h-6 text-blue-400" />}
+                            label="WalletConnect" hint="Scan with a mobile wallet" />
+                    )}
+                    {noOptions && (
+                        <p className="text-sm text-gray-400">No wallet found. Install a browser wallet such as MetaMask, or open this page in your mobile wallet's browser.</p>
+                    )}
+                    {isConnecting && <p className="text-sm text-gray-400">Waiting for your wallet…</p>}
+                    {error && <p className="text-sm text-red-400">{error}</p>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const WalletOption = ({ icon, label, hint, onClick, disabled }) => (
+    <button onClick={onClick} disabled={disabled} className="w-full flex items-center p-3 rounded-md bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-left">
+        {icon}
+        <span className="ml-3">
+            <span className="block text-white font-medium">{label}</span>
+            {hint && <span className="block text-xs text-gray-400">{hint}</span>}
+        </span>
+    </button>
+);
+
+export default WalletPicker;
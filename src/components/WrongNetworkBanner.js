@@ -0,0 +1,21 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { TARGET_CHAIN } from '../web3/chains';
+
+// Stays on screen for as long as the wallet is on another chain.
+const WrongNetworkBanner = ({ chainId, onSwitch, error }) => (
+    <div className="bg-amber-500/10 border-b border-amber-500/40 text-amber-300">
+        <div className="max-w-7xl mx-auto px-4 py-2 flex flex-col sm:flex-row items-center justify-between text-sm">
+            <p className="flex items-center">
+                <AlertTriangle className="w-4 h-4 mr-2" />
+                Your wallet is on chain {chainId}. Transactions are disabled until you switch to {TARGET_CHAIN.chainName}.
+            </p>
+            {error && <p className="text-red-400">{error}</p>}
+            <button onClick={onSwitch} className="mt-2 sm:mt-0 px-3 py-1 rounded-md bg-amber-500 hover:bg-amber-600 text-gray-900 font-semibold">
+                Switch to {TARGET_CHAIN.chainName}
+            </button>
+        </div>
+    </div>
+);
+
+export default WrongNetworkBanner;
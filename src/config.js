@@ -0,0 +1,26 @@
+// --- Environment Config ---
+// Every deployment-specific value lives here and is read from REACT_APP_* variables
+// at build time (see .env.example). The fallbacks point at the public Amoy deployment.
+
+const env = process.env;
+
+export const API_BASE_URL = (env.REACT_APP_API_BASE_URL || 'https://tghsx.onrender.com').replace(/\/+$/, '');
+export const VAULT_ADDRESS = env.REACT_APP_VAULT_ADDRESS || '0xF681Ba510d3C93A49a7AB2d02d9697BB2B0091FE';
+// Block the vault was deployed in: event history is never scanned below it.
+export const VAULT_DEPLOY_BLOCK = Number(env.REACT_APP_VAULT_DEPLOY_BLOCK || 0);
+export const TGHSX_ADDRESS = env.REACT_APP_TGHSX_ADDRESS || '0xb04093d34F5feC6DE685B8684F3e2086dd866a50';
+// Set when the deployed vault has depositCollateralWithPermit; tokens are checked for EIP-2612 on-chain.
+export const VAULT_SUPPORTS_PERMIT = env.REACT_APP_VAULT_SUPPORTS_PERMIT === 'true';
+export const RPC_URL = env.REACT_APP_RPC_URL || 'https://rpc-amoy.polygon.technology';
+export const CHAIN_ID = Number(env.REACT_APP_CHAIN_ID || 80002);
+// Name and gas token the wallet is asked to add the chain with, and shown in network prompts.
+export const CHAIN_NAME = env.REACT_APP_CHAIN_NAME || 'Polygon Amoy';
+export const NATIVE_CURRENCY_NAME = env.REACT_APP_NATIVE_CURRENCY_NAME || 'POL';
+export const NATIVE_CURRENCY_SYMBOL = env.REACT_APP_NATIVE_CURRENCY_SYMBOL || 'POL';
+// Testnets get gas from a faucet; set to false for a mainnet deployment.
+export const CHAIN_IS_TESTNET = (env.REACT_APP_CHAIN_IS_TESTNET || 'true') === 'true';
+export const EXPLORER_URL = (env.REACT_APP_EXPLORER_URL || 'https://amoy.polygonscan.com').replace(/\/+$/, '');
+// Also require the connected wallet to hold the vault's DEFAULT_ADMIN_ROLE before showing /admin.
+export const VERIFY_ADMIN_ROLE_ONCHAIN = env.REACT_APP_VERIFY_ADMIN_ROLE_ONCHAIN === 'true';
+// WalletConnect Cloud project id; the WalletConnect option is hidden when unset.
+export const WALLETCONNECT_PROJECT_ID = env.REACT_APP_WALLETCONNECT_PROJECT_ID || '';
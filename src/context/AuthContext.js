@@ -0,0 +1,107 @@
+import React, { createContext, useContext, useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useNotifications } from './NotificationContext';
+import { refreshSession, setUnauthorizedHandler } from '../api/client';
+import { clearQueryCache } from '../api/queryCache';
+import {
+    loadToken, saveToken, clearToken, decodeJwt, getTokenExpiry, subscribeToToken, buildLoginUrl, EXPIRY_WARNING_MS
+} from '../utils/authSession';
+
+// --- Auth Session ---
+// Owns the JWT for the whole app: warns before it expires, offers a refresh, sends the user
+// back to login (with a return URL) on expiry or any 401, and mirrors other tabs' logins and logouts.
+
+const AuthContext = createContext(null);
+
+const EXPIRY_TOAST_ID = 'session-expiry';
+// setTimeout fires immediately for delays above this.
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+export function AuthProvider({ children }) {
+    const navigate = useNavigate();
+    const location = useLocation();
+    const locationRef = useRef(location);
+    locationRef.current = location;
+    const { notify, dismiss } = useNotifications();
+    const [token, setToken] = useState(loadToken);
+    const claims = useMemo(() => (token ? decodeJwt(token) : null), [token]);
+    const subRef = useRef(claims?.sub);
+    subRef.current = claims?.sub;
+
+    const login = useCallback(newToken => {
+        // A refreshed token is the same account; a new login may not be.
+        if (decodeJwt(newToken)?.sub !== claims?.sub) clearQueryCache();
+        saveToken(newToken);
+        setToken(newToken);
+    }, [claims]);
+
+    const logout = useCallback(() => {
+        clearToken();
+        clearQueryCache();
+        setToken(null);
+        dismiss(EXPIRY_TOAST_ID);
+        navigate('/');
+    }, [navigate, dismiss]);
+
+    // Session ended underneath the user: keep their place so login can bring them back.
+    const expireSession = useCallback(message => {
+        clearToken();
+        clearQueryCache();
+        setToken(null);
+        notify({ id: EXPIRY_TOAST_ID, type: 'warning', title: 'Session expired', message });
+        const { pathname, search } = locationRef.current;
+        navigate(buildLoginUrl(`${pathname}${search}`));
+    }, [navigate, notify]);
+
+    const refresh = useCallback(async () => {
+        try {
+            const data = await refreshSession({ token });
+            login(data.access_token);
+            dismiss(EXPIRY_TOAST_ID);
+        } catch (err) {
+            console.error('Session refresh failed:', err);
+            notify({ id: EXPIRY_TOAST_ID, type: 'error', title: 'Could not extend your session', message: err.message });
+        }
+    }, [token, login, dismiss, notify]);
+
+    // --- Expiry timers ---
+    useEffect(() => {
+        const expiry = token && getTokenExpiry(token);
+        if (!expiry) return;
+        const untilExpiry = expiry - Date.now();
+        if (untilExpiry > MAX_TIMEOUT_MS) return;
+        const warnTimer = setTimeout(() => notify({
+            id: EXPIRY_TOAST_ID,
+            type: 'warning',
+            title: 'Session expiring soon',
+            message: `You will be logged out at ${new Date(expiry).toLocaleTimeString()}.`,
+            action: { label: 'Stay signed in', onClick: refresh },
+            duration: 0,
+        }), Math.max(0, untilExpiry - EXPIRY_WARNING_MS));
+        const expireTimer = setTimeout(() => expireSession('Please log in again to continue.'), untilExpiry);
+        return () => { clearTimeout(warnTimer); clearTimeout(expireTimer); };
+    }, [token, notify, refresh, expireSession]);
+
+    // --- Global 401 handling ---
+    useEffect(() => {
+        setUnauthorizedHandler(() => expireSession('Your session is no longer valid. Please log in again.'));
+        return () => setUnauthorizedHandler(null);
+    }, [expireSession]);
+
+    // --- Cross-tab sync ---
+    useEffect(() => subscribeToToken(next => {
+        // Another tab refreshing the same session keeps the cache; a different account drops it.
+        if ((next ? decodeJwt(next)?.sub : undefined) !== subRef.current) clearQueryCache();
+        setToken(next);
+        if (!next) {
+            dismiss(EXPIRY_TOAST_ID);
+            navigate('/');
+        }
+    }), [navigate, dismiss]);
+
+    const value = useMemo(() => ({ token, claims, role: claims?.role || null, login, logout, refresh }), [token, claims, login, logout, refresh]);
+
+    return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export const useAuth = () => useContext(AuthContext);
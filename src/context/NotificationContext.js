@@ -0,0 +1,57 @@
+import React, { createContext, useContext, useState, useCallback, useRef, useEffect } from 'react';
+import NotificationTray from '../components/NotificationTray';
+
+// --- Global Notifications ---
+// App-wide toast tray. `notify` with an existing `id` replaces that toast in place, which
+// is how a pending transaction's toast turns into its "mined" or "failed" result.
+
+const NotificationContext = createContext(null);
+
+const DEFAULT_DURATION_MS = 6000;
+let nextId = 1;
+
+export function NotificationProvider({ children }) {
+    const [toasts, setToasts] = useState([]);
+    const timers = useRef({});
+
+    const dismiss = useCallback(id => {
+        clearTimeout(timers.current[id]);
+        delete timers.current[id];
+        setToasts(prev => prev.filter(t => t.id !== id));
+    }, []);
+
+    /**
+     * @param {object} toast
+     * @param {'info'|'success'|'error'|'warning'|'pending'} [toast.type='info']
+     * @param {string} toast.title
+     * @param {string} [toast.message]
+     * @param {string} [toast.href] - Optional link, e.g. a block explorer page.
+     * @param {{ label: string, onClick: Function }} [toast.action] - Optional button, e.g. "Stay signed in".
+     * @param {string} [toast.id] - Reuse to update an existing toast.
+     * @param {number} [toast.duration] - Auto-dismiss delay; 0 keeps it until dismissed or replaced.
+     */
+    const notify = useCallback(({ id, type = 'info', title, message, href, action, duration = DEFAULT_DURATION_MS }) => {
+        const toastId = id || `toast-${nextId++}`;
+        clearTimeout(timers.current[toastId]);
+        setToasts(prev => {
+            const toast = { id: toastId, type, title, message, href, action };
+            return prev.some(t => t.id === toastId) ? prev.map(t => (t.id === toastId ? toast : t)) : [...prev, toast];
+        });
+        if (duration > 0) timers.current[toastId] = setTimeout(() => dismiss(toastId), duration);
+        return toastId;
+    }, [dismiss]);
+
+    useEffect(() => {
+        const pending = timers.current;
+        return () => Object.values(pending).forEach(clearTimeout);
+    }, []);
+
+    return (
+        <NotificationContext.Provider value={{ notify, dismiss }}>
+            {children}
+            <NotificationTray toasts={toasts} onDismiss={dismiss} />
+        </NotificationContext.Provider>
+    );
+}
+
+export const useNotifications = () => useContext(NotificationContext);
@@ -0,0 +1,108 @@
+import React, { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
+import { useNotifications } from './NotificationContext';
+import { getReadProvider } from '../web3/provider';
+import { explorerTxUrl } from '../utils/explorer';
+import {
+    loadTransactions, saveTransactions, pruneTransactions, createRecord, upsertTransaction, applyReceipt,
+    isSettled, TX_STATUS, CONFIRMATIONS_REQUIRED
+} from '../utils/txStore';
+
+// --- Transaction Tracking ---
+// Every transaction the app sends is registered here. Receipts are polled from a read-only
+// provider, so tracking keeps going after the modal closes and resumes after a reload.
+
+const TransactionContext = createContext(null);
+
+const POLL_INTERVAL_MS = 4000;
+
+const RESULT_TOASTS = {
+    [TX_STATUS.MINED]: tx => ({ type: 'success', title: `${tx.label} mined`, message: `Waiting for ${CONFIRMATIONS_REQUIRED} confirmations.`, duration: 0 }),
+    [TX_STATUS.FAILED]: tx => ({ type: 'error', title: `${tx.label} failed`, message: 'The transaction reverted on-chain.', duration: 0 }),
+    [TX_STATUS.DROPPED]: tx => ({ type: 'warning', title: `${tx.label} dropped`, message: 'The network no longer knows this transaction. It may have been replaced.', duration: 0 }),
+};
+
+export function TransactionProvider({ children }) {
+    const { notify } = useNotifications();
+    const [transactions, setTransactions] = useState(() => pruneTransactions(loadTransactions()));
+    const latest = useRef(transactions);
+
+    const commit = useCallback(updater => {
+        setTransactions(prev => {
+            const next = pruneTransactions(updater(prev));
+            latest.current = next;
+            saveTransactions(next);
+            return next;
+        });
+    }, []);
+
+    const showPending = useCallback(tx => notify({
+        id: tx.hash, type: 'pending', title: `${tx.label} pending`, message: 'Waiting to be mined…', href: explorerTxUrl(tx.hash), duration: 0,
+    }), [notify]);
+
+    /**
+     * Registers a sent transaction. Accepts an ethers TransactionResponse or anything with a `hash`.
+     * @param {{ hash: string }} tx
+     * @param {{ label: string, flowId?: string, step?: string }} meta
+     */
+    const trackTransaction = useCallback((tx, { label, flowId, step }) => {
+        const record = createRecord({ hash: tx.hash, label, flowId, step });
+        commit(list => upsertTransaction(list, record));
+        showPending(record);
+        return record;
+    }, [commit, showPending]);
+
+    // Re-announce anything still pending from a previous page load.
+    useEffect(() => {
+        latest.current.filter(tx => tx.status === TX_STATUS.PENDING).forEach(showPending);
+    }, [showPending]);
+
+    const hasUnsettled = transactions.some(tx => !isSettled(tx));
+    useEffect(() => {
+        if (!hasUnsettled) return;
+        let cancelled = false;
+        const provider = getReadProvider();
+
+        const poll = async () => {
+            const open = latest.current.filter(tx => !isSettled(tx));
+            if (!open.length) return;
+            try {
+                const blockNumber = await provider.getBlockNumber();
+                const updates = await Promise.all(open.map(async tx => {
+                    const receipt = await provider.getTransactionReceipt(tx.hash);
+                    const known = receipt ? true : !!(await provider.getTransaction(tx.hash));
+                    return applyReceipt(tx, { receipt, blockNumber, known });
+                }));
+                if (cancelled) return;
+                const changed = updates.filter((next, i) => next !== open[i]);
+                if (!changed.length) return;
+                changed.forEach(next => {
+                    const prev = open.find(tx => tx.hash === next.hash);
+                    if (prev.status === next.status) return;
+                    const toast = RESULT_TOASTS[next.status];
+                    if (toast) notify({ id: next.hash, href: explorerTxUrl(next.hash), ...toast(next) });
+                    else if (next.status === TX_STATUS.CONFIRMED) {
+                        notify({ id: next.hash, type: 'success', title: `${next.label} confirmed`, href: explorerTxUrl(next.hash) });
+                    }
+                });
+                commit(list => list.map(tx => changed.find(c => c.hash === tx.hash) || tx));
+            } catch (err) {
+                // RPC hiccup: try again on the next tick.
+                console.error('Transaction polling failed:', err);
+            }
+        };
+
+        poll();
+        const interval = setInterval(poll, POLL_INTERVAL_MS);
+        return () => { cancelled = true; clearInterval(interval); };
+    }, [hasUnsettled, commit, notify]);
+
+    const getFlow = useCallback(flowId => transactions.filter(tx => tx.flowId === flowId).reverse(), [transactions]);
+
+    return (
+        <TransactionContext.Provider value={{ transactions, trackTransaction, getFlow }}>
+            {children}
+        </TransactionContext.Provider>
+    );
+}
+
+export const useTransactions = () => useContext(TransactionContext);
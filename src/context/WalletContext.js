@@ -0,0 +1,14 @@
+import React, { createContext, useContext } from 'react';
+import useWalletConnection from '../hooks/useWalletConnection';
+
+// --- Wallet Connection ---
+// One connection for the whole app, so route guards and pages agree on the connected account.
+
+const WalletContext = createContext(null);
+
+export function WalletProvider({ children }) {
+    const wallet = useWalletConnection();
+    return <WalletContext.Provider value={wallet}>{children}</WalletContext.Provider>;
+}
+
+export const useWallet = () => useContext(WalletContext);
@@ -0,0 +1,77 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { VAULT_DEPLOY_BLOCK } from '../config';
+import { getReadProvider } from '../web3/provider';
+import { getAutoMintHistory } from '../web3/vaultEvents';
+
+// Blocks scanned per "load older" step: about a day on Amoy.
+const PAGE_BLOCKS = 50000;
+
+const INITIAL = { entries: null, fromBlock: null, toBlock: null, since: null, isLoading: false, error: null };
+
+/**
+ * `AutoMintExecuted` rewards for `walletAddress`, read from chain events one block range at a
+ * time. The covered range only grows: `refresh` scans from the last block seen up to the head,
+ * `loadOlder` extends it one page back, so there are never gaps between pages.
+ *
+ * @returns {{ entries: object[]|null, fromBlock: number|null, since: number|null, hasMore: boolean,
+ *   isLoading: boolean, error: Error|null, refresh: () => Promise<void>, loadOlder: () => Promise<void> }}
+ *   `since` is the timestamp (ms) of `fromBlock`, the oldest block covered.
+ */
+export default function useAutoMintHistory(walletAddress) {
+    const [history, setHistory] = useState(INITIAL);
+    const latest = useRef(history);
+    latest.current = history;
+    // Bumped per wallet, so a scan for the previous wallet can't land in the new one's history.
+    const generation = useRef(0);
+    const busy = useRef(false);
+
+    const scan = useCallback(async older => {
+        if (!walletAddress || busy.current) return;
+        busy.current = true;
+        const run = generation.current;
+        const provider = getReadProvider();
+        setHistory(prev => ({ ...prev, isLoading: true, error: null }));
+        try {
+            const { fromBlock, toBlock } = latest.current;
+            let range;
+            if (older) {
+                range = { fromBlock: Math.max(VAULT_DEPLOY_BLOCK, fromBlock - PAGE_BLOCKS), toBlock: fromBlock - 1 };
+            } else {
+                const head = await provider.getBlockNumber();
+                range = { fromBlock: toBlock === null ? Math.max(VAULT_DEPLOY_BLOCK, head - PAGE_BLOCKS + 1) : toBlock + 1, toBlock: head };
+            }
+            const extendsBack = older || fromBlock === null;
+            const [entries, startBlock] = await Promise.all([
+                getAutoMintHistory(provider, walletAddress, range),
+                extendsBack ? provider.getBlock(range.fromBlock) : null,
+            ]);
+            if (run !== generation.current) return;
+            setHistory(prev => ({
+                entries: older ? [...(prev.entries || []), ...entries] : [...entries, ...(prev.entries || [])],
+                fromBlock: extendsBack ? range.fromBlock : prev.fromBlock,
+                toBlock: older ? prev.toBlock : range.toBlock,
+                since: startBlock ? startBlock.timestamp * 1000 : prev.since,
+                isLoading: false,
+                error: null,
+            }));
+        } catch (err) {
+            console.error('Failed to load Auto-Mint history:', err);
+            if (run === generation.current) setHistory(prev => ({ ...prev, isLoading: false, error: err }));
+        } finally {
+            if (run === generation.current) busy.current = false;
+        }
+    }, [walletAddress]);
+
+    useEffect(() => {
+        generation.current += 1;
+        busy.current = false;
+        latest.current = INITIAL;
+        setHistory(INITIAL);
+        scan(false);
+    }, [scan]);
+
+    const refresh = useCallback(() => scan(false), [scan]);
+    const loadOlder = useCallback(() => scan(true), [scan]);
+
+    return { ...history, hasMore: history.fromBlock !== null && history.fromBlock > VAULT_DEPLOY_BLOCK, refresh, loadOlder };
+}
@@ -0,0 +1,43 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getLinkedWallets, linkWallet, unlinkWallet, isAbortError } from '../api/client';
+import { signSiweMessage, SIWE_STATEMENTS } from '../utils/siwe';
+
+/**
+ * Wallets linked to the signed-in account. `linkedWallets` is null until the first load.
+ * Linking signs a SIWE message with the connected wallet so the backend can verify ownership.
+ */
+export default function useLinkedWallets(authToken) {
+    const [linkedWallets, setLinkedWallets] = useState(null);
+    const [error, setError] = useState(null);
+
+    const refresh = useCallback(async (signal) => {
+        if (!authToken) return;
+        setError(null);
+        try {
+            setLinkedWallets(await getLinkedWallets({ token: authToken, signal }));
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error('Failed to load linked wallets:', err);
+            setError(err.message);
+        }
+    }, [authToken]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        refresh(controller.signal);
+        return () => controller.abort();
+    }, [refresh]);
+
+    const link = useCallback(async ({ signer, address, chainId }) => {
+        const { message, signature } = await signSiweMessage({ signer, address, chainId, statement: SIWE_STATEMENTS.LINK });
+        await linkWallet(message, signature, { token: authToken });
+        await refresh();
+    }, [authToken, refresh]);
+
+    const unlink = useCallback(async address => {
+        await unlinkWallet(address, { token: authToken });
+        await refresh();
+    }, [authToken, refresh]);
+
+    return { linkedWallets, error, refresh, link, unlink };
+}
@@ -0,0 +1,45 @@
+import { useState, useEffect, useRef } from 'react';
+import { connectEventStream } from '../api/eventStream';
+import { subscribeToVaultEvents } from '../web3/vaultEvents';
+
+export const LIVE_STATUS = { CONNECTING: 'connecting', LIVE: 'live', POLLING: 'polling' };
+
+const DEFAULT_POLL_INTERVAL_MS = 15000;
+
+/**
+ * Subscribes to the backend event stream and to on-chain vault events for `walletAddress`.
+ * While the stream is down, `poll` runs on an interval instead (skipped in background tabs).
+ * Callbacks can change every render; the subscriptions only restart when their inputs do.
+ *
+ * @returns {'connecting'|'live'|'polling'}
+ */
+export default function useLiveUpdates({ token, walletAddress, provider, onEvent, onChainEvent, poll, pollIntervalMs = DEFAULT_POLL_INTERVAL_MS }) {
+    const [streamStatus, setStreamStatus] = useState('connecting');
+    const handlers = useRef({ onEvent, onChainEvent, poll });
+    handlers.current = { onEvent, onChainEvent, poll };
+
+    useEffect(() => {
+        if (!token) return;
+        return connectEventStream({ token, onEvent: event => handlers.current.onEvent(event), onStatus: setStreamStatus });
+    }, [token]);
+
+    useEffect(() => {
+        if (!provider || !walletAddress) return;
+        try {
+            return subscribeToVaultEvents(provider, walletAddress, event => handlers.current.onChainEvent(event));
+        } catch (err) {
+            // Polling and the backend stream still cover this.
+            console.error('Could not subscribe to vault events:', err);
+        }
+    }, [provider, walletAddress]);
+
+    const isLive = streamStatus === 'live';
+    useEffect(() => {
+        if (isLive) return;
+        const interval = setInterval(() => { if (!document.hidden) handlers.current.poll(); }, pollIntervalMs);
+        return () => clearInterval(interval);
+    }, [isLive, pollIntervalMs]);
+
+    if (isLive) return LIVE_STATUS.LIVE;
+    return streamStatus === 'connecting' ? LIVE_STATUS.CONNECTING : LIVE_STATUS.POLLING;
+}
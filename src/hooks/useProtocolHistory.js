@@ -0,0 +1,36 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getProtocolHistory, isAbortError } from '../api/client';
+import { normalizeHistory } from '../utils/analytics';
+
+/**
+ * Protocol snapshots and collateral composition for `range`. `history` keeps the previous
+ * range's data while the next one loads so the charts don't flash empty.
+ */
+export default function useProtocolHistory(range) {
+    const [history, setHistory] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const refresh = useCallback(async (signal) => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const data = await getProtocolHistory(range, { signal });
+            setHistory({ points: normalizeHistory(data.points), composition: data.composition || [] });
+        } catch (err) {
+            if (isAbortError(err)) return;
+            console.error('Failed to load protocol history:', err);
+            setError(err.message);
+        } finally {
+            if (!signal?.aborted) setIsLoading(false);
+        }
+    }, [range]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        refresh(controller.signal);
+        return () => controller.abort();
+    }, [refresh]);
+
+    return { history, isLoading, error, refresh };
+}
@@ -0,0 +1,51 @@
+import { useEffect, useCallback, useMemo, useRef, useSyncExternalStore } from 'react';
+import { fetchQuery, getQueryState, subscribeQuery, hashKey } from '../api/queryCache';
+
+const DEFAULT_STALE_TIME_MS = 30000;
+
+/**
+ * Reads `key` from the query cache, fetching it when missing or older than `staleTime`, and
+ * revalidating in the background when the tab regains focus or the network comes back.
+ *
+ * @param {Array} key
+ * @param {() => Promise<any>} fetcher
+ * @param {{ enabled?: boolean, staleTime?: number, retries?: number }} [options] - `retries` is passed to `fetchQuery`
+ * @returns {{ data: any, error: Error|null, updatedAt: number, isFetching: boolean, isLoading: boolean, refetch: () => Promise<void> }}
+ *   `isLoading` is true only while there is no data yet.
+ */
+export default function useQuery(key, fetcher, { enabled = true, staleTime = DEFAULT_STALE_TIME_MS, retries } = {}) {
+    const hash = hashKey(key);
+    // Callers pass a fresh array each render; the hash keeps the key stable.
+    const queryKey = useMemo(() => JSON.parse(hash), [hash]);
+    const fetcherRef = useRef(fetcher);
+    fetcherRef.current = fetcher;
+
+    const subscribe = useCallback(listener => subscribeQuery(queryKey, listener), [queryKey]);
+    const getSnapshot = useCallback(() => getQueryState(queryKey), [queryKey]);
+    const state = useSyncExternalStore(subscribe, getSnapshot);
+
+    const refetch = useCallback(() => fetchQuery(queryKey, () => fetcherRef.current(), { retries })
+        .then(() => {}, err => console.error(`Query ${hashKey(queryKey)} failed:`, err)), [queryKey, retries]);
+
+    useEffect(() => {
+        if (!enabled) return;
+        const revalidateIfStale = () => {
+            const { updatedAt, isFetching, isInvalidated } = getQueryState(queryKey);
+            if (!isFetching && (isInvalidated || Date.now() - updatedAt > staleTime)) refetch();
+        };
+        revalidateIfStale();
+        window.addEventListener('focus', revalidateIfStale);
+        window.addEventListener('online', revalidateIfStale);
+        return () => {
+            window.removeEventListener('focus', revalidateIfStale);
+            window.removeEventListener('online', revalidateIfStale);
+        };
+    }, [queryKey, enabled, staleTime, refetch]);
+
+    // Reset by `clearQueryCache` while mounted: nothing else will reload it.
+    useEffect(() => {
+        if (enabled && state.isInvalidated && !state.isFetching) refetch();
+    }, [enabled, state.isInvalidated, state.isFetching, refetch]);
+
+    return { ...state, isLoading: enabled && state.data === undefined && !state.error, refetch };
+}
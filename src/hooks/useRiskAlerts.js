@@ -0,0 +1,142 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getVaultStatus, getMintStatus, getOraclePrice } from '../api/client';
+import { fetchQuery, getQueryState, subscribeQuery } from '../api/queryCache';
+import { useNotifications } from '../context/NotificationContext';
+import {
+    ALERT_TYPES, createRule, evaluateRules, describeRule, loadRules, saveRules, loadAlertStates, saveAlertStates,
+    loadAlertHistory, recordAlerts, clearAlertHistory, subscribeToAlertStorage
+} from '../utils/alertRules';
+import { getNotificationPermission, requestNotificationPermission, registerAlertWorker, showSystemAlert } from '../utils/browserAlerts';
+import { acquireTabLock } from '../utils/tabLock';
+
+// Data older than this is refetched for the rules, even if no card is showing it.
+const ALERT_POLL_MS = 60 * 1000;
+
+/**
+ * The wallet's alert rules and history, evaluated whenever the cached vault, mint or oracle
+ * data changes. Sources nobody else is refreshing (e.g. a collateral that isn't selected)
+ * are polled. Alerts show as toasts while the tab is visible and as system notifications
+ * when it is hidden. With several tabs open only one evaluates, and rule states are stored,
+ * so neither another tab nor a reload fires the same alert twice.
+ *
+ * @param {{ walletAddress: string, authToken: string, getSymbol: (collateral: string) => string|undefined }} options
+ */
+export default function useRiskAlerts({ walletAddress, authToken, getSymbol }) {
+    const { notify } = useNotifications();
+    const [rules, setRules] = useState(() => loadRules(walletAddress));
+    const [history, setHistory] = useState(() => loadAlertHistory(walletAddress));
+    const [permission, setPermission] = useState(getNotificationPermission);
+    const [isEvaluator, setIsEvaluator] = useState(false);
+    const getSymbolRef = useRef(getSymbol);
+    getSymbolRef.current = getSymbol;
+
+    // Another wallet, another rule set.
+    useEffect(() => {
+        setRules(loadRules(walletAddress));
+        setHistory(loadAlertHistory(walletAddress));
+    }, [walletAddress]);
+
+    // One tab per wallet evaluates; rule edits and fired alerts reach the other tabs through storage.
+    useEffect(() => {
+        if (!walletAddress) return;
+        const release = acquireTabLock(`riskAlerts:${walletAddress.toLowerCase()}`, setIsEvaluator);
+        const unsubscribe = subscribeToAlertStorage(walletAddress, stored => {
+            setRules(stored.rules);
+            setHistory(stored.history);
+        });
+        return () => {
+            release();
+            unsubscribe();
+            setIsEvaluator(false);
+        };
+    }, [walletAddress]);
+
+    useEffect(() => {
+        if (permission === 'granted') registerAlertWorker();
+    }, [permission]);
+
+    const requestPermission = useCallback(async () => {
+        setPermission(await requestNotificationPermission());
+    }, []);
+
+    const updateRules = useCallback(updater => setRules(prev => {
+        const next = updater(prev);
+        saveRules(walletAddress, next);
+        return next;
+    }), [walletAddress]);
+
+    const addRule = useCallback(form => updateRules(list => [...list, createRule(form)]), [updateRules]);
+    const removeRule = useCallback(id => updateRules(list => list.filter(rule => rule.id !== id)), [updateRules]);
+    const toggleRule = useCallback(id => updateRules(list => list.map(rule => (rule.id === id ? { ...rule, enabled: !rule.enabled } : rule))), [updateRules]);
+    const clearHistory = useCallback(() => {
+        clearAlertHistory(walletAddress);
+        setHistory([]);
+    }, [walletAddress]);
+
+    // --- Evaluation ---
+    useEffect(() => {
+        const enabled = rules.filter(rule => rule.enabled);
+        if (!walletAddress || !enabled.length || !isEvaluator) return;
+        const opts = { token: authToken };
+        const collaterals = [...new Set(enabled.filter(rule => ALERT_TYPES[rule.type]?.needsCollateral).map(rule => rule.collateral))];
+        const mintKey = ['mint-status', walletAddress];
+        const mintFetcher = () => getMintStatus(opts);
+        // Same keys and fetchers as the dashboard cards, so both share one cache entry.
+        const sources = [
+            ...collaterals.map(collateral => ({ key: ['vault-status', walletAddress, collateral], fetcher: () => getVaultStatus(collateral, opts) })),
+            { key: mintKey, fetcher: mintFetcher },
+            { key: ['oracle-price'], fetcher: () => getOraclePrice(opts) },
+        ];
+        const watchesCooldown = enabled.some(rule => rule.type === 'cooldown-finished');
+        let cooldownTimer = null;
+
+        const deliver = alerts => {
+            const titled = alerts.map(alert => {
+                const rule = rules.find(r => r.id === alert.ruleId);
+                return { ...alert, title: describeRule(rule, rule.collateral && getSymbolRef.current(rule.collateral)) };
+            });
+            setHistory(recordAlerts(walletAddress, titled));
+            titled.forEach(async alert => {
+                if (document.hidden && await showSystemAlert({ title: alert.title, body: alert.message, tag: alert.ruleId })) return;
+                notify({ type: 'warning', title: alert.title, message: alert.message, duration: 0 });
+            });
+        };
+
+        // The backend only reports the cooldown left when asked, so ask again once it should be over.
+        const scheduleCooldownCheck = () => {
+            clearTimeout(cooldownTimer);
+            const { data, updatedAt } = getQueryState(mintKey);
+            const remainingMs = Number(data?.cooldownRemaining) * 1000;
+            if (!(remainingMs > 0)) return;
+            cooldownTimer = setTimeout(() => fetchQuery(mintKey, mintFetcher).catch(() => {}), Math.max(0, updatedAt + remainingMs - Date.now()) + 1000);
+        };
+
+        const evaluate = () => {
+            const snapshot = {
+                vaults: Object.fromEntries(collaterals.map(collateral => [collateral, getQueryState(['vault-status', walletAddress, collateral]).data])),
+                mintStatus: getQueryState(mintKey).data,
+                oraclePrice: getQueryState(['oracle-price']).data,
+            };
+            const { alerts, states } = evaluateRules(rules, snapshot, loadAlertStates(walletAddress));
+            saveAlertStates(walletAddress, states);
+            if (alerts.length) deliver(alerts);
+            if (watchesCooldown) scheduleCooldownCheck();
+        };
+
+        const refreshStale = () => sources.forEach(({ key, fetcher }) => {
+            if (Date.now() - getQueryState(key).updatedAt > ALERT_POLL_MS / 2) fetchQuery(key, fetcher).catch(() => {});
+        });
+
+        const unsubscribes = sources.map(({ key }) => subscribeQuery(key, evaluate));
+        evaluate();
+        refreshStale();
+        const interval = setInterval(refreshStale, ALERT_POLL_MS);
+        return () => {
+            clearInterval(interval);
+            clearTimeout(cooldownTimer);
+            unsubscribes.forEach(unsubscribe => unsubscribe());
+        };
+    }, [rules, walletAddress, authToken, notify, isEvaluator]);
+
+    return { rules, history, permission, requestPermission, addRule, removeRule, toggleRule, clearHistory };
+}
@@ -0,0 +1,27 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.js";
+
+const BALANCE_ABI = ["function balanceOf(address owner) view returns (uint256)"];
+
+/**
+ * On-chain ERC20 balance of `owner`, formatted with `decimals`.
+ * `balance` is null while loading and undefined if the read failed.
+ */
+export default function useTokenBalance(provider, tokenAddress, owner, decimals) {
+    const [balance, setBalance] = useState(null);
+    const [nonce, setNonce] = useState(0);
+
+    useEffect(() => {
+        if (!provider || !tokenAddress || !owner || decimals === undefined) return;
+        let cancelled = false;
+        setBalance(null);
+        const contract = new ethers.Contract(tokenAddress, BALANCE_ABI, provider);
+        contract.balanceOf(owner)
+            .then(raw => { if (!cancelled) setBalance(ethers.utils.formatUnits(raw, decimals)); })
+            .catch(err => { console.error(err); if (!cancelled) setBalance(undefined); });
+        return () => { cancelled = true; };
+    }, [provider, tokenAddress, owner, decimals, nonce]);
+
+    const refresh = useCallback(() => setNonce(n => n + 1), []);
+    return { balance, refresh };
+}
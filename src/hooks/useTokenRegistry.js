@@ -0,0 +1,36 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.js";
+import { TGHSX_ADDRESS } from '../config';
+import { loadCachedRegistry, resolveTokens, getTokenInfo } from '../utils/tokenRegistry';
+import { getReadProvider } from '../web3/provider';
+
+const TOKEN_METADATA_ABI = [
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)"
+];
+
+/**
+ * Keeps the token registry resolved for the given addresses (tGHSX is always included).
+ * Returns `getToken(address)`, which is undefined for a token still being resolved.
+ */
+export default function useTokenRegistry(addresses, { provider, collaterals } = {}) {
+    const [registry, setRegistry] = useState(loadCachedRegistry);
+    const addressKey = [TGHSX_ADDRESS, ...(addresses || [])].filter(Boolean).join(',');
+
+    useEffect(() => {
+        let cancelled = false;
+        const readProvider = getReadProvider(provider);
+        const readToken = async address => {
+            const token = new ethers.Contract(address, TOKEN_METADATA_ABI, readProvider);
+            const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+            return { symbol, decimals };
+        };
+        resolveTokens(addressKey.split(','), readToken, collaterals)
+            .then(next => { if (!cancelled) setRegistry(next); })
+            .catch(console.error);
+        return () => { cancelled = true; };
+    }, [addressKey, provider, collaterals]);
+
+    const getToken = useCallback(address => getTokenInfo(registry, address), [registry]);
+    return { registry, getToken };
+}
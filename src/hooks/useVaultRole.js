@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.js";
+import { VAULT_ADDRESS } from '../config';
+import { getReadProvider } from '../web3/provider';
+
+const ACCESS_CONTROL_ABI = ["function hasRole(bytes32 role, address account) view returns (bool)"];
+
+// OpenZeppelin AccessControl's DEFAULT_ADMIN_ROLE is bytes32(0).
+export const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+
+/**
+ * Whether `account` holds `role` on the vault. `hasRole` is null while checking (or when
+ * there is no account) and `error` is set if the read failed.
+ */
+export default function useVaultRole(account, role = DEFAULT_ADMIN_ROLE) {
+    const [hasRole, setHasRole] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        setHasRole(null);
+        setError(null);
+        if (!account) return;
+        let cancelled = false;
+        const vault = new ethers.Contract(VAULT_ADDRESS, ACCESS_CONTROL_ABI, getReadProvider());
+        vault.hasRole(role, account)
+            .then(result => { if (!cancelled) setHasRole(result); })
+            .catch(err => {
+                console.error('Role check failed:', err);
+                if (!cancelled) setError('Could not read roles from the vault contract.');
+            });
+        return () => { cancelled = true; };
+    }, [account, role]);
+
+    return { hasRole, error };
+}
@@ -0,0 +1,179 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.js";
+import { TARGET_CHAIN, switchToTargetChain } from '../web3/chains';
+import { discoverWallets, loadLastConnector, saveLastConnector, clearLastConnector, WALLETCONNECT_ID } from '../web3/eip6963';
+import { getWalletConnectProvider, isWalletConnectEnabled } from '../web3/walletConnect';
+import { formatTxError } from '../utils/txErrors';
+
+// How long route guards wait for the remembered wallet to announce itself before asking to connect.
+const RESTORE_TIMEOUT_MS = 1000;
+
+// Resolves a connector id to its EIP-1193 provider. In silent mode WalletConnect only
+// returns a provider when it already has a session, so a reload never pops the QR modal.
+const resolveConnector = async (id, wallets, silent) => {
+    if (id === WALLETCONNECT_ID) {
+        const wc = await getWalletConnectProvider();
+        if (!wc.session) {
+            if (silent) return null;
+            await wc.connect();
+        }
+        return wc;
+    }
+    return wallets.find(w => w.id === id)?.provider || null;
+};
+
+/**
+ * Wallet connection state. Discovers injected wallets via EIP-6963, supports WalletConnect,
+ * and follows the active wallet's `accountsChanged` and `chainChanged` events, so `address`
+ * and `chainId` are always current. Mounted once by WalletProvider; read it with `useWallet()`.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.autoConnect=true] - Silently reconnect the last-used wallet on mount.
+ *   `isRestoring` is true until that attempt has finished.
+ */
+export default function useWalletConnection({ autoConnect = true } = {}) {
+    const [wallets, setWallets] = useState([]);
+    const [connectorId, setConnectorId] = useState(null);
+    const [ethereum, setEthereum] = useState(null);
+    const [provider, setProvider] = useState(null);
+    const [address, setAddress] = useState(null);
+    const [chainId, setChainId] = useState(null);
+    const [error, setError] = useState(null);
+    const [isConnecting, setIsConnecting] = useState(false);
+    const [isRestoring, setIsRestoring] = useState(() => autoConnect && !!loadLastConnector());
+    const restoreAttempted = useRef(false);
+
+    useEffect(() => discoverWallets(setWallets), []);
+
+    // "any" lets ethers follow chain switches instead of throwing "underlying network changed".
+    const activate = useCallback(async (id, eip1193, { silent = false, switchChain = false } = {}) => {
+        const web3Provider = new ethers.providers.Web3Provider(eip1193, 'any');
+        const accounts = await web3Provider.send(silent ? 'eth_accounts' : 'eth_requestAccounts', []);
+        if (!accounts.length) return;
+        let { chainId: activeChainId } = await web3Provider.getNetwork();
+        if (!silent && switchChain && activeChainId !== TARGET_CHAIN.chainId) {
+            await switchToTargetChain(eip1193);
+            // Ask the wallet directly: ethers briefly caches the network it detected before the switch.
+            activeChainId = parseInt(await eip1193.request({ method: 'eth_chainId' }), 16);
+        }
+        saveLastConnector(id);
+        setConnectorId(id);
+        setEthereum(eip1193);
+        setProvider(web3Provider);
+        setChainId(activeChainId);
+        setAddress(ethers.utils.getAddress(accounts[0]));
+    }, []);
+
+    /**
+     * Connects the wallet with the given id (an EIP-6963 rdns or WALLETCONNECT_ID).
+     * `switchChain` asks the wallet to move to the target chain as part of connecting.
+     */
+    const connect = useCallback(async (id, { switchChain = false } = {}) => {
+        setIsConnecting(true);
+        setError(null);
+        try {
+            const eip1193 = await resolveConnector(id, wallets, false);
+            if (!eip1193) {
+                setError('That wallet is no longer available. Pick another one.');
+                return;
+            }
+            await activate(id, eip1193, { switchChain });
+        } catch (err) {
+            console.error('Wallet connection failed:', err);
+            setError(`Wallet connection failed. ${formatTxError(err)}`);
+        } finally {
+            setIsConnecting(false);
+        }
+    }, [wallets, activate]);
+
+    const reset = useCallback(() => {
+        setConnectorId(null);
+        setEthereum(null);
+        setProvider(null);
+        setAddress(null);
+        setChainId(null);
+    }, []);
+
+    const disconnect = useCallback(() => {
+        clearLastConnector();
+        if (connectorId === WALLETCONNECT_ID) ethereum?.disconnect?.().catch(() => {});
+        reset();
+    }, [connectorId, ethereum, reset]);
+
+    const switchNetwork = useCallback(async () => {
+        if (!ethereum) return;
+        try {
+            await switchToTargetChain(ethereum);
+        } catch (err) {
+            console.error('Network switch failed:', err);
+            setError(`Network switch failed. ${formatTxError(err)}`);
+        }
+    }, [ethereum]);
+
+    // --- Silent reconnect ---
+    // Injected wallets announce themselves asynchronously, so wait until the remembered one shows up.
+    useEffect(() => {
+        if (!autoConnect || restoreAttempted.current) return;
+        const lastId = loadLastConnector();
+        if (!lastId || (lastId === WALLETCONNECT_ID && !isWalletConnectEnabled())) {
+            restoreAttempted.current = true;
+            setIsRestoring(false);
+            return;
+        }
+        if (lastId !== WALLETCONNECT_ID && !wallets.some(w => w.id === lastId)) return;
+        restoreAttempted.current = true;
+        resolveConnector(lastId, wallets, true)
+            .then(eip1193 => eip1193 && activate(lastId, eip1193, { silent: true }))
+            .catch(err => console.error('Wallet reconnect failed:', err))
+            .finally(() => setIsRestoring(false));
+    }, [autoConnect, wallets, activate]);
+
+    // The remembered wallet may be gone (extension removed), so stop waiting for it after a moment.
+    // A late announcement still reconnects.
+    useEffect(() => {
+        if (!isRestoring) return;
+        const timer = setTimeout(() => {
+            if (!restoreAttempted.current) setIsRestoring(false);
+        }, RESTORE_TIMEOUT_MS);
+        return () => clearTimeout(timer);
+    }, [isRestoring]);
+
+    // --- Wallet events ---
+    useEffect(() => {
+        if (!ethereum?.on) return;
+        const handleAccountsChanged = accounts => {
+            if (!accounts.length) {
+                reset();
+                return;
+            }
+            setProvider(new ethers.providers.Web3Provider(ethereum, 'any'));
+            setAddress(ethers.utils.getAddress(accounts[0]));
+        };
+        const handleChainChanged = next => {
+            setChainId(typeof next === 'number' ? next : parseInt(next, 16));
+            setProvider(new ethers.providers.Web3Provider(ethereum, 'any'));
+        };
+        // WalletConnect sessions can be ended from the phone.
+        const handleDisconnect = () => {
+            if (connectorId !== WALLETCONNECT_ID) return;
+            clearLastConnector();
+            reset();
+        };
+        ethereum.on('accountsChanged', handleAccountsChanged);
+        ethereum.on('chainChanged', handleChainChanged);
+        ethereum.on('disconnect', handleDisconnect);
+        return () => {
+            ethereum.removeListener('accountsChanged', handleAccountsChanged);
+            ethereum.removeListener('chainChanged', handleChainChanged);
+            ethereum.removeListener('disconnect', handleDisconnect);
+        };
+    }, [ethereum, connectorId, reset]);
+
+    const isWrongNetwork = !!address && chainId !== null && chainId !== TARGET_CHAIN.chainId;
+
+    return {
+        wallets, walletConnectEnabled: isWalletConnectEnabled(), connectorId,
+        provider, address, chainId, error, isConnecting, isRestoring, isWrongNetwork,
+        connect, disconnect, switchNetwork,
+    };
+}
@@ -0,0 +1,87 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useWalletConnection from './useWalletConnection';
+import { LEGACY_INJECTED_ID } from '../web3/eip6963';
+
+const ACCOUNT = '0x52908400098527886e0f7030069857d2e4169ee7';
+const TARGET = 80002;
+const MAINNET = 1;
+
+// A window.ethereum-style wallet on `chainId` that can switch chains, optionally only after
+// the target chain has been added.
+const mockWallet = (chainId, { knowsTarget = true } = {}) => {
+    let chain = chainId;
+    let known = knowsTarget;
+    const listeners = {};
+    const moveTo = hex => {
+        chain = parseInt(hex, 16);
+        (listeners.chainChanged || []).forEach(fn => fn(hex));
+    };
+    return {
+        request: jest.fn(async ({ method, params }) => {
+            switch (method) {
+                case 'eth_requestAccounts':
+                case 'eth_accounts': return [ACCOUNT];
+                case 'eth_chainId': return `0x${chain.toString(16)}`;
+                case 'net_version': return String(chain);
+                case 'wallet_switchEthereumChain':
+                    if (!known) throw Object.assign(new Error('Unrecognized chain ID'), { code: 4902 });
+                    moveTo(params[0].chainId);
+                    return null;
+                case 'wallet_addEthereumChain':
+                    known = true;
+                    moveTo(params[0].chainId);
+                    return null;
+                default: throw new Error(`Unexpected ${method}`);
+            }
+        }),
+        on: (event, fn) => { listeners[event] = [...(listeners[event] || []), fn]; },
+        removeListener: (event, fn) => { listeners[event] = (listeners[event] || []).filter(l => l !== fn); },
+    };
+};
+
+beforeEach(() => localStorage.clear());
+afterEach(() => { delete window.ethereum; });
+
+test('flags a wallet on another chain and clears the flag once it switches', async () => {
+    window.ethereum = mockWallet(MAINNET);
+    const { result } = renderHook(() => useWalletConnection());
+
+    await act(() => result.current.connect(LEGACY_INJECTED_ID));
+    expect(result.current.address).toBe('0x52908400098527886E0F7030069857D2E4169EE7');
+    expect(result.current.chainId).toBe(MAINNET);
+    expect(result.current.isWrongNetwork).toBe(true);
+
+    await act(() => result.current.switchNetwork());
+    await waitFor(() => expect(result.current.isWrongNetwork).toBe(false));
+    expect(result.current.chainId).toBe(TARGET);
+});
+
+test('adds the target chain while connecting when the wallet does not know it', async () => {
+    window.ethereum = mockWallet(MAINNET, { knowsTarget: false });
+    const { result } = renderHook(() => useWalletConnection());
+
+    await act(() => result.current.connect(LEGACY_INJECTED_ID, { switchChain: true }));
+
+    const methods = window.ethereum.request.mock.calls.map(([{ method }]) => method);
+    expect(methods).toEqual(expect.arrayContaining(['wallet_switchEthereumChain', 'wallet_addEthereumChain']));
+    expect(result.current.error).toBeNull();
+    expect(result.current.chainId).toBe(TARGET);
+    expect(result.current.isWrongNetwork).toBe(false);
+});
+
+test('stays connected but flagged when the user rejects the switch', async () => {
+    window.ethereum = mockWallet(MAINNET);
+    const { result } = renderHook(() => useWalletConnection());
+    await act(() => result.current.connect(LEGACY_INJECTED_ID));
+
+    window.ethereum.request.mockImplementation(async ({ method }) => {
+        if (method === 'wallet_switchEthereumChain') throw Object.assign(new Error('User rejected the request.'), { code: 4001 });
+        return method === 'eth_chainId' ? '0x1' : null;
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await act(() => result.current.switchNetwork());
+
+    expect(result.current.isWrongNetwork).toBe(true);
+    expect(result.current.error).toMatch(/Network switch failed/);
+    console.error.mockRestore();
+});
@@ -3,12 +3,24 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import { BrowserRouter } from 'react-router-dom'; // Import BrowserRouter
+import { NotificationProvider } from './context/NotificationContext';
+import { TransactionProvider } from './context/TransactionContext';
+import { AuthProvider } from './context/AuthContext';
+import { WalletProvider } from './context/WalletContext';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
     <BrowserRouter>
-      <App />
+      <NotificationProvider>
+        <AuthProvider>
+          <WalletProvider>
+            <TransactionProvider>
+              <App />
+            </TransactionProvider>
+          </WalletProvider>
+        </AuthProvider>
+      </NotificationProvider>
     </BrowserRouter>
   </React.StrictMode>
 );
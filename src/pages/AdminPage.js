@@ -1,13 +1,43 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { Shield, ShieldCheck, ShieldOff, Zap, Settings, AlertTriangle, FileText, CheckCircle, XCircle, LogOut, RefreshCw, Power, Play, Users, Github, Twitter, Send, MessageSquare } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { ShieldCheck, ShieldOff, Zap, Settings, AlertTriangle, FileText, CheckCircle, XCircle, LogOut, RefreshCw, Power, Play, Users, Wallet, Server, ScrollText, Coins, Plus, Pencil, BarChart3, ChevronLeft, ChevronRight, Github, Twitter, Send, MessageSquare } from 'lucide-react';
 import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.js";
+import {
+    getAdminStatus, getProtocolHealth, getAutoMintConfig, getAtRiskVaults, getPendingRequests,
+    pauseProtocol, unpauseProtocol, updateAutoMintConfig, toggleAutoMint, isAbortError, ForbiddenError,
+    getMintRequestDetail, approveMintRequest, declineMintRequest, executeLiquidation, getAuditLog,
+    getAdminCollaterals, addCollateral, updateCollateral
+} from '../api/client';
+import { VAULT_ADDRESS, TGHSX_ADDRESS } from '../config';
+import { formatTxError } from '../utils/txErrors';
+import { assessMintRequest, runBulk } from '../utils/mintRequests';
+import { MIN_COLLATERAL_RATIO, getLiquidationThreshold, toAmountInput } from '../utils/vaultMath';
+import { DURATION_UNITS, AUTOMINT_CONFIG_FIELDS, toAutoMintForm, validateAutoMintForm, estimateDailyEmissionPerVault, TGHSX_UNIT, formatDuration } from '../utils/autoMint';
+import { getConfirmation, toAuditQuery, ADMIN_ACTION_LABELS, AUDIT_PAGE_SIZE } from '../utils/adminActions';
+import { AT_RISK_SORTS, sortAtRiskVaults, atRiskVaultId, previewBatch } from '../utils/liquidations';
+import { getErc20, ensureAllowance, readTokenMetadata } from '../web3/erc20';
+import { getReadProvider } from '../web3/provider';
+import { TARGET_CHAIN } from '../web3/chains';
+import { COLLATERAL_PARAM_FIELDS, EMPTY_COLLATERAL_FORM, toCollateralForm, validateCollateralForm, isAddress } from '../utils/collateralAdmin';
+import useTokenBalance from '../hooks/useTokenBalance';
+import useTokenRegistry from '../hooks/useTokenRegistry';
+import { useTransactions } from '../context/TransactionContext';
+import { useWallet } from '../context/WalletContext';
+import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../context/NotificationContext';
+import useQuery from '../hooks/useQuery';
+import { invalidateQueries } from '../api/queryCache';
+import WrongNetworkBanner from '../components/WrongNetworkBanner';
+import WalletPicker from '../components/WalletPicker';
+import ForbiddenPage from './ForbiddenPage';
+import TransactionSteps from '../components/TransactionSteps';
+import ProtocolAnalytics from '../components/ProtocolAnalytics';
+import QueryView from '../components/QueryView';
 
-// --- LIVE API & CONFIG ---
-const API_BASE_URL = 'https://tghsx.onrender.com';
-const VAULT_ADDRESS = '0xF681Ba510d3C93A49a7AB2d02d9697BB2B0091FE';
-const AMOY_CHAIN_ID = '0x13882'; // 80002 in hex
+const VAULT_LIQUIDATION_ABI = ["function liquidate(address user, address collateral)"];
 
 // --- Helper Functions ---
+const EMPTY_LIST = [];
+
 const formatCurrency = (value, decimals = 2) => {
     const number = typeof value === 'string' ? parseFloat(value) : value;
     if (isNaN(number)) return '$0.00';
@@ -28,218 +58,180 @@ const formatNumber = (value) => {
 // --- Main Admin Component ---
 export default function AdminPage() {
     const [view, setView] = useState('dashboard');
-    const [isLoading, setIsLoading] = useState(true);
-    const [error, setError] = useState(null);
-    const [lastRefreshed, setLastRefreshed] = useState(new Date());
     const [activeModal, setActiveModal] = useState(null);
 
     // --- Auth & Wallet State ---
-    const [authToken, setAuthToken] = useState(localStorage.getItem('authToken'));
-    const [walletAddress, setWalletAddress] = useState(null);
-    const [provider, setProvider] = useState(null);
-
-    // --- Admin Data State ---
-    const [protocolStatus, setProtocolStatus] = useState(null);
-    const [protocolHealth, setProtocolHealth] = useState(null);
-    const [autoMintConfig, setAutoMintConfig] = useState(null);
-    const [pendingRequests, setPendingRequests] = useState([]);
-    const [atRiskVaults, setAtRiskVaults] = useState([]);
-
-    const connectWallet = useCallback(async () => {
-        if (typeof window.ethereum !== 'undefined') {
-            try {
-                const web3Provider = new ethers.providers.Web3Provider(window.ethereum);
-                const network = await web3Provider.getNetwork();
-
-                if (network.chainId !== 80002) { // 80002 is the Amoy chainId
-                    try {
-                        await window.ethereum.request({
-                            method: 'wallet_switchEthereumChain',
-                            params: [{ chainId: AMOY_CHAIN_ID }],
-                        });
-                    } catch (switchError) {
-                        // This error code indicates that the chain has not been added to MetaMask.
-                        if (switchError.code === 4902) {
-                            await window.ethereum.request({
-                                method: 'wallet_addEthereumChain',
-                                params: [{
-                                    chainId: AMOY_CHAIN_ID,
-                                    chainName: 'Polygon Amoy',
-                                    rpcUrls: ['https://rpc-amoy.polygon.technology'],
-                                    nativeCurrency: { name: 'MATIC', symbol: 'MATIC', decimals: 18 },
-                                    blockExplorerUrls: ['https://amoy.polygonscan.com']
-                                }],
-                            });
-                        } else {
-                           throw switchError;
-                        }
-                    }
-                }
-                
-                await web3Provider.send('eth_requestAccounts', []);
-                const signer = await web3Provider.getSigner();
-                const address = await signer.getAddress();
-                setProvider(web3Provider);
-                setWalletAddress(address);
-            } catch (err) {
-                console.error("Wallet connection failed:", err);
-                setError("Failed to connect wallet. Please ensure you are on the Amoy network.");
-            }
-        } else {
-             setError("Please install MetaMask or another Web3 wallet.");
-        }
-    }, []);
+    const { token: authToken, logout } = useAuth();
+    const { wallets, walletConnectEnabled, provider, address: walletAddress, chainId, error: walletError, isConnecting, isWrongNetwork, connect: connectWallet, disconnect, switchNetwork } = useWallet();
+    const [showWalletPicker, setShowWalletPicker] = useState(false);
+    const { notify } = useNotifications();
+    // Pending confirmation dialog; `resolve` settles the promise handleAdminAction awaits.
+    const [confirming, setConfirming] = useState(null);
 
-    useEffect(() => {
-        connectWallet();
-    }, [connectWallet]);
+    // --- Admin Queries ---
+    // One query per resource, so a failing endpoint only affects the views that use it.
+    const opts = { token: authToken };
+    const statusQuery = useQuery(['admin', 'status'], () => getAdminStatus(opts));
+    const healthQuery = useQuery(['protocol-health'], () => getProtocolHealth());
+    const autoMintQuery = useQuery(['admin', 'automint-config'], () => getAutoMintConfig(opts));
+    const atRiskQuery = useQuery(['admin', 'at-risk-vaults'], () => getAtRiskVaults(opts));
+    const pendingQuery = useQuery(['admin', 'pending-requests'], () => getPendingRequests(opts));
+    const collateralsQuery = useQuery(['admin', 'collaterals'], () => getAdminCollaterals(opts));
+    const queries = [statusQuery, healthQuery, autoMintQuery, atRiskQuery, pendingQuery, collateralsQuery];
+    const { data: protocolStatus } = statusQuery;
+    const { data: protocolHealth } = healthQuery;
+    const { data: autoMintConfig } = autoMintQuery;
+    const pendingRequests = pendingQuery.data || EMPTY_LIST;
+    const atRiskVaults = atRiskQuery.data || EMPTY_LIST;
+    const collaterals = collateralsQuery.data || EMPTY_LIST;
+    // The route guard trusts the JWT role; the API has the final word.
+    const isForbidden = queries.some(q => q.error instanceof ForbiddenError);
+    const isFetching = queries.some(q => q.isFetching);
+    const lastRefreshed = Math.max(...queries.map(q => q.updatedAt));
+    const fetchData = () => Promise.all(queries.map(q => q.refetch()));
+    const [liquidationTargets, setLiquidationTargets] = useState(null);
 
-    const fetchData = useCallback(async () => {
-        if (!authToken) return;
-        setIsLoading(true);
-        setError(null);
-        try {
-            const adminHeaders = { 'Authorization': `Bearer ${authToken}` };
-
-            const [statusRes, healthRes, automintRes, liquidationsRes, pendingRes] = await Promise.all([
-                fetch(`${API_BASE_URL}/admin/status`, { headers: adminHeaders }),
-                fetch(`${API_BASE_URL}/protocol/health`),
-                fetch(`${API_BASE_URL}/admin/automint-config`, { headers: adminHeaders }),
-                fetch(`${API_BASE_URL}/liquidations/at-risk`, { headers: adminHeaders }),
-                fetch(`${API_BASE_URL}/admin/pending-requests`, { headers: adminHeaders }),
-            ]);
-
-            const statusData = await statusRes.json();
-            const healthData = await healthRes.json();
-            const automintData = await automintRes.json();
-            const liquidationsData = await liquidationsRes.json();
-            const pendingData = await pendingRes.json();
-            
-            console.log("API Response - Status:", statusData);
-            console.log("API Response - Health:", healthData);
-            console.log("API Response - AutoMint Config:", automintData);
-            console.log("API Response - At-Risk Vaults:", liquidationsData);
-            console.log("API Response - Pending Requests:", pendingData);
-
-            if (!statusRes.ok || !healthRes.ok || !automintRes.ok || !liquidationsRes.ok || !pendingRes.ok) {
-                throw new Error('Failed to fetch admin data. You may not have admin privileges or the server may be down.');
-            }
-            
-            setProtocolStatus(statusData);
-            setProtocolHealth(healthData);
-            setAutoMintConfig(automintData);
-            setAtRiskVaults(liquidationsData);
-            setPendingRequests(pendingData);
-            setLastRefreshed(new Date());
-
-        } catch (err) {
-            setError(err.message);
-            console.error(err);
-        } finally {
-            setIsLoading(false);
-        }
-    }, [authToken]);
+    // Re-check admin data when the wallet switches accounts so nothing stale stays on screen.
+    useEffect(() => { invalidateQueries(['admin']); }, [walletAddress]);
 
+    // Approves or declines several requests; partial failures are reported (each one) and
+    // returned as `failedIds`, not thrown.
+    const reviewRequests = (verb, requestIds, review) => async () => {
+        const { succeeded, failed } = await runBulk(requestIds, review);
+        if (!succeeded) throw failed[0].error;
+        const failures = failed.map(({ id, error }) => `Request ${id}: ${formatTxError(error)}`).join(' ');
+        return {
+            message: `${verb} ${succeeded} of ${requestIds.length} request(s).${failed.length ? ` ${failed.length} failed. ${failures}` : ''}`,
+            failedIds: failed.map(({ id }) => id),
+        };
+    };
 
-    useEffect(() => {
-        fetchData();
-    }, [fetchData]);
+    const confirmAction = confirmation => new Promise(resolve => setConfirming({ ...confirmation, resolve }));
+    const settleConfirmation = confirmed => {
+        confirming.resolve(confirmed);
+        setConfirming(null);
+    };
 
+    /**
+     * Confirms (when the action calls for it), runs an admin action and refreshes the panel.
+     * Resolves to the action's result (truthy) when it ran and succeeded, else false.
+     */
     const handleAdminAction = async (action, payload) => {
-        console.log(`Executing admin action: ${action}`, payload);
-        const adminHeaders = { 
-            'Authorization': `Bearer ${authToken}`,
-            'Content-Type': 'application/json'
-        };
-        
-        let endpoint = '';
-        let method = 'POST';
-        let body = payload ? JSON.stringify(payload) : null;
+        const confirmation = getConfirmation(action, payload, { autoMintConfig, collaterals });
+        if (confirmation && !(await confirmAction(confirmation))) return false;
+        const opts = { token: authToken };
 
+        let request;
         switch(action) {
             case 'pause':
-                endpoint = '/admin/pause';
-                body = null;
+                request = () => pauseProtocol(opts);
                 break;
             case 'unpause':
-                endpoint = '/admin/unpause';
-                body = null;
+                request = () => unpauseProtocol(opts);
                 break;
             case 'update-automint-config':
-                endpoint = '/admin/update-automint-config';
+                request = () => updateAutoMintConfig(payload, opts);
                 break;
              case 'toggle-automint':
-                endpoint = `/admin/toggle-automint?enabled=${payload.enabled}`;
-                body = null;
+                request = () => toggleAutoMint(payload.enabled, opts);
+                break;
+            case 'approve-mint':
+                request = reviewRequests('Approved', payload.requestIds, id => approveMintRequest(id, opts));
+                break;
+            case 'decline-mint':
+                request = reviewRequests('Declined', payload.requestIds, id => declineMintRequest(id, payload.reason, opts));
+                break;
+            case 'add-collateral':
+                request = () => addCollateral(payload, opts);
+                break;
+            case 'update-collateral':
+                request = () => updateCollateral(payload.address, payload.changes, opts);
+                break;
+            case 'toggle-collateral':
+                request = () => updateCollateral(payload.address, { enabled: payload.enabled }, opts);
                 break;
             default:
-                alert(`Action "${action}" is not implemented yet.`);
-                return;
+                notify({ type: 'warning', title: 'Not available', message: `Action "${action}" is not implemented yet.` });
+                return false;
         }
 
+        const title = ADMIN_ACTION_LABELS[action] || action;
         try {
-            const response = await fetch(`${API_BASE_URL}${endpoint}`, { method, headers: adminHeaders, body });
-            const result = await response.json();
-
-            if (!response.ok) {
-                throw new Error(result.detail || 'Admin action failed.');
-            }
-
-            alert(`Success: ${result.message || 'Action completed.'}`);
+            const result = await request();
+            const partial = result?.failedIds?.length > 0;
+            notify({ type: partial ? 'warning' : 'success', title, message: result?.message || 'Action completed.', ...(partial && { duration: 0 }) });
             fetchData(); // Refresh data after action
+            return result || true;
         } catch (err) {
             console.error(`Failed to execute admin action "${action}":`, err);
-            alert(`Error: ${err.message}`);
+            notify({ type: 'error', title: `${title} failed`, message: formatTxError(err), duration: 0 });
+            return false;
         }
     };
 
     const handleLogout = () => {
-        localStorage.removeItem('authToken');
-        setAuthToken(null);
-        window.location.href = '/';
+        disconnect();
+        logout();
     };
 
-    if (!authToken) {
-        return <AuthWall message="Please log in to view the admin panel." />;
-    }
-    if (isLoading) return <LoadingSpinner />;
-    if (error) return <ErrorMessage message={error} onRetry={fetchData} />;
+    if (isForbidden) return <ForbiddenPage message="The API refused admin access for your account." onRetry={() => fetchData()} />;
 
     return (
         <div className="bg-gray-900 text-white min-h-screen font-sans flex flex-col">
-            <AdminHeader walletAddress={walletAddress} onLogout={handleLogout} />
+            <AdminHeader walletAddress={walletAddress} onConnect={() => setShowWalletPicker(true)} onLogout={handleLogout} />
+            {isWrongNetwork && <WrongNetworkBanner chainId={chainId} onSwitch={switchNetwork} error={walletError} />}
             <main className="flex-grow p-4 sm:p-6 lg:p-8 max-w-7xl mx-auto w-full">
                 <div className="flex justify-between items-center mb-6">
                     <h1 className="text-3xl font-bold text-white flex items-center"><ShieldCheck className="mr-3 text-blue-500" /> Admin Panel</h1>
-                     <button onClick={fetchData} className="flex items-center text-sm text-gray-400 hover:text-white transition-colors">
-                        <RefreshCw className="w-4 h-4 mr-2" />
-                        <span>Last updated: {lastRefreshed.toLocaleTimeString()}</span>
+                     <button onClick={() => fetchData()} className="flex items-center text-sm text-gray-400 hover:text-white transition-colors">
+                        <RefreshCw className={`w-4 h-4 mr-2 ${isFetching ? 'animate-spin' : ''}`} />
+                        <span>Last updated: {lastRefreshed ? new Date(lastRefreshed).toLocaleTimeString() : '—'}</span>
                     </button>
                 </div>
                 
                 <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
                     <nav className="lg:col-span-1 space-y-2">
                         <AdminNavButton text="Dashboard" icon={<Settings />} active={view === 'dashboard'} onClick={() => setView('dashboard')} />
+                        <AdminNavButton text="Analytics" icon={<BarChart3 />} active={view === 'analytics'} onClick={() => setView('analytics')} />
                         <AdminNavButton text="Pending Requests" icon={<FileText />} active={view === 'requests'} onClick={() => setView('requests')} notificationCount={pendingRequests.length} />
                         <AdminNavButton text="At-Risk Vaults" icon={<AlertTriangle />} active={view === 'liquidations'} onClick={() => setView('liquidations')} notificationCount={atRiskVaults.length} />
+                        <AdminNavButton text="Collaterals" icon={<Coins />} active={view === 'collaterals'} onClick={() => setView('collaterals')} />
+                        <AdminNavButton text="Audit Log" icon={<ScrollText />} active={view === 'audit'} onClick={() => setView('audit')} />
                     </nav>
 
                     <div className="lg:col-span-3">
-                        {view === 'dashboard' && <DashboardView protocolStatus={protocolStatus} protocolHealth={protocolHealth} autoMintConfig={autoMintConfig} onAdminAction={handleAdminAction} onConfigure={() => setActiveModal('autoMintConfig')} />}
-                        {view === 'requests' && <PendingRequestsView requests={pendingRequests} onAdminAction={handleAdminAction} />}
-                        {view === 'liquidations' && <AtRiskVaultsView vaults={atRiskVaults} onAdminAction={handleAdminAction} />}
+                        {view === 'dashboard' && (
+                            <QueryView queries={[statusQuery, healthQuery, autoMintQuery]}>
+                                {() => <DashboardView protocolStatus={protocolStatus} protocolHealth={protocolHealth} autoMintConfig={autoMintConfig} onAdminAction={handleAdminAction} onConfigure={() => setActiveModal('autoMintConfig')} />}
+                            </QueryView>
+                        )}
+                        {view === 'analytics' && <ProtocolAnalytics />}
+                        {view === 'requests' && <QueryView queries={[pendingQuery]}>{() => <PendingRequestsView requests={pendingRequests} collaterals={collaterals} authToken={authToken} onAdminAction={handleAdminAction} />}</QueryView>}
+                        {view === 'liquidations' && <QueryView queries={[atRiskQuery]}>{() => <AtRiskVaultsView vaults={atRiskVaults} onLiquidate={setLiquidationTargets} />}</QueryView>}
+                        {view === 'collaterals' && <QueryView queries={[collateralsQuery]}>{() => <CollateralsView collaterals={collaterals} onAdminAction={handleAdminAction} />}</QueryView>}
+                        {view === 'audit' && <AuditLogView authToken={authToken} lastRefreshed={lastRefreshed} />}
                     </div>
                 </div>
             </main>
             <Footer />
-            {activeModal === 'autoMintConfig' && <AutoMintConfigModal currentConfig={autoMintConfig} onClose={() => setActiveModal(null)} onSave={(newConfig) => { handleAdminAction('update-automint-config', newConfig); setActiveModal(null); }} />}
+            {activeModal === 'autoMintConfig' && autoMintConfig && <AutoMintConfigModal currentConfig={autoMintConfig} onClose={() => setActiveModal(null)} onSave={async (newConfig) => { if (await handleAdminAction('update-automint-config', newConfig)) setActiveModal(null); }} />}
+            {confirming && <ConfirmActionDialog {...confirming} onCancel={() => settleConfirmation(false)} onConfirm={() => settleConfirmation(true)} />}
+            {liquidationTargets && (
+                <LiquidationModal vaults={liquidationTargets} collaterals={collaterals} authToken={authToken}
+                    provider={provider} walletAddress={walletAddress} isWrongNetwork={isWrongNetwork} onConnect={() => setShowWalletPicker(true)}
+                    onClose={executed => { setLiquidationTargets(null); if (executed) fetchData(); }} />
+            )}
+            {showWalletPicker && !walletAddress && (
+                <WalletPicker wallets={wallets} walletConnectEnabled={walletConnectEnabled} isConnecting={isConnecting} error={walletError}
+                    onSelect={id => connectWallet(id, { switchChain: true })} onClose={() => setShowWalletPicker(false)} />
+            )}
         </div>
     );
 }
 
 // --- Sub-Components ---
 
-const AdminHeader = ({ walletAddress, onLogout }) => (
+const AdminHeader = ({ walletAddress, onConnect, onLogout }) => (
     <header className="bg-gray-900/80 backdrop-blur-sm sticky top-0 z-40 border-b border-gray-700">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
             <div className="flex items-center justify-between h-16">
@@ -248,9 +240,13 @@ const AdminHeader = ({ walletAddress, onLogout }) => (
                     <span className="ml-3 text-xl font-bold text-white">tGHSX Admin</span>
                 </div>
                 <div className="flex items-center space-x-4">
-                    <div className="bg-gray-800 px-4 py-2 rounded-md text-sm font-mono text-gray-300">
-                        {walletAddress ? `${walletAddress.slice(0, 6)}...${walletAddress.slice(-4)}` : 'Connecting...'}
-                    </div>
+                    {walletAddress ? (
+                        <div className="bg-gray-800 px-4 py-2 rounded-md text-sm font-mono text-gray-300">
+                            {`${walletAddress.slice(0, 6)}...${walletAddress.slice(-4)}`}
+                        </div>
+                    ) : (
+                        <button onClick={onConnect} className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-md text-sm font-semibold text-white">Connect Wallet</button>
+                    )}
                     <button onClick={onLogout} className="p-2 rounded-md hover:bg-gray-700 transition-colors">
                         <LogOut className="h-5 w-5 text-gray-400" />
                     </button>
@@ -321,9 +317,9 @@ const DashboardView = ({ protocolStatus, protocolHealth, autoMintConfig, onAdmin
                 </CardHeader>
                 <div className="p-6">
                     <div className="grid grid-cols-2 gap-4 text-sm mb-4">
-                        <ConfigItem label="Base Reward" value={formatNumber(autoMintConfig.baseReward / 1e6)} />
+                        <ConfigItem label="Base Reward" value={formatNumber(autoMintConfig.baseReward / TGHSX_UNIT)} />
                         <ConfigItem label="Bonus Multiplier" value={`${autoMintConfig.bonusMultiplier}%`} />
-                        <ConfigItem label="Min Hold Time" value={`${autoMintConfig.minHoldTime / 86400} days`} />
+                        <ConfigItem label="Min Hold Time" value={formatDuration(autoMintConfig.minHoldTime)} />
                         <ConfigItem label="Collateral Req." value={`${autoMintConfig.collateralRequirement}%`} />
                     </div>
                     <AdminButton icon={<Settings />} text="Configure Auto-Mint" onClick={onConfigure} />
@@ -334,83 +330,696 @@ const DashboardView = ({ protocolStatus, protocolHealth, autoMintConfig, onAdmin
     </div>
 );
 
-const PendingRequestsView = ({ requests, onAdminAction }) => (
-    <Card>
-        <CardHeader><h2 className="text-xl font-semibold">📋 Pending Mint Requests ({requests.length})</h2></CardHeader>
-        <div className="divide-y divide-gray-700">
-            {requests.length > 0 ? requests.map(req => (
-                <div key={req.id} className="p-4 flex flex-col sm:flex-row justify-between items-start sm:items-center">
+const PendingRequestsView = ({ requests, collaterals, authToken, onAdminAction }) => {
+    const [selected, setSelected] = useState([]);
+    const [declining, setDeclining] = useState(null); // ids waiting for a decline reason
+    const [detail, setDetail] = useState(null);
+    const [inFlight, setInFlight] = useState([]); // ids with an approve or decline running
+
+    const ids = requests.map(req => req.id);
+    const selectedIds = selected.filter(id => ids.includes(id));
+    const allSelected = ids.length > 0 && selectedIds.length === ids.length;
+    const toggle = id => setSelected(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+
+    const isBusy = id => inFlight.includes(id);
+
+    // Failed rows of a partly failed bulk action stay selected, ready for another try.
+    const review = async (action, payload) => {
+        setInFlight(prev => [...prev, ...payload.requestIds]);
+        try {
+            const result = await onAdminAction(action, payload);
+            if (result) {
+                setSelected(result.failedIds || []);
+                setDetail(null);
+            }
+        } finally {
+            setInFlight(prev => prev.filter(id => !payload.requestIds.includes(id)));
+        }
+    };
+    const approve = requestIds => review('approve-mint', { requestIds });
+    const decline = reason => {
+        const requestIds = declining;
+        setDeclining(null);
+        review('decline-mint', { requestIds, reason });
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <h2 className="text-xl font-semibold">📋 Pending Mint Requests ({requests.length})</h2>
+                {selectedIds.length > 0 && (
+                    <div className="flex space-x-2">
+                        <AdminButton icon={<CheckCircle />} text={`Approve ${selectedIds.length}`} className="bg-green-600 hover:bg-green-700 text-xs py-1.5" disabled={selectedIds.some(isBusy)} onClick={() => approve(selectedIds)} />
+                        <AdminButton icon={<XCircle />} text={`Decline ${selectedIds.length}`} className="bg-red-600 hover:bg-red-700 text-xs py-1.5" disabled={selectedIds.some(isBusy)} onClick={() => setDeclining(selectedIds)} />
+                    </div>
+                )}
+            </CardHeader>
+            {requests.length > 0 && (
+                <label className="px-4 py-2 flex items-center text-sm text-gray-400 border-b border-gray-700">
+                    <input type="checkbox" checked={allSelected} onChange={() => setSelected(allSelected ? [] : ids)} className="mr-3" />
+                    Select all
+                </label>
+            )}
+            <div className="divide-y divide-gray-700">
+                {requests.length > 0 ? requests.map(req => (
+                    <div key={req.id} className="p-4 flex flex-col sm:flex-row justify-between items-start sm:items-center">
+                        <div className="flex items-start">
+                            <input type="checkbox" checked={selectedIds.includes(req.id)} onChange={() => toggle(req.id)} className="mt-1.5 mr-3" />
+                            <button onClick={() => setDetail(req)} className="text-left hover:opacity-80">
+                                <p className="font-semibold">{formatNumber(req.mint_amount)} tGHSX</p>
+                                <p className="text-sm text-gray-400 font-mono">User: {req.user_id.slice(0,15)}...</p>
+                                <p className="text-xs text-gray-500 font-mono">Collateral: {req.collateral_address}</p>
+                            </button>
+                        </div>
+                        <div className="flex space-x-2 mt-3 sm:mt-0">
+                            <AdminButton icon={<CheckCircle />} text="Approve" className="bg-green-600 hover:bg-green-700 text-xs py-1.5" disabled={isBusy(req.id)} onClick={() => approve([req.id])} />
+                            <AdminButton icon={<XCircle />} text="Decline" className="bg-red-600 hover:bg-red-700 text-xs py-1.5" disabled={isBusy(req.id)} onClick={() => setDeclining([req.id])} />
+                        </div>
+                    </div>
+                )) : <p className="p-6 text-center text-gray-500">No pending requests.</p>}
+            </div>
+            {detail && (
+                <RequestDetailDrawer request={detail} authToken={authToken} busy={isBusy(detail.id)} onClose={() => setDetail(null)}
+                    collateral={collaterals.find(c => c.address?.toLowerCase() === detail.collateral_address?.toLowerCase())}
+                    onApprove={() => approve([detail.id])} onDecline={() => setDeclining([detail.id])} />
+            )}
+            {declining && <DeclineDialog count={declining.length} onCancel={() => setDeclining(null)} onConfirm={decline} />}
+        </Card>
+    );
+};
+
+const formatRatio = ratio => (Number.isFinite(ratio) ? `${ratio.toFixed(2)}%` : '∞');
+
+// Side panel with what the admin needs to decide: the requester's vault health before and
+// after the mint, their daily limit, and their earlier requests.
+const RequestDetailDrawer = ({ request, collateral, authToken, busy, onClose, onApprove, onDecline }) => {
+    const [detail, setDetail] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setDetail(null);
+        setError(null);
+        getMintRequestDetail(request.id, { token: authToken, signal: controller.signal })
+            .then(setDetail)
+            .catch(err => { if (!isAbortError(err)) setError(err.message); });
+        return () => controller.abort();
+    }, [request.id, authToken]);
+
+    const threshold = getLiquidationThreshold(collateral);
+    const assessment = detail?.vault ? assessMintRequest(request, { vault: detail.vault, mintStatus: detail.mint_status, threshold }) : null;
+    const history = detail?.mint_history || [];
+
+    return (
+        <div className="fixed inset-0 bg-black/60 z-50 flex justify-end" onClick={onClose}>
+            <aside className="bg-gray-800 w-full max-w-md h-full overflow-y-auto shadow-xl flex flex-col" onClick={e => e.stopPropagation()}>
+                <div className="p-6 border-b border-gray-700 flex justify-between items-start">
                     <div>
-                        <p className="font-semibold">{formatNumber(req.mint_amount)} tGHSX</p>
-                        <p className="text-sm text-gray-400 font-mono">User: {req.user_id.slice(0,15)}...</p>
-                        <p className="text-xs text-gray-500 font-mono">Collateral: {req.collateral_address}</p>
+                        <h3 className="text-xl font-semibold">{formatNumber(request.mint_amount)} tGHSX</h3>
+                        <p className="text-xs text-gray-400 font-mono break-all">User: {request.user_id}</p>
+                        <p className="text-xs text-gray-500 font-mono break-all">Collateral: {request.collateral_address}</p>
+                        {request.created_at && <p className="text-xs text-gray-500">Requested {new Date(request.created_at).toLocaleString()}</p>}
                     </div>
-                    <div className="flex space-x-2 mt-3 sm:mt-0">
-                        <AdminButton icon={<CheckCircle />} text="Approve" className="bg-green-600 hover:bg-green-700 text-xs py-1.5" onClick={() => onAdminAction('approve-mint', { requestId: req.id })} />
-                        <AdminButton icon={<XCircle />} text="Decline" className="bg-red-600 hover:bg-red-700 text-xs py-1.5" onClick={() => onAdminAction('decline-mint', { requestId: req.id })} />
+                    <button onClick={onClose} className="p-1 rounded hover:bg-gray-700 text-gray-400"><XCircle className="w-5 h-5" /></button>
+                </div>
+                <div className="p-6 space-y-6 flex-grow">
+                    {error && <p className="text-sm text-red-400">{error}</p>}
+                    {!detail && !error && <p className="text-sm text-gray-400 flex items-center"><RefreshCw className="w-4 h-4 mr-2 animate-spin" />Loading requester details…</p>}
+                    {assessment && (
+                        <div className="grid grid-cols-2 gap-4">
+                            <ConfigItem label="Current Ratio" value={formatRatio(assessment.ratioBefore)} />
+                            <div>
+                                <p className="text-xs text-gray-400">Ratio After Mint</p>
+                                <p className={`font-semibold ${assessment.belowThreshold ? 'text-red-400' : 'text-green-400'}`}>{formatRatio(assessment.ratioAfter)}</p>
+                            </div>
+                            <ConfigItem label="Daily Limit Left" value={assessment.remainingDaily === null ? 'Unknown' : `${formatNumber(assessment.remainingDaily)} tGHSX`} />
+                            <div>
+                                <p className="text-xs text-gray-400">Daily Limit</p>
+                                <p className={`font-semibold ${assessment.exceedsDailyLimit ? 'text-red-400' : 'text-green-400'}`}>{assessment.exceedsDailyLimit ? 'Would be exceeded' : 'Within limit'}</p>
+                            </div>
+                        </div>
+                    )}
+                    {assessment?.belowThreshold && (
+                        <p className="text-sm text-red-300 bg-red-900/40 border border-red-500/40 rounded-md p-3 flex items-center">
+                            <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+                            Approving takes this vault below the {threshold}% liquidation threshold.
+                        </p>
+                    )}
+                    {detail && (
+                        <div>
+                            <h4 className="text-sm font-semibold text-gray-300 mb-2">Mint History</h4>
+                            {history.length ? (
+                                <ul className="divide-y divide-gray-700 text-sm">
+                                    {history.map(item => (
+                                        <li key={item.id} className="py-2 flex justify-between">
+                                            <span>{formatNumber(item.mint_amount)} tGHSX</span>
+                                            <span className="text-gray-400 capitalize">{item.status}</span>
+                                            <span className="text-gray-500">{new Date(item.created_at).toLocaleDateString()}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            ) : <p className="text-sm text-gray-500">No previous mint requests.</p>}
+                        </div>
+                    )}
+                </div>
+                <div className="p-6 border-t border-gray-700 flex space-x-2">
+                    <AdminButton icon={<CheckCircle />} text="Approve" className="bg-green-600 hover:bg-green-700" disabled={busy} onClick={onApprove} />
+                    <AdminButton icon={<XCircle />} text="Decline" className="bg-red-600 hover:bg-red-700" disabled={busy} onClick={onDecline} />
+                </div>
+            </aside>
+        </div>
+    );
+};
+
+const DeclineDialog = ({ count, onCancel, onConfirm }) => {
+    const [reason, setReason] = useState('');
+    const trimmed = reason.trim();
+    return (
+        <div className="fixed inset-0 bg-black/70 z-[55] flex items-center justify-center p-4" onClick={onCancel}>
+            <div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-md" onClick={e => e.stopPropagation()}>
+                <div className="p-6 border-b border-gray-700"><h3 className="text-xl font-semibold">Decline {count > 1 ? `${count} Requests` : 'Request'}</h3></div>
+                <div className="p-6">
+                    <label htmlFor="declineReason" className="block text-sm font-medium text-gray-300 mb-1">Reason (shown to the requester)</label>
+                    <textarea id="declineReason" rows={3} value={reason} onChange={e => setReason(e.target.value)} className="w-full bg-gray-900 border border-gray-600 rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" placeholder="e.g. Collateral ratio too low after this mint." />
+                </div>
+                <div className="p-4 bg-gray-900/50 rounded-b-lg flex justify-end space-x-3">
+                    <button onClick={onCancel} className="px-4 py-2 rounded-md text-sm font-medium bg-gray-600 hover:bg-gray-500">Cancel</button>
+                    <button onClick={() => onConfirm(trimmed)} disabled={!trimmed} className="px-4 py-2 rounded-md text-sm font-medium bg-red-600 hover:bg-red-700 disabled:opacity-50">Decline</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const AtRiskVaultsView = ({ vaults, onLiquidate }) => {
+    const [sortKey, setSortKey] = useState('ratio-asc');
+    const [selected, setSelected] = useState([]);
+
+    const sorted = useMemo(() => sortAtRiskVaults(vaults, sortKey), [vaults, sortKey]);
+    const ids = sorted.map(atRiskVaultId);
+    const selectedIds = selected.filter(id => ids.includes(id));
+    const allSelected = ids.length > 0 && selectedIds.length === ids.length;
+    const toggle = id => setSelected(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    const liquidateSelected = () => onLiquidate(sorted.filter(vault => selectedIds.includes(atRiskVaultId(vault))));
+
+    return (
+        <Card>
+            <CardHeader>
+                <h2 className="text-xl font-semibold">⚠️ At-Risk Vaults ({vaults.length})</h2>
+                <div className="flex items-center space-x-2">
+                    {selectedIds.length > 0 && (
+                        <AdminButton icon={<AlertTriangle />} text={`Liquidate ${selectedIds.length}`} className="bg-amber-600 hover:bg-amber-700 text-xs py-1.5" onClick={liquidateSelected} />
+                    )}
+                    <select value={sortKey} onChange={e => setSortKey(e.target.value)} aria-label="Sort vaults" className="bg-gray-900 border border-gray-600 rounded-md p-1.5 text-sm">
+                        {Object.entries(AT_RISK_SORTS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                </div>
+            </CardHeader>
+            {vaults.length > 0 && (
+                <label className="px-4 py-2 flex items-center text-sm text-gray-400 border-b border-gray-700">
+                    <input type="checkbox" checked={allSelected} onChange={() => setSelected(allSelected ? [] : ids)} className="mr-3" />
+                    Select all
+                </label>
+            )}
+            <div className="divide-y divide-gray-700">
+                {sorted.length > 0 ? sorted.map(vault => (
+                    <div key={atRiskVaultId(vault)} className="p-4 flex flex-col sm:flex-row justify-between items-start sm:items-center">
+                        <div className="flex items-start">
+                            <input type="checkbox" checked={selectedIds.includes(atRiskVaultId(vault))} onChange={() => toggle(atRiskVaultId(vault))} className="mt-1.5 mr-3" />
+                            <div>
+                                <p className="font-semibold font-mono">{vault.wallet_address}</p>
+                                <p className="text-sm text-amber-400">Ratio: {vault.collateralization_ratio}</p>
+                                <p className="text-sm text-gray-400">Debt: {formatNumber(vault.minted_amount)} tGHSX</p>
+                            </div>
+                        </div>
+                        <div className="mt-3 sm:mt-0">
+                            <AdminButton icon={<AlertTriangle />} text="Liquidate" className="bg-amber-600 hover:bg-amber-700" onClick={() => onLiquidate([vault])} />
+                        </div>
                     </div>
+                )) : <p className="p-6 text-center text-gray-500">No vaults are currently eligible for liquidation.</p>}
+            </div>
+        </Card>
+    );
+};
+
+// Smallest tGHSX amount that covers `amount`, so approvals never fall a unit short.
+const toDebtUnits = (amount, decimals) => ethers.utils.parseUnits(toAmountInput(parseFloat(amount), decimals, { roundUp: true }), decimals);
+
+const LIQUIDATION_METHODS = { WALLET: 'wallet', BACKEND: 'backend' };
+
+const LiquidationModal = ({ vaults, collaterals, authToken, provider, walletAddress, isWrongNetwork, onConnect, onClose }) => {
+    const [method, setMethod] = useState(LIQUIDATION_METHODS.WALLET);
+    const [status, setStatus] = useState({ loading: false, error: null, message: null });
+    const [results, setResults] = useState({}); // vault id -> 'done' | error message
+    const [flowId, setFlowId] = useState(null);
+    const { trackTransaction, getFlow } = useTransactions();
+
+    const { rows, totals } = useMemo(() => previewBatch(vaults, {
+        getCollateral: address => collaterals.find(c => c.address?.toLowerCase() === address?.toLowerCase()),
+    }), [vaults, collaterals]);
+    const unpriced = rows.filter(row => row.price === null).length;
+    // tGHSX decimals as read from the token contract; wallet liquidations wait until they are known.
+    const { getToken } = useTokenRegistry(null, { provider });
+    const tghsx = getToken(TGHSX_ADDRESS);
+    const { balance: tghsxBalance } = useTokenBalance(method === LIQUIDATION_METHODS.WALLET ? provider : null, TGHSX_ADDRESS, walletAddress, tghsx?.decimals);
+    const insufficientBalance = method === LIQUIDATION_METHODS.WALLET && tghsxBalance != null && parseFloat(tghsxBalance) < totals.debtToCover;
+    const walletBlocked = method === LIQUIDATION_METHODS.WALLET && (!walletAddress || isWrongNetwork || insufficientBalance || !tghsx);
+    const executed = flowId !== null;
+
+    // Liquidations go one at a time: wallet nonces must stay in order and one revert shouldn't stop the rest.
+    const liquidateEach = async (flow, send) => {
+        const outcome = {};
+        for (const vault of vaults) {
+            const id = atRiskVaultId(vault);
+            try {
+                setStatus(s => ({ ...s, message: `Liquidating ${vault.wallet_address.slice(0, 10)}…` }));
+                const tx = await send(vault);
+                trackTransaction(tx, { label: `Liquidate ${vault.wallet_address.slice(0, 10)}…`, flowId: flow, step: id });
+                if (tx.wait) await tx.wait();
+                outcome[id] = 'done';
+            } catch (err) {
+                console.error(`Liquidation of ${id} failed:`, err);
+                outcome[id] = formatTxError(err);
+            }
+            setResults({ ...outcome });
+        }
+        return outcome;
+    };
+
+    const handleExecute = async () => {
+        if (walletBlocked) return;
+        const flow = `liquidate-${Date.now()}`;
+        setFlowId(flow);
+        setResults({});
+        setStatus({ loading: true, error: null, message: 'Preparing…' });
+        try {
+            let outcome;
+            if (method === LIQUIDATION_METHODS.WALLET) {
+                const signer = provider.getSigner();
+                const vault = new ethers.Contract(VAULT_ADDRESS, VAULT_LIQUIDATION_ABI, signer);
+                const total = vaults.reduce((sum, v) => sum.add(toDebtUnits(v.minted_amount, tghsx.decimals)), ethers.BigNumber.from(0));
+                setStatus(s => ({ ...s, message: 'Checking tGHSX allowance…' }));
+                await ensureAllowance({
+                    token: getErc20(TGHSX_ADDRESS, signer), owner: walletAddress, spender: VAULT_ADDRESS, amount: total,
+                    onSubmitted: tx => trackTransaction(tx, { label: 'Approve tGHSX', flowId: flow, step: 'approve' }),
+                });
+                outcome = await liquidateEach(flow, v => vault.liquidate(v.wallet_address, v.collateral_address));
+            } else {
+                outcome = await liquidateEach(flow, async v => {
+                    const { tx_hash: hash } = await executeLiquidation(v.wallet_address, v.collateral_address, { token: authToken });
+                    return { hash };
+                });
+            }
+            const failed = Object.values(outcome).filter(r => r !== 'done').length;
+            setStatus({
+                loading: false,
+                error: failed ? `${failed} of ${vaults.length} liquidation(s) failed.` : null,
+                message: method === LIQUIDATION_METHODS.WALLET ? `Liquidated ${vaults.length - failed} vault(s).` : `Submitted ${vaults.length - failed} liquidation(s); tracking continues below.`,
+            });
+        } catch (err) {
+            console.error('Liquidation failed:', err);
+            setStatus({ loading: false, error: formatTxError(err), message: null });
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4" onClick={() => onClose(executed)}>
+            <div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto" onClick={e => e.stopPropagation()}>
+                <div className="p-6 border-b border-gray-700">
+                    <h3 className="text-xl font-semibold">Liquidate {vaults.length > 1 ? `${vaults.length} Vaults` : 'Vault'}</h3>
                 </div>
-            )) : <p className="p-6 text-center text-gray-500">No pending requests.</p>}
+                <div className="p-6 space-y-4">
+                    <table className="w-full text-sm">
+                        <thead className="text-gray-400 text-left">
+                            <tr><th className="pb-2">Vault</th><th className="pb-2 text-right">Debt to cover</th><th className="pb-2 text-right">Seized</th><th className="pb-2 text-right">Bonus</th></tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-700">
+                            {rows.map(({ vault, price, preview }) => {
+                                const result = results[atRiskVaultId(vault)];
+                                return (
+                                    <tr key={atRiskVaultId(vault)}>
+                                        <td className="py-2 font-mono">
+                                            {vault.wallet_address.slice(0, 10)}…
+                                            {result === 'done' && <CheckCircle className="inline w-4 h-4 ml-2 text-green-400" />}
+                                            {result && result !== 'done' && <p className="text-xs text-red-400 font-sans">{result}</p>}
+                                        </td>
+                                        <td className="py-2 text-right">{formatNumber(preview.debtToCover)} tGHSX</td>
+                                        {price === null ? (
+                                            <td colSpan={2} className="py-2 text-right text-gray-500">No collateral value</td>
+                                        ) : (
+                                            <>
+                                                <td className="py-2 text-right">{preview.seizedCollateral.toFixed(6)}<span className="block text-xs text-gray-500">{formatCurrency(preview.seizedValueUSD)} at {formatCurrency(price)}</span></td>
+                                                <td className="py-2 text-right text-green-400">{formatCurrency(preview.bonusValueUSD)}</td>
+                                            </>
+                                        )}
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                        {rows.length > 1 && (
+                            <tfoot className="font-semibold border-t border-gray-600">
+                                <tr><td className="pt-2">Total</td><td className="pt-2 text-right">{formatNumber(totals.debtToCover)} tGHSX</td><td className="pt-2 text-right">{formatCurrency(totals.seizedValueUSD)}</td><td className="pt-2 text-right text-green-400">{formatCurrency(totals.bonusValueUSD)}</td></tr>
+                            </tfoot>
+                        )}
+                    </table>
+                    {unpriced > 0 && <p className="text-xs text-amber-400">{unpriced} vault(s) came without a collateral value, so their seized collateral and bonus are left out of the totals.</p>}
+
+                    <div className="grid grid-cols-2 gap-2">
+                        <MethodOption active={method === LIQUIDATION_METHODS.WALLET} disabled={executed} icon={<Wallet className="w-4 h-4" />} title="Connected wallet"
+                            description="You repay the debt in tGHSX and receive the collateral." onClick={() => setMethod(LIQUIDATION_METHODS.WALLET)} />
+                        <MethodOption active={method === LIQUIDATION_METHODS.BACKEND} disabled={executed} icon={<Server className="w-4 h-4" />} title="Protocol keeper"
+                            description="The backend's keeper wallet liquidates on the protocol's behalf." onClick={() => setMethod(LIQUIDATION_METHODS.BACKEND)} />
+                    </div>
+                    {method === LIQUIDATION_METHODS.WALLET && !walletAddress && (
+                        <p className="text-sm text-amber-400">Connect a wallet to liquidate with it. <button onClick={onConnect} className="underline">Connect</button></p>
+                    )}
+                    {method === LIQUIDATION_METHODS.WALLET && walletAddress && isWrongNetwork && <p className="text-sm text-amber-400">Switch your wallet to {TARGET_CHAIN.chainName} to continue.</p>}
+                    {insufficientBalance && <p className="text-sm text-red-400">Your wallet holds {formatNumber(tghsxBalance)} tGHSX but needs {formatNumber(totals.debtToCover)} to cover this debt.</p>}
+
+                    {flowId && <TransactionSteps steps={getFlow(flowId)} />}
+                    {status.loading && <p className="text-blue-400 flex items-center justify-center"><RefreshCw className="w-4 h-4 animate-spin mr-2" />{status.message}</p>}
+                    {!status.loading && status.message && <p className="text-green-400 text-center">{status.message}</p>}
+                    {status.error && <p className="text-red-400 text-center">{status.error}</p>}
+                </div>
+                <div className="p-4 bg-gray-900/50 rounded-b-lg flex justify-end space-x-3">
+                    {status.loading && <span className="self-center text-xs text-gray-500 mr-auto">You can close this — tracking continues.</span>}
+                    <button onClick={() => onClose(executed)} className="px-4 py-2 rounded-md text-sm font-medium bg-gray-600 hover:bg-gray-500">{executed && !status.loading ? 'Close' : 'Cancel'}</button>
+                    {!executed && (
+                        <button onClick={handleExecute} disabled={walletBlocked} className="px-4 py-2 rounded-md text-sm font-medium bg-amber-600 hover:bg-amber-700 disabled:opacity-50">
+                            Liquidate {vaults.length > 1 ? `${vaults.length} Vaults` : 'Vault'}
+                        </button>
+                    )}
+                </div>
+            </div>
         </div>
-    </Card>
+    );
+};
+
+const MethodOption = ({ active, disabled, icon, title, description, onClick }) => (
+    <button onClick={onClick} disabled={disabled} className={`text-left p-3 rounded-md border ${active ? 'border-amber-500 bg-amber-500/10' : 'border-gray-600 hover:border-gray-500'} disabled:opacity-60`}>
+        <span className="flex items-center font-semibold text-sm">{icon}<span className="ml-2">{title}</span></span>
+        <span className="block text-xs text-gray-400 mt-1">{description}</span>
+    </button>
 );
 
-const AtRiskVaultsView = ({ vaults, onAdminAction }) => (
-    <Card>
-        <CardHeader><h2 className="text-xl font-semibold">⚠️ At-Risk Vaults ({vaults.length})</h2></CardHeader>
-        <div className="divide-y divide-gray-700">
-            {vaults.length > 0 ? vaults.map(vault => (
-                <div key={vault.wallet_address} className="p-4 flex flex-col sm:flex-row justify-between items-start sm:items-center">
-                    <div>
-                        <p className="font-semibold font-mono">{vault.wallet_address}</p>
-                        <p className="text-sm text-amber-400">Ratio: {vault.collateralization_ratio}</p>
-                        <p className="text-sm text-gray-400">Debt: {formatNumber(vault.minted_amount)} tGHSX</p>
+const ConfirmActionDialog = ({ title, message, confirmWord, confirmLabel, danger, diff, onCancel, onConfirm }) => {
+    const [typed, setTyped] = useState('');
+    const canConfirm = (!confirmWord || typed === confirmWord) && (!diff || diff.length > 0);
+    return (
+        <div className="fixed inset-0 bg-black/70 z-[60] flex items-center justify-center p-4" onClick={onCancel}>
+            <div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-md" onClick={e => e.stopPropagation()}>
+                <div className="p-6 border-b border-gray-700"><h3 className="text-xl font-semibold">{title}</h3></div>
+                <div className="p-6 space-y-4">
+                    <p className="text-sm text-gray-300">{message}</p>
+                    {diff && (diff.length > 0 ? (
+                        <table className="w-full text-sm">
+                            <thead className="text-gray-400 text-left"><tr><th className="pb-2">Setting</th><th className="pb-2">Current</th><th className="pb-2">New</th></tr></thead>
+                            <tbody className="divide-y divide-gray-700">
+                                {diff.map(({ key, label, from, to }) => (
+                                    <tr key={key}><td className="py-2">{label}</td><td className="py-2 text-red-400 line-through">{from}</td><td className="py-2 text-green-400">{to}</td></tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    ) : <p className="text-sm text-gray-500">Nothing changed.</p>)}
+                    {confirmWord && (
+                        <div>
+                            <label htmlFor="confirmWord" className="block text-sm font-medium text-gray-300 mb-1">Type <span className="font-mono font-bold text-white">{confirmWord}</span> to confirm</label>
+                            <input id="confirmWord" autoFocus autoComplete="off" value={typed} onChange={e => setTyped(e.target.value)} className="w-full bg-gray-900 border border-gray-600 rounded-md p-2 font-mono focus:ring-red-500 focus:border-red-500" />
+                        </div>
+                    )}
+                </div>
+                <div className="p-4 bg-gray-900/50 rounded-b-lg flex justify-end space-x-3">
+                    <button onClick={onCancel} className="px-4 py-2 rounded-md text-sm font-medium bg-gray-600 hover:bg-gray-500">Cancel</button>
+                    <button onClick={onConfirm} disabled={!canConfirm} className={`px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50 ${danger ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}>{confirmLabel}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const CollateralsView = ({ collaterals, onAdminAction }) => {
+    const [editing, setEditing] = useState(null); // 'new' or the collateral being edited
+
+    return (
+        <Card>
+            <CardHeader>
+                <h2 className="text-xl font-semibold">🪙 Collaterals ({collaterals.length})</h2>
+                <div><AdminButton icon={<Plus />} text="Add Collateral" className="bg-blue-600 hover:bg-blue-700 text-xs py-1.5" onClick={() => setEditing('new')} /></div>
+            </CardHeader>
+            <div className="divide-y divide-gray-700">
+                {collaterals.length > 0 ? collaterals.map(collateral => (
+                    <div key={collateral.address} className="p-4 flex flex-col sm:flex-row justify-between items-start sm:items-center">
+                        <div>
+                            <p className="font-semibold">
+                                {collateral.symbol}
+                                <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${collateral.enabled !== false ? 'bg-green-500/20 text-green-400' : 'bg-gray-500/20 text-gray-400'}`}>{collateral.enabled !== false ? 'Enabled' : 'Disabled'}</span>
+                            </p>
+                            <p className="text-xs text-gray-500 font-mono">{collateral.address}</p>
+                            <p className="text-sm text-gray-400 mt-1">
+                                {COLLATERAL_PARAM_FIELDS.filter(({ key }) => key !== 'oracleFeed' && collateral[key] != null).map(({ key, label, format }) => `${label}: ${format(collateral[key])}`).join(' · ')}
+                            </p>
+                        </div>
+                        <div className="flex space-x-2 mt-3 sm:mt-0">
+                            <AdminButton icon={<Pencil className="w-4 h-4" />} text="Edit" className="bg-gray-600 hover:bg-gray-500 text-xs py-1.5" onClick={() => setEditing(collateral)} />
+                            {collateral.enabled !== false
+                                ? <AdminButton icon={<XCircle />} text="Disable" className="bg-red-600 hover:bg-red-700 text-xs py-1.5" onClick={() => onAdminAction('toggle-collateral', { address: collateral.address, symbol: collateral.symbol, enabled: false })} />
+                                : <AdminButton icon={<CheckCircle />} text="Enable" className="bg-green-600 hover:bg-green-700 text-xs py-1.5" onClick={() => onAdminAction('toggle-collateral', { address: collateral.address, symbol: collateral.symbol, enabled: true })} />}
+                        </div>
                     </div>
-                    <div className="mt-3 sm:mt-0">
-                        <AdminButton icon={<AlertTriangle />} text="Liquidate" className="bg-amber-600 hover:bg-amber-700" onClick={() => onAdminAction('liquidate', { wallet: vault.wallet_address, collateral: vault.collateral_address })} />
+                )) : <p className="p-6 text-center text-gray-500">No collaterals are registered yet.</p>}
+            </div>
+            {editing && (
+                <CollateralFormModal collateral={editing === 'new' ? null : editing} collaterals={collaterals}
+                    onClose={() => setEditing(null)} onSubmit={async (action, payload) => { if (await onAdminAction(action, payload)) setEditing(null); }} />
+            )}
+        </Card>
+    );
+};
+
+const CollateralFormModal = ({ collateral, collaterals, onClose, onSubmit }) => {
+    const isNew = !collateral;
+    const initialForm = useMemo(() => (isNew ? EMPTY_COLLATERAL_FORM : toCollateralForm(collateral)), [isNew, collateral]);
+    const [form, setForm] = useState(initialForm);
+    const [touched, setTouched] = useState(false);
+    const [token, setToken] = useState({ loading: false, info: null, error: null });
+
+    // New tokens are checked on-chain as soon as the address is complete.
+    const address = form.address.trim();
+    useEffect(() => {
+        if (!isNew || !isAddress(address)) {
+            setToken({ loading: false, info: null, error: null });
+            return;
+        }
+        let cancelled = false;
+        setToken({ loading: true, info: null, error: null });
+        // The vault's chain, not whatever network the admin's wallet is on.
+        readTokenMetadata(address, getReadProvider())
+            .then(info => {
+                if (cancelled) return;
+                setToken({ loading: false, info, error: null });
+                setForm(prev => ({ ...prev, decimals: prev.decimals || String(info.decimals) }));
+            })
+            .catch(err => { if (!cancelled) setToken({ loading: false, info: null, error: err.message }); });
+        return () => { cancelled = true; };
+    }, [isNew, address]);
+
+    const { params, errors } = useMemo(() => validateCollateralForm(form, { existing: collaterals, onChain: token.info, isNew }), [form, collaterals, token.info, isNew]);
+    const errorFor = name => (touched || form[name] !== initialForm[name] ? errors[name] : null);
+    const handleChange = e => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSave = () => {
+        setTouched(true);
+        if (!params) return;
+        if (isNew) {
+            onSubmit('add-collateral', { ...params, symbol: token.info.symbol, enabled: true });
+            return;
+        }
+        const changes = Object.fromEntries(COLLATERAL_PARAM_FIELDS
+            .filter(({ key }) => String(params[key]) !== String(collateral[key] ?? ''))
+            .map(({ key }) => [key, params[key]]));
+        if (!Object.keys(changes).length) onClose();
+        else onSubmit('update-collateral', { address: collateral.address, changes });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4" onClick={onClose}>
+            <div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-lg" onClick={e => e.stopPropagation()}>
+                <div className="p-6 border-b border-gray-700"><h3 className="text-xl font-semibold">{isNew ? 'Add Collateral' : `Edit ${collateral.symbol}`}</h3></div>
+                <div className="p-6 space-y-4">
+                    {isNew ? (
+                        <div>
+                            <ModalInput name="address" label="Token Address" value={form.address} onChange={handleChange} placeholder="0x…" autoComplete="off" error={token.error || errorFor('address')} />
+                            {token.loading && <p className="mt-1 text-xs text-blue-400 flex items-center"><RefreshCw className="w-3 h-3 mr-1 animate-spin" />Reading symbol() and decimals()…</p>}
+                            {token.info && <p className="mt-1 text-xs text-green-400">Found {token.info.symbol} with {token.info.decimals} decimals.</p>}
+                        </div>
+                    ) : <p className="text-xs text-gray-500 font-mono">{collateral.address}</p>}
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <ModalInput name="liquidationThreshold" label="Liquidation Threshold (%)" value={form.liquidationThreshold} onChange={handleChange} type="number" step="1" error={errorFor('liquidationThreshold')} />
+                        <ModalInput name="liquidationBonus" label="Liquidator Bonus (%)" value={form.liquidationBonus} onChange={handleChange} type="number" step="0.1" error={errorFor('liquidationBonus')} />
+                        <ModalInput name="debtCeiling" label="Debt Ceiling (tGHSX)" value={form.debtCeiling} onChange={handleChange} type="number" error={errorFor('debtCeiling')} />
+                        <ModalInput name="decimals" label="Decimals" value={form.decimals} onChange={handleChange} type="number" step="1" error={errorFor('decimals')} />
                     </div>
+                    <ModalInput name="oracleFeed" label="Oracle Price Feed" value={form.oracleFeed} onChange={handleChange} placeholder="0x…" autoComplete="off" error={errorFor('oracleFeed')} />
                 </div>
-            )) : <p className="p-6 text-center text-gray-500">No vaults are currently eligible for liquidation.</p>}
+                <div className="p-4 bg-gray-900/50 rounded-b-lg flex justify-end space-x-3">
+                    <button onClick={onClose} className="px-4 py-2 rounded-md text-sm font-medium bg-gray-600 hover:bg-gray-500">Cancel</button>
+                    <button onClick={handleSave} disabled={token.loading || (touched && !params)} className="px-4 py-2 rounded-md text-sm font-medium bg-blue-600 hover:bg-blue-700 disabled:opacity-50">{isNew ? 'Add Collateral' : 'Save Changes'}</button>
+                </div>
+            </div>
         </div>
-    </Card>
-);
+    );
+};
+
+const AuditLogView = ({ authToken, lastRefreshed }) => {
+    const [filters, setFilters] = useState({ admin: '', action: 'all' });
+    const [page, setPage] = useState(1);
+    const [log, setLog] = useState({ entries: [], total: 0 });
+    const [status, setStatus] = useState({ loading: true, error: null });
+    const [expanded, setExpanded] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setStatus({ loading: true, error: null });
+        // Debounced so typing an admin name doesn't fire a request per keystroke.
+        const timer = setTimeout(() => {
+            getAuditLog(toAuditQuery({ page, ...filters }), { token: authToken, signal: controller.signal })
+                .then(data => {
+                    setLog({ entries: data.entries || [], total: data.total || 0 });
+                    setStatus({ loading: false, error: null });
+                })
+                .catch(err => {
+                    if (isAbortError(err)) return;
+                    console.error(err);
+                    setStatus({ loading: false, error: err.message });
+                });
+        }, 300);
+        return () => { clearTimeout(timer); controller.abort(); };
+    }, [authToken, page, filters, lastRefreshed]);
+
+    const setFilter = (name, value) => {
+        setFilters(prev => ({ ...prev, [name]: value }));
+        setPage(1);
+    };
+    const pageCount = Math.max(1, Math.ceil(log.total / AUDIT_PAGE_SIZE));
+
+    return (
+        <Card>
+            <CardHeader>
+                <h2 className="text-xl font-semibold">📜 Audit Log</h2>
+                <div className="flex items-center space-x-2">
+                    <input value={filters.admin} onChange={e => setFilter('admin', e.target.value)} placeholder="Filter by admin" aria-label="Filter by admin" className="bg-gray-900 border border-gray-600 rounded-md p-1.5 text-sm w-40" />
+                    <select value={filters.action} onChange={e => setFilter('action', e.target.value)} aria-label="Filter by action" className="bg-gray-900 border border-gray-600 rounded-md p-1.5 text-sm">
+                        <option value="all">All actions</option>
+                        {Object.entries(ADMIN_ACTION_LABELS).map(([action, label]) => <option key={action} value={action}>{label}</option>)}
+                    </select>
+                </div>
+            </CardHeader>
+            {status.error && <p className="p-6 text-center text-red-400">{status.error}</p>}
+            {!status.error && (
+                <div className={`divide-y divide-gray-700 ${status.loading ? 'opacity-50' : ''}`}>
+                    {log.entries.length > 0 ? log.entries.map(entry => (
+                        <div key={entry.id} className="p-4 text-sm">
+                            <button onClick={() => setExpanded(expanded === entry.id ? null : entry.id)} className="w-full flex justify-between items-start text-left">
+                                <div>
+                                    <p className="font-semibold">{ADMIN_ACTION_LABELS[entry.action] || entry.action}</p>
+                                    <p className="text-gray-400">{entry.admin} · {new Date(entry.created_at).toLocaleString()}</p>
+                                    {entry.message && <p className="text-gray-500 text-xs mt-1">{entry.message}</p>}
+                                </div>
+                                <span className={`text-xs px-2 py-1 rounded-full ${entry.result === 'success' ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'}`}>{entry.result}</span>
+                            </button>
+                            {expanded === entry.id && (
+                                <pre className="mt-3 bg-gray-900 rounded-md p-3 text-xs text-gray-300 overflow-x-auto">{JSON.stringify(entry.payload ?? null, null, 2)}</pre>
+                            )}
+                        </div>
+                    )) : <p className="p-6 text-center text-gray-500">{status.loading ? 'Loading…' : 'No admin actions match these filters.'}</p>}
+                </div>
+            )}
+            {log.total > AUDIT_PAGE_SIZE && (
+                <div className="p-4 border-t border-gray-700 flex items-center justify-between text-sm text-gray-400">
+                    <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="flex items-center disabled:opacity-40"><ChevronLeft className="w-4 h-4" /> Newer</button>
+                    <span>Page {page} of {pageCount}</span>
+                    <button onClick={() => setPage(p => p + 1)} disabled={page >= pageCount} className="flex items-center disabled:opacity-40">Older <ChevronRight className="w-4 h-4" /></button>
+                </div>
+            )}
+        </Card>
+    );
+};
 
 const AutoMintConfigModal = ({ currentConfig, onClose, onSave }) => {
-    const [config, setConfig] = useState({
-        baseReward: (currentConfig.baseReward / 1e6) || 0,
-        bonusMultiplier: currentConfig.bonusMultiplier || 0,
-        minHoldTime: currentConfig.minHoldTime || 0,
-        collateralRequirement: currentConfig.collateralRequirement || 0
-    });
+    const initialForm = useMemo(() => toAutoMintForm(currentConfig), [currentConfig]);
+    const [form, setForm] = useState(initialForm);
+    const [touched, setTouched] = useState(false);
+    const { config, errors } = useMemo(() => validateAutoMintForm(form), [form]);
 
     const handleChange = (e) => {
         const { name, value } = e.target;
-        setConfig(prev => ({ ...prev, [name]: value }));
+        setForm(prev => ({ ...prev, [name]: value }));
     };
 
     const handleSave = () => {
-        const newConfig = {
-            baseReward: Math.round(parseFloat(config.baseReward) * 1e6),
-            bonusMultiplier: parseInt(config.bonusMultiplier, 10),
-            minHoldTime: parseInt(config.minHoldTime, 10),
-            collateralRequirement: parseInt(config.collateralRequirement, 10)
-        };
-        onSave(newConfig);
+        setTouched(true);
+        if (config) onSave(config);
     };
 
+    // Errors show once a field is edited or save is attempted, not on open.
+    const errorFor = name => (touched || form[name] !== initialForm[name] ? errors[name] : null);
+    const emissionBefore = estimateDailyEmissionPerVault(currentConfig);
+    const emissionAfter = config ? estimateDailyEmissionPerVault(config) : null;
+    const emissionChange = emissionAfter !== null && emissionBefore > 0 ? ((emissionAfter - emissionBefore) / emissionBefore) * 100 : null;
+
     return (
         <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4" onClick={onClose}>
-            <div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-lg" onClick={e => e.stopPropagation()}>
+            <div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto" onClick={e => e.stopPropagation()}>
                 <div className="p-6 border-b border-gray-700"><h3 className="text-xl font-semibold">Configure Auto-Mint</h3></div>
                 <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-4">
-                    <ModalInput name="baseReward" label="Base Reward (tGHSX)" value={config.baseReward} onChange={handleChange} type="number" step="0.000001" />
-                    <ModalInput name="bonusMultiplier" label="Bonus Multiplier (%)" value={config.bonusMultiplier} onChange={handleChange} type="number" />
-                    <ModalInput name="minHoldTime" label="Min Hold Time (seconds)" value={config.minHoldTime} onChange={handleChange} type="number" />
-                    <ModalInput name="collateralRequirement" label="Collateral Requirement (%)" value={config.collateralRequirement} onChange={handleChange} type="number" />
+                    <ModalInput name="baseReward" label="Base Reward (tGHSX)" value={form.baseReward} onChange={handleChange} type="number" step="0.000001" min="0" error={errorFor('baseReward')} />
+                    <ModalInput name="bonusMultiplier" label="Bonus Multiplier (%)" value={form.bonusMultiplier} onChange={handleChange} type="number" step="1" min="0" error={errorFor('bonusMultiplier')} />
+                    <div>
+                        <label htmlFor="minHoldTime" className="block text-sm font-medium text-gray-300 mb-1">Min Hold Time</label>
+                        <div className="flex space-x-2">
+                            <input id="minHoldTime" name="minHoldTime" type="number" min="0" value={form.minHoldTime} onChange={handleChange} className="w-full bg-gray-900 border border-gray-600 rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+                            <select name="holdTimeUnit" value={form.holdTimeUnit} onChange={handleChange} aria-label="Hold time unit" className="bg-gray-900 border border-gray-600 rounded-md p-2">
+                                {Object.keys(DURATION_UNITS).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                            </select>
+                        </div>
+                        {errorFor('minHoldTime') && <p className="mt-1 text-xs text-red-400">{errorFor('minHoldTime')}</p>}
+                    </div>
+                    <ModalInput name="collateralRequirement" label="Collateral Requirement (%)" value={form.collateralRequirement} onChange={handleChange} type="number" step="1" min={MIN_COLLATERAL_RATIO} error={errorFor('collateralRequirement')} />
+                </div>
+                <div className="px-6 pb-6">
+                    <table className="w-full text-sm">
+                        <thead className="text-gray-400 text-left"><tr><th className="pb-2">Setting</th><th className="pb-2">Current</th><th className="pb-2">New</th></tr></thead>
+                        <tbody className="divide-y divide-gray-700">
+                            {AUTOMINT_CONFIG_FIELDS.map(({ key, label, format }) => {
+                                const changed = config && String(config[key]) !== String(currentConfig[key]);
+                                return (
+                                    <tr key={key}>
+                                        <td className="py-2 text-gray-400">{label}</td>
+                                        <td className="py-2">{format(currentConfig[key])}</td>
+                                        <td className={`py-2 ${changed ? 'text-amber-400 font-semibold' : ''}`}>{config ? format(config[key]) : '—'}</td>
+                                    </tr>
+                                );
+                            })}
+                            <tr>
+                                <td className="py-2 text-gray-400">Emission / vault / day</td>
+                                <td className="py-2">{formatNumber(emissionBefore.toFixed(2))} tGHSX</td>
+                                <td className="py-2">
+                                    {emissionAfter !== null ? `${formatNumber(emissionAfter.toFixed(2))} tGHSX` : '—'}
+                                    {emissionChange !== null && emissionChange !== 0 && (
+                                        <span className={`ml-2 text-xs ${emissionChange > 0 ? 'text-amber-400' : 'text-green-400'}`}>{emissionChange > 0 ? '+' : ''}{emissionChange.toFixed(1)}%</span>
+                                    )}
+                                </td>
+                            </tr>
+                        </tbody>
+                    </table>
+                    <p className="mt-2 text-xs text-gray-500">Per vault, upper bound: a vault earns one reward per hold period, so this assumes it Auto-Mints as soon as it can. Multiply by the number of eligible vaults for the protocol total.</p>
                 </div>
                 <div className="p-4 bg-gray-900/50 rounded-b-lg flex justify-end space-x-3">
                     <button onClick={onClose} className="px-4 py-2 rounded-md text-sm font-medium bg-gray-600 hover:bg-gray-500">Cancel</button>
-                    <button onClick={handleSave} className="px-4 py-2 rounded-md text-sm font-medium bg-blue-600 hover:bg-blue-700">Save Changes</button>
+                    <button onClick={handleSave} disabled={touched && !config} className="px-4 py-2 rounded-md text-sm font-medium bg-blue-600 hover:bg-blue-700 disabled:opacity-50">Save Changes</button>
                 </div>
             </div>
         </div>
@@ -422,9 +1031,6 @@ const AutoMintConfigModal = ({ currentConfig, onClose, onSave }) => {
 const Card = ({ children }) => <div className="bg-gray-800/50 rounded-xl shadow-lg border border-gray-700/50">{children}</div>;
 const CardHeader = ({ children }) => <div className="p-4 border-b border-gray-700 flex justify-between items-center">{children}</div>;
 const InfoBox = ({ title, value, subtitle }) => (<div><p className="text-sm text-gray-400">{title}</p><p className="text-3xl font-bold text-white">{value}</p>{subtitle && <p className="text-xs text-gray-500">{subtitle}</p>}</div>);
-const AdminButton = ({ icon, text, onClick, className = '' }) => (<button onClick={onClick} className={`w-full flex items-center justify-center px-4 py-2 rounded-md text-sm font-semibold transition-colors ${className || 'bg-blue-600 hover:bg-blue-700'}`}>{icon}<span className="ml-2">{text}</span></button>);
+const AdminButton = ({ icon, text, onClick, disabled = false, className = '' }) => (<button onClick={onClick} disabled={disabled} className={`w-full flex items-center justify-center px-4 py-2 rounded-md text-sm font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${className || 'bg-blue-600 hover:bg-blue-700'}`}>{icon}<span className="ml-2">{text}</span></button>);
 const ConfigItem = ({ label, value }) => (<div><p className="text-xs text-gray-400">{label}</p><p className="font-semibold">{value}</p></div>);
-const ModalInput = ({ label, ...props }) => (<div><label className="block text-sm font-medium text-gray-300 mb-1">{label}</label><input {...props} className="w-full bg-gray-900 border border-gray-600 rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" /></div>);
-const LoadingSpinner = () => <div className="flex items-center justify-center min-h-screen"><RefreshCw className="w-12 h-12 text-blue-500 animate-spin" /></div>;
-const ErrorMessage = ({ message, onRetry }) => (<div className="flex items-center justify-center min-h-screen"><div className="bg-gray-800 p-8 rounded-lg text-center"><AlertTriangle className="w-12 h-12 text-red-500 mx-auto" /><h2 className="mt-4 text-2xl font-bold">Admin Panel Error</h2><p className="mt-2 text-gray-400">{message}</p><button onClick={onRetry} className="mt-6 px-5 py-2.5 rounded-md text-sm font-semibold bg-blue-600 hover:bg-blue-700">Try Again</button></div></div>);
-const AuthWall = ({ message }) => (<div className="flex items-center justify-center min-h-screen"><div className="bg-gray-800 p-8 rounded-lg text-center"><Shield className="w-12 h-12 text-blue-500 mx-auto" /><h2 className="mt-4 text-2xl font-bold">Authentication Required</h2><p className="mt-2 text-gray-400">{message}</p></div></div>);
+const ModalInput = ({ label, error, ...props }) => (<div><label htmlFor={props.name} className="block text-sm font-medium text-gray-300 mb-1">{label}</label><input id={props.name} {...props} className={`w-full bg-gray-900 border rounded-md p-2 focus:ring-blue-500 focus:border-blue-500 ${error ? 'border-red-500' : 'border-gray-600'}`} />{error && <p className="mt-1 text-xs text-red-400">{error}</p>}</div>);
@@ -1,12 +1,36 @@
 
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
-import { DollarSign, Droplet, Zap, Clock, Shield, LogOut, RefreshCw, ChevronDown, ChevronUp, AlertTriangle, Github, Twitter, Send, MessageSquare } from 'lucide-react';
+import { DollarSign, Droplet, Zap, Clock, Shield, LogOut, RefreshCw, ChevronDown, ChevronUp, AlertTriangle, CheckCircle, Key, Github, Twitter, Send, MessageSquare } from 'lucide-react';
+import { PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.js";
-
-// --- LIVE API & WEB3 CONFIG ---
-const API_BASE_URL = 'https://tghsx.onrender.com';
-const VAULT_ADDRESS = '0xF681Ba510d3C93A49a7AB2d02d9697BB2B0091FE';
+import { VAULT_ADDRESS, VAULT_SUPPORTS_PERMIT } from '../config';
+import { getCollaterals, getVaultStatus, getMintStatus, getOraclePrice, getTransactions, getProtocolHealth, getPublicAutoMintConfig, getAutoMintStatus, isAbortError } from '../api/client';
+import { computeLiquidation, getLiquidationThreshold, getOracleUsdPrice, simulatePosition, computeMaxAmount, toAmountInput, MIN_COLLATERAL_RATIO } from '../utils/vaultMath';
+import { TGHSX_TOKEN, formatTokenAmount, getEventTokenAddress } from '../utils/tokenRegistry';
+import useTokenRegistry from '../hooks/useTokenRegistry';
+import useTokenBalance from '../hooks/useTokenBalance';
+import { useWallet } from '../context/WalletContext';
+import { useAuth } from '../context/AuthContext';
+import useLinkedWallets from '../hooks/useLinkedWallets';
+import { isWalletLinked } from '../utils/siwe';
+import WrongNetworkBanner from '../components/WrongNetworkBanner';
+import { TARGET_CHAIN } from '../web3/chains';
+import { useTransactions } from '../context/TransactionContext';
+import TransactionSteps from '../components/TransactionSteps';
+import ProtocolAnalytics from '../components/ProtocolAnalytics';
+import RiskAlertsPanel from '../components/RiskAlertsPanel';
+import AutoMintPanel from '../components/AutoMintPanel';
+import QueryView from '../components/QueryView';
+import useAutoMintHistory from '../hooks/useAutoMintHistory';
+import useRiskAlerts from '../hooks/useRiskAlerts';
+import useLiveUpdates, { LIVE_STATUS } from '../hooks/useLiveUpdates';
+import { getLiveUpdates, RECENT_TRANSACTIONS_LIMIT } from '../utils/liveData';
+import { fetchPositions, summarizePortfolio } from '../utils/portfolio';
+import { COMPOSITION_COLORS, toCompositionSlices } from '../utils/analytics';
+import useQuery from '../hooks/useQuery';
+import { setQueryData, invalidateQueries } from '../api/queryCache';
+import { decodeTxError, formatTxError } from '../utils/txErrors';
+import { getErc20, ensureAllowance, signPermit, supportsPermit, readAllowances, isUnlimitedAllowance, APPROVAL_MODES } from '../web3/erc20';
 
 // --- SMART CONTRACT ABIs ---
 const VAULT_ABI = [
@@ -14,12 +38,10 @@ const VAULT_ABI = [
   "function withdrawCollateral(address collateral, uint256 amount)",
   "function mintTokens(address collateral, uint256 amount)",
   "function burnTokens(address collateral, uint256 amount)",
-  "function autoMint(address collateral)"
-];
-const ERC20_ABI = [
-  "function approve(address spender, uint256 amount) returns (bool)",
-  "function allowance(address owner, address spender) view returns (uint256)"
+  "function autoMint(address collateral)",
+  "function depositCollateralWithPermit(address collateral, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)"
 ];
+const PERMIT_TTL_SECONDS = 20 * 60;
 
 // --- Helper Functions & Constants ---
 const COLORS = { HEALTHY: '#22c55e', WARNING: '#f59e0b', DANGER: '#ef4444' };
@@ -38,131 +60,175 @@ const getHealthColor = ratio => (ratio >= 200 ? COLORS.HEALTHY : ratio >= 150 ?
 export default function App() {
   const [view, setView] = useState('dashboard');
   const [activeModal, setActiveModal] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [lastRefreshed, setLastRefreshed] = useState(new Date());
+  const [modalAmount, setModalAmount] = useState('');
 
   // --- Auth & Wallet State ---
-  const [authToken, setAuthToken] = useState(localStorage.getItem('authToken'));
-  const [walletAddress, setWalletAddress] = useState(null);
-  const [provider, setProvider] = useState(null);
-
-  // --- Data State ---
-  const [vaultOverview, setVaultOverview] = useState(null);
-  const [mintStatus, setMintStatus] = useState(null);
-  const [oraclePrice, setOraclePrice] = useState(null);
-  const [transactions, setTransactions] = useState([]);
-  const [protocolHealth, setProtocolHealth] = useState(null);
+  const { token: authToken, logout } = useAuth();
+  // RequireAuth only renders this page with a session and a connected wallet.
+  const { provider, address: walletAddress, chainId, error: walletError, isWrongNetwork, disconnect, switchNetwork } = useWallet();
+  const { linkedWallets, error: linkError, refresh: refreshLinked, link: linkWallet, unlink: unlinkWallet } = useLinkedWallets(authToken);
 
   // --- Collateral list & selection ---
   const [collaterals, setCollaterals] = useState([]);
   const [selectedCollateral, setSelectedCollateral] = useState('');
+  const collateralAddresses = useMemo(() => collaterals.map(c => c.address), [collaterals]);
+  const { getToken } = useTokenRegistry(collateralAddresses, { provider, collaterals });
 
-  // --- Connect wallet ---
-  const connectWallet = useCallback(async () => {
-    if (typeof window.ethereum === 'undefined') {
-      setError('MetaMask not installed.');
-      return;
-    }
-    try {
-      const web3Provider = new ethers.providers.Web3Provider(window.ethereum);
-      await web3Provider.send('eth_requestAccounts', []);
-      const signer = web3Provider.getSigner();
-      const address = await signer.getAddress();
-      setProvider(web3Provider);
-      setWalletAddress(address);
-    } catch (err) {
-      setError('Wallet connection failed.');
-    }
-  }, []);
-  useEffect(() => { connectWallet(); }, [connectWallet]);
+  // --- Account switch: drop the open modal; the queries below are keyed by address ---
+  useEffect(() => { setActiveModal(null); }, [walletAddress]);
 
   // --- Fetch enabled collaterals ---
   useEffect(() => {
     if (!authToken) return;
-    fetch(`${API_BASE_URL}/collaterals`, { headers: { Authorization: `Bearer ${authToken}` } })
-      .then(res => res.json())
+    const controller = new AbortController();
+    getCollaterals({ token: authToken, signal: controller.signal })
       .then(list => {
         setCollaterals(list);
         if (list.length) setSelectedCollateral(list[0].address);
       })
-      .catch(console.error);
+      .catch(err => { if (!isAbortError(err)) console.error(err); });
+    return () => controller.abort();
   }, [authToken]);
 
-  // --- Fetch dashboard data ---
-  const fetchData = useCallback(async () => {
-    if (!authToken || !walletAddress || !selectedCollateral) return;
-    setIsLoading(true);
-    setError(null);
-    try {
-      const headers = { Authorization: `Bearer ${authToken}` };
-      const [vaultRes, mintRes, oracleRes, txRes, healthRes] = await Promise.all([
-        fetch(`${API_BASE_URL}/vault/status/${selectedCollateral}`, { headers }),
-        fetch(`${API_BASE_URL}/vault/mint-status`, { headers }),
-        fetch(`${API_BASE_URL}/oracle/price`, { headers }),
-        fetch(`${API_BASE_URL}/transactions?page=1&limit=5`, { headers }),
-        fetch(`${API_BASE_URL}/protocol/health`, { headers })
-      ]);
-      if (![vaultRes, mintRes, oracleRes, txRes, healthRes].every(r => r.ok)) {
-        throw new Error('Failed to fetch dashboard data.');
-      }
-      setVaultOverview(await vaultRes.json());
-      setMintStatus(await mintRes.json());
-      setOraclePrice(await oracleRes.json());
-      setTransactions(await txRes.json());
-      setProtocolHealth(await healthRes.json());
-      setLastRefreshed(new Date());
-    } catch (err) {
-      setError(err.message);
-    } finally {
-      setIsLoading(false);
-    }
-  }, [authToken, walletAddress, selectedCollateral]);
-  useEffect(() => { fetchData(); }, [fetchData]);
+  // --- Dashboard queries ---
+  // One query per card: a failing endpoint only affects its own card, and cached data
+  // stays on screen while it revalidates.
+  const opts = { token: authToken };
+  const queryKeys = {
+    vaultOverview: ['vault-status', walletAddress, selectedCollateral],
+    mintStatus: ['mint-status', walletAddress],
+    oraclePrice: ['oracle-price'],
+    transactions: ['transactions', walletAddress, 'recent'],
+    protocolHealth: ['protocol-health'],
+  };
+  const vaultQuery = useQuery(queryKeys.vaultOverview, () => getVaultStatus(selectedCollateral, opts), { enabled: !!selectedCollateral });
+  const mintQuery = useQuery(queryKeys.mintStatus, () => getMintStatus(opts));
+  const oracleQuery = useQuery(queryKeys.oraclePrice, () => getOraclePrice(opts));
+  const txQuery = useQuery(queryKeys.transactions, () => getTransactions({ page: 1, limit: RECENT_TRANSACTIONS_LIMIT }, opts));
+  const healthQuery = useQuery(queryKeys.protocolHealth, () => getProtocolHealth(opts));
+  const queries = [vaultQuery, mintQuery, oracleQuery, txQuery, healthQuery];
+  const { data: vaultOverview } = vaultQuery;
+  const { data: mintStatus } = mintQuery;
+  const { data: oraclePrice } = oracleQuery;
+  const isFetching = queries.some(q => q.isFetching);
+  const lastRefreshed = Math.max(...queries.map(q => q.updatedAt));
+  const refreshAll = () => Promise.all(queries.map(q => q.refetch()));
+  const autoMintHistory = useAutoMintHistory(walletAddress);
+  // After an action or a vault event: the chain only says something changed, the backend has the figures.
+  const refreshPosition = () => Promise.all([
+    vaultQuery.refetch(), mintQuery.refetch(), txQuery.refetch(),
+    invalidateQueries(['portfolio', walletAddress]), invalidateQueries(['automint-status', walletAddress]), autoMintHistory.refresh(),
+  ]);
+
+  // --- Auto-Mint eligibility: public config, the vault's hold clock and past rewards from chain events ---
+  const autoMintConfigQuery = useQuery(['automint-config'], () => getPublicAutoMintConfig(opts));
+  const autoMintStatusQuery = useQuery(['automint-status', walletAddress, selectedCollateral], () => getAutoMintStatus(selectedCollateral, opts), { enabled: !!selectedCollateral });
+
+  // --- Portfolio: every collateral at once, seeding the per-collateral cache on the way ---
+  // fetchPositions retries each asset itself, so the query doesn't retry the whole batch again.
+  const portfolioQuery = useQuery(['portfolio', walletAddress, collateralAddresses], () => fetchPositions(collaterals, async address => {
+    const status = await getVaultStatus(address, opts);
+    setQueryData(['vault-status', walletAddress, address], status);
+    return status;
+  }), { enabled: view === 'portfolio' && collaterals.length > 0, retries: 0 });
+  const manageCollateral = address => { setSelectedCollateral(address); setView('manage'); };
 
-  const handleAction = actionType => setActiveModal(actionType);
+  // --- Risk alerts: evaluated on every tab, shown under Alerts ---
+  const getSymbol = address => getToken(address)?.symbol || collaterals.find(c => c.address === address)?.symbol;
+  const riskAlerts = useRiskAlerts({ walletAddress, authToken, getSymbol });
+
+  // --- Live updates ---
+  const handleLiveEvent = event => {
+    const updates = getLiveUpdates(event, { walletAddress, collateral: selectedCollateral });
+    if (!updates) return;
+    Object.entries(updates).forEach(([name, update]) => setQueryData(queryKeys[name], update));
+  };
+  const liveStatus = useLiveUpdates({
+    token: authToken,
+    walletAddress,
+    provider,
+    onEvent: handleLiveEvent,
+    onChainEvent: refreshPosition,
+    poll: refreshAll,
+  });
+
+  const handleAction = (actionType, amount = '') => { setModalAmount(amount); setActiveModal(actionType); };
   const closeModal = () => setActiveModal(null);
   const handleLogout = () => {
-    localStorage.removeItem('authToken');
-    setAuthToken(null);
-    setWalletAddress(null);
-    setProvider(null);
-    window.location.href = '/';
+    disconnect();
+    logout();
   };
   const parsedRatio = useMemo(() => parseFloat(vaultOverview?.collateralRatio), [vaultOverview]);
 
-  if (!authToken) return <AuthWall message="Please log in to view the dashboard." />;
-  if (!walletAddress) return <AuthWall message="Please connect your wallet." onAction={connectWallet} actionText="Connect Wallet" />;
-  if (isLoading) return <LoadingSpinner />;
-  if (error) return <ErrorMessage message={error} onRetry={fetchData} />;
+  // The JWT names the account, the wallet signs transactions: only show data when they belong together.
+  if (linkError) return <ErrorMessage message={`Could not verify your linked wallets. ${linkError}`} onRetry={() => refreshLinked()} />;
+  if (!linkedWallets) return <LoadingSpinner />;
+  if (!isWalletLinked(linkedWallets, walletAddress)) return (
+    <WalletLinkWall
+      walletAddress={walletAddress}
+      linkedWallets={linkedWallets}
+      onLink={() => linkWallet({ signer: provider.getSigner(), address: walletAddress, chainId })}
+      onLogout={handleLogout}
+    />
+  );
 
   return (
     <div className="bg-gray-900 text-white min-h-screen flex flex-col">
       <Header walletAddress={walletAddress} onLogout={handleLogout} />
+      {isWrongNetwork && <WrongNetworkBanner chainId={chainId} onSwitch={switchNetwork} error={walletError} />}
       <main className="flex-grow p-6 max-w-7xl mx-auto w-full">
         <div className="flex justify-between items-center mb-6">
           <h1 className="text-3xl font-bold">Dashboard</h1>
           <div className="flex items-center space-x-4">
-            <button onClick={fetchData} className="flex items-center text-sm text-gray-400 hover:text-white">
-              <RefreshCw className="w-4 h-4 mr-2" />Last: {lastRefreshed.toLocaleTimeString()}
+            <LiveStatusIndicator status={liveStatus} />
+            <button onClick={refreshAll} className="flex items-center text-sm text-gray-400 hover:text-white">
+              <RefreshCw className={`w-4 h-4 mr-2 ${isFetching ? 'animate-spin' : ''}`} />Last: {lastRefreshed ? new Date(lastRefreshed).toLocaleTimeString() : '—'}
             </button>
             <div className="flex rounded bg-gray-800">
               <button onClick={() => setView('dashboard')} className={`${view === 'dashboard' ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700'} px-3 py-1.5 rounded-l`}>Overview</button>
-              <button onClick={() => setView('manage')} className={`${view === 'manage' ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700'} px-3 py-1.5 rounded-r`}>Manage</button>
+              <button onClick={() => setView('portfolio')} className={`${view === 'portfolio' ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700'} px-3 py-1.5`}>Portfolio</button>
+              <button onClick={() => setView('manage')} className={`${view === 'manage' ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700'} px-3 py-1.5`}>Manage</button>
+              <button onClick={() => setView('alerts')} className={`${view === 'alerts' ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700'} px-3 py-1.5`}>Alerts</button>
+              <button onClick={() => setView('analytics')} className={`${view === 'analytics' ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700'} px-3 py-1.5 rounded-r`}>Analytics</button>
             </div>
           </div>
         </div>
 
         {view === 'dashboard' ? (
           <DashboardView
-            vaultOverview={vaultOverview}
-            mintStatus={mintStatus}
-            oraclePrice={oraclePrice}
-            transactions={transactions?.transactions}
-            protocolHealth={protocolHealth}
+            vaultQuery={vaultQuery}
+            mintQuery={mintQuery}
+            oracleQuery={oracleQuery}
+            txQuery={txQuery}
+            healthQuery={healthQuery}
+            getToken={getToken}
             onAction={handleAction}
             parsedRatio={parsedRatio}
+            autoMint={(
+              <QueryView queries={[autoMintConfigQuery]} title="🤖 Auto-Mint">
+                {config => (
+                  <AutoMintPanel
+                    config={config}
+                    collateral={selectedCollateral}
+                    vault={vaultOverview}
+                    holdStartedAt={autoMintStatusQuery.data?.holdStartedAt}
+                    error={(autoMintStatusQuery.data === undefined && autoMintStatusQuery.error) || (vaultOverview === undefined && vaultQuery.error) || null}
+                    onRetry={() => { autoMintStatusQuery.refetch(); vaultQuery.refetch(); }}
+                    history={autoMintHistory}
+                    symbol={getSymbol(selectedCollateral)}
+                    getSymbol={getSymbol}
+                    onAutoMint={() => handleAction('auto-mint')}
+                  />
+                )}
+              </QueryView>
+            )}
           />
+        ) : view === 'portfolio' ? (
+          <QueryView queries={[portfolioQuery]} title="💼 Portfolio">{positions => <PortfolioCard {...summarizePortfolio(positions)} onManage={manageCollateral} />}</QueryView>
+        ) : view === 'alerts' ? (
+          <RiskAlertsPanel alerts={riskAlerts} collaterals={collaterals} getSymbol={getSymbol} />
+        ) : view === 'analytics' ? (
+          <ProtocolAnalytics />
         ) : (
           <ManageVaultView
             vaultOverview={vaultOverview}
@@ -171,6 +237,12 @@ export default function App() {
             onSelectCollateral={setSelectedCollateral}
             onAction={handleAction}
             parsedRatio={parsedRatio}
+            oraclePrice={oraclePrice}
+            provider={provider}
+            walletAddress={walletAddress}
+            getToken={getToken}
+            linkedWallets={linkedWallets}
+            onUnlinkWallet={unlinkWallet}
           />
         )}
       </main>
@@ -178,10 +250,18 @@ export default function App() {
       {activeModal && (
         <ActionModal
           modalType={activeModal}
+          initialAmount={modalAmount}
           onClose={closeModal}
           provider={provider}
-          onSuccess={fetchData}
+          onSuccess={refreshPosition}
           collateralAddress={selectedCollateral}
+          collateral={collaterals.find(c => c.address === selectedCollateral)}
+          getToken={getToken}
+          walletAddress={walletAddress}
+          vaultOverview={vaultOverview}
+          mintStatus={mintStatus}
+          oraclePrice={oraclePrice}
+          isWrongNetwork={isWrongNetwork}
         />
       )}
     </div>
@@ -222,17 +302,28 @@ const Footer = () => (
   </footer>
 );
 
+const LIVE_STATUS_STYLES = {
+  [LIVE_STATUS.LIVE]: { dot: 'bg-green-500', label: 'Live', title: 'Receiving live updates' },
+  [LIVE_STATUS.CONNECTING]: { dot: 'bg-blue-400 animate-pulse', label: 'Connecting', title: 'Connecting to live updates' },
+  [LIVE_STATUS.POLLING]: { dot: 'bg-amber-500', label: 'Polling', title: 'Live updates unavailable; refreshing every few seconds' },
+};
+const LiveStatusIndicator = ({ status }) => {
+  const { dot, label, title } = LIVE_STATUS_STYLES[status];
+  return <span title={title} className="flex items-center text-xs text-gray-400"><span className={`w-2 h-2 rounded-full mr-1.5 ${dot}`} />{label}</span>;
+};
+
 // --- Dashboard View & Cards ---
-const DashboardView = ({ vaultOverview, mintStatus, oraclePrice, transactions, protocolHealth, onAction, parsedRatio }) => (
+const DashboardView = ({ vaultQuery, mintQuery, oracleQuery, txQuery, healthQuery, onAction, parsedRatio, getToken, autoMint }) => (
   <div className="grid lg:grid-cols-3 gap-6">
     <div className="lg:col-span-2 space-y-6">
-      <VaultOverviewCard {...vaultOverview} onAction={onAction} parsedRatio={parsedRatio} />
-      <ProtocolHealthCard {...protocolHealth} />
+      <QueryView queries={[vaultQuery]} title="📊 Your Vault Overview">{data => <VaultOverviewCard {...data} onAction={onAction} parsedRatio={parsedRatio} />}</QueryView>
+      <QueryView queries={[healthQuery]} title="🌐 Protocol Health">{data => <ProtocolHealthCard {...data} />}</QueryView>
     </div>
     <div className="space-y-6">
-      <MintStatusCard {...mintStatus} />
-      <OraclePriceCard {...oraclePrice} />
-      <TransactionHistory transactions={transactions} />
+      <QueryView queries={[mintQuery]} title="📈 Mint Status">{data => <MintStatusCard {...data} />}</QueryView>
+      {autoMint}
+      <QueryView queries={[oracleQuery]} title="🔮 Oracle Price">{data => <OraclePriceCard {...data} />}</QueryView>
+      <QueryView queries={[txQuery]} title="📜 Recent Activity">{data => <TransactionHistory transactions={data.transactions} getToken={getToken} />}</QueryView>
     </div>
   </div>
 );
@@ -269,6 +360,65 @@ const ProtocolHealthCard = ({ totalValueLockedUSD, totalDebt, globalCollateraliz
     </div>
   </Card>
 );
+// Every enabled collateral side by side; clicking a row opens it in Manage.
+const PortfolioCard = ({ rows, totals, onManage }) => {
+  const slices = useMemo(() => toCompositionSlices(rows.filter(row => !row.error).map(row => ({ symbol: row.symbol, value_usd: row.valueUSD }))), [rows]);
+  return (
+    <Card>
+      <CardHeader>
+        <h2 className="text-xl font-semibold">💼 Portfolio</h2>
+        {totals.isPartial && <span className="text-xs bg-amber-500/20 text-amber-400 px-2 py-1 rounded">Totals exclude assets that failed to load</span>}
+      </CardHeader>
+      <div className="p-6 grid sm:grid-cols-3 gap-6 text-center border-b border-gray-700">
+        <InfoBox icon={<DollarSign />} title="Total Collateral Value" value={formatCurrency(totals.valueUSD)} />
+        <InfoBox icon={<Droplet />} title="Total Minted tGHSX" value={formatNumber(totals.debt)} />
+        <InfoBox icon={<Shield />} title="Aggregate Ratio" value={totals.ratio === null ? '—' : `${totals.ratio.toFixed(2)}%`} valueColor={totals.ratio === null ? null : getHealthColor(totals.ratio)} />
+      </div>
+      <div className="p-6 grid lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-gray-400 text-left">
+              <tr><th className="pb-2">Asset</th><th className="pb-2 text-right">Deposited</th><th className="pb-2 text-right">Value</th><th className="pb-2 text-right">Debt (share)</th><th className="pb-2 text-right">Ratio</th></tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.address} onClick={() => onManage(row.address)} title={`Manage ${row.symbol}`} className="border-t border-gray-700 cursor-pointer hover:bg-gray-700/40">
+                  <td className="py-2 font-semibold">{row.symbol}</td>
+                  {row.error ? (
+                    <td colSpan={4} className="py-2 text-right text-red-400"><AlertTriangle className="w-4 h-4 inline mr-1" />{row.error.message}</td>
+                  ) : (
+                    <>
+                      <td className="py-2 text-right font-mono">{formatNumber(row.collateralAmount)}</td>
+                      <td className="py-2 text-right font-mono">{formatCurrency(row.valueUSD)}</td>
+                      <td className="py-2 text-right font-mono">{formatNumber(row.debt)} <span className="text-gray-400">({row.debtShare.toFixed(1)}%)</span></td>
+                      <td className="py-2 text-right font-mono" style={row.ratio === null ? undefined : { color: getHealthColor(row.ratio) }}>
+                        {row.ratio === null ? '—' : `${row.ratio.toFixed(2)}%`}
+                        {row.isLiquidatable && <span className="ml-2 text-xs bg-red-500/20 text-red-400 px-1.5 py-0.5 rounded">At Risk</span>}
+                      </td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="h-56">
+          {slices.length ? (
+            <ResponsiveContainer width="100%" height="100%">
+              <PieChart>
+                <Pie data={slices} dataKey="value" nameKey="name" innerRadius="45%" outerRadius="75%" paddingAngle={2}>
+                  {slices.map((slice, i) => <Cell key={slice.name} fill={COMPOSITION_COLORS[i % COMPOSITION_COLORS.length]} />)}
+                </Pie>
+                <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #374151', borderRadius: 6 }} formatter={(value, name, { payload }) => [`${formatCurrency(value)} (${payload.share.toFixed(1)}%)`, name]} />
+                <Legend />
+              </PieChart>
+            </ResponsiveContainer>
+          ) : <div className="h-full flex items-center justify-center text-sm text-gray-500">No collateral deposited yet.</div>}
+        </div>
+      </div>
+    </Card>
+  );
+};
 const MintStatusCard = ({ dailyMinted, remainingDaily, cooldownRemaining }) => {
   const totalDaily = Number(dailyMinted) + Number(remainingDaily);
   const progress = totalDaily > 0 ? (Number(dailyMinted) / totalDaily) * 100 : 0;
@@ -301,12 +451,12 @@ const OraclePriceCard = ({ eth_usd_price, decimals }) => (
   <Card>
     <CardHeader><h2 className="text-xl font-semibold">🔮 Oracle Price</h2></CardHeader>
     <div className="p-6 text-center">
-      <p className="text-3xl font-bold text-blue-400">{formatCurrency(eth_usd_price/10**decimals)}</p>
+      <p className="text-3xl font-bold text-blue-400">{formatCurrency(getOracleUsdPrice({ eth_usd_price, decimals }))}</p>
       <p className="text-sm text-gray-400">per ETH</p>
     </div>
   </Card>
 );
-const TransactionHistory = ({ transactions }) => (
+const TransactionHistory = ({ transactions, getToken }) => (
   <Card>
     <CardHeader><h2 className="text-xl font-semibold">📜 Recent Activity</h2></CardHeader>
     <div className="p-4">
@@ -315,6 +465,7 @@ const TransactionHistory = ({ transactions }) => (
           <li key={tx.tx_hash} className="flex justify-between text-sm">
             <div>
               <p className="font-medium">{tx.event_name}</p>
+              <p className="text-xs text-gray-300 font-mono">{formatEventAmount(tx, getToken)}</p>
               <p className="text-xs text-gray-500 font-mono">{tx.tx_hash.slice(0,10)}…</p>
             </div>
             <p className="text-gray-400">{new Date(tx.block_timestamp).toLocaleTimeString()}</p>
@@ -325,23 +476,33 @@ const TransactionHistory = ({ transactions }) => (
   </Card>
 );
 
+const formatEventAmount = (tx, getToken) => {
+  const eventData = JSON.parse(tx.event_data || '{}');
+  if (eventData.amount === undefined) return '';
+  return formatTokenAmount(eventData.amount, getToken(getEventTokenAddress(tx.event_name, eventData)));
+};
+
 // --- Manage Vault View ---
-const ManageVaultView = ({ vaultOverview, collaterals, selectedCollateral, onSelectCollateral, onAction, parsedRatio }) => {
+const ManageVaultView = ({ vaultOverview, collaterals, selectedCollateral, onSelectCollateral, onAction, parsedRatio, oraclePrice, provider, walletAddress, getToken, linkedWallets, onUnlinkWallet }) => {
   const [inputAmount, setInputAmount] = useState('');
-  // Compute liquidation price etc. based on vaultOverview and selectedCollateral
-  const liquidationPrice = useMemo(() => {
-    if (!vaultOverview) return 0;
-    const { collateralValueUSD, mintedAmount } = vaultOverview;
-    const minValue = Number(mintedAmount) * 1.5;
-    const currValue = Number(collateralValueUSD);
-    if (!currValue) return 0;
-    const tokenInfo = collaterals.find(c => c.address === selectedCollateral);
-    const amount = tokenInfo ? /* balance from vaultOverview if available */ 1 : 0;
-    if (!amount) return 0;
-    const dropPct = (currValue - minValue)/currValue;
-    const price = currValue/amount;
-    return price * (1 - dropPct);
-  }, [vaultOverview, collaterals, selectedCollateral]);
+  const [targetRatio, setTargetRatio] = useState('200');
+  const tokenInfo = useMemo(() => collaterals.find(c => c.address === selectedCollateral), [collaterals, selectedCollateral]);
+  const threshold = getLiquidationThreshold(tokenInfo);
+  const token = getToken(selectedCollateral);
+  const symbol = token?.symbol || tokenInfo?.symbol || '';
+  const decimals = token?.decimals;
+
+  const { balance: walletBalance } = useTokenBalance(provider, selectedCollateral, walletAddress, decimals);
+  const depositMax = computeMaxAmount({ action: 'deposit', walletBalance });
+  const withdrawMax = computeMaxAmount({ action: 'withdraw', vault: vaultOverview, targetRatio: clampRatio(targetRatio, threshold), oraclePrice: getOracleUsdPrice(oraclePrice) });
+
+  const { liquidationPrice, distancePct } = useMemo(() => computeLiquidation({
+    collateralAmount: vaultOverview?.collateralAmount,
+    collateralValueUSD: vaultOverview?.collateralValueUSD,
+    collateralRatio: vaultOverview?.collateralRatio,
+    threshold,
+    oraclePrice: getOracleUsdPrice(oraclePrice),
+  }), [vaultOverview, threshold, oraclePrice]);
 
   return (
     <div className="space-y-6">
@@ -361,10 +522,19 @@ const ManageVaultView = ({ vaultOverview, collaterals, selectedCollateral, onSel
             ))}
           </select>
 
-          <div className="mb-4">Your Balance: {/* display vaultOverview.balance for this collateral */}</div>
+          <div className="mb-4 grid grid-cols-2 gap-4 text-sm">
+            <div>
+              <span className="text-gray-400">Wallet Balance: </span>
+              <span className="font-mono">{walletBalance === null ? '…' : walletBalance === undefined ? 'Unavailable' : `${formatNumber(walletBalance)} ${symbol}`}</span>
+            </div>
+            <div>
+              <span className="text-gray-400">Deposited: </span>
+              <span className="font-mono">{formatNumber(vaultOverview?.collateralAmount)} {symbol}</span>
+            </div>
+          </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            <div>
+            <div className="space-y-2">
               <label className="block text-sm font-medium text-gray-300 mb-1">Amount</label>
               <input
                 type="number"
@@ -373,10 +543,13 @@ const ManageVaultView = ({ vaultOverview, collaterals, selectedCollateral, onSel
                 placeholder="0.00"
                 className="w-full bg-gray-900 border border-gray-600 rounded-l-md p-2 focus:ring-blue-500 focus:border-blue-500"
               />
+              <AmountPresets label="Deposit" {...depositMax} decimals={decimals} onSelect={setInputAmount} />
+              <AmountPresets label="Withdraw" {...withdrawMax} decimals={decimals} onSelect={setInputAmount} />
+              <TargetRatioInput value={targetRatio} min={threshold} onChange={setTargetRatio} />
             </div>
             <div className="flex flex-col justify-between">
-              <ActionButton onClick={() => onAction('deposit')} className="mb-2">Deposit</ActionButton>
-              <ActionButton onClick={() => onAction('withdraw')}>Withdraw</ActionButton>
+              <ActionButton onClick={() => onAction('deposit', inputAmount)} className="mb-2">Deposit</ActionButton>
+              <ActionButton onClick={() => onAction('withdraw', inputAmount)}>Withdraw</ActionButton>
             </div>
           </div>
 
@@ -385,40 +558,233 @@ const ManageVaultView = ({ vaultOverview, collaterals, selectedCollateral, onSel
               <AlertTriangle className="w-8 h-8 text-red-400" />
               <div>
                 <h4 className="font-semibold text-red-300">Liquidation Price</h4>
-                <p className="text-2xl font-bold">{formatCurrency(liquidationPrice)}</p>
-                <p className="text-sm text-red-300/80">Position is at risk if price falls below this.</p>
+                <p className="text-2xl font-bold">{liquidationPrice ? formatCurrency(liquidationPrice) : '—'}</p>
+                <p className="text-sm text-red-300/80">
+                  {liquidationPrice
+                    ? `Position is liquidated if ${symbol || 'collateral'} falls ${distancePct.toFixed(2)}% to this price (${threshold}% threshold).`
+                    : 'No outstanding debt on this collateral.'}
+                </p>
               </div>
             </div>
           </div>
         </div>
       </Card>
+      <AllowancePanel provider={provider} walletAddress={walletAddress} collaterals={collaterals} getToken={getToken} />
+      <LinkedWalletsPanel linkedWallets={linkedWallets} walletAddress={walletAddress} onUnlink={onUnlinkWallet} />
     </div>
   );
 };
 
+// --- Vault Approvals ---
+// Lists every token the vault is allowed to pull from this wallet and lets the user revoke it.
+const AllowancePanel = ({ provider, walletAddress, collaterals, getToken }) => {
+  const [allowances, setAllowances] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+  const [error, setError] = useState(null);
+  const tokenAddresses = useMemo(() => [...collaterals.map(c => c.address), TGHSX_TOKEN.address], [collaterals]);
+
+  const loadAllowances = useCallback(async () => {
+    if (!provider || !walletAddress) return;
+    try {
+      const entries = await readAllowances(tokenAddresses, walletAddress, VAULT_ADDRESS, provider);
+      setAllowances(entries.filter(e => !e.allowance.isZero()));
+    } catch (err) {
+      console.error(err);
+      setError('Failed to load approvals.');
+    }
+  }, [provider, walletAddress, tokenAddresses]);
+  useEffect(() => { loadAllowances(); }, [loadAllowances]);
+
+  const handleRevoke = async address => {
+    setRevoking(address);
+    setError(null);
+    try {
+      const token = getErc20(address, provider.getSigner());
+      await (await token.approve(VAULT_ADDRESS, 0)).wait();
+      await loadAllowances();
+    } catch (err) {
+      console.error(err);
+      setError(formatTxError(err));
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <h2 className="text-xl font-semibold">🔑 Vault Approvals</h2>
+        <button onClick={loadAllowances} className="p-2 hover:bg-gray-700 rounded"><RefreshCw className="w-4 h-4 text-gray-400" /></button>
+      </CardHeader>
+      <div className="p-4">
+        {error && <p className="text-sm text-red-400 mb-2">{error}</p>}
+        {allowances === null ? (
+          <p className="text-center text-gray-500 py-4">Loading approvals…</p>
+        ) : allowances.length ? (
+          <ul className="divide-y divide-gray-700">
+            {allowances.map(({ address, allowance }) => {
+              const token = getToken(address);
+              return (
+                <li key={address} className="flex justify-between items-center py-2 text-sm">
+                  <div className="flex items-center">
+                    <Key className="w-4 h-4 mr-2 text-blue-400" />
+                    <span className="font-medium mr-2">{token?.symbol || `${address.slice(0, 8)}…`}</span>
+                    <span className="text-gray-400 font-mono">
+                      {isUnlimitedAllowance(allowance) ? 'Unlimited' : token ? formatNumber(ethers.utils.formatUnits(allowance, token.decimals)) : allowance.toString()}
+                    </span>
+                  </div>
+                  <button onClick={() => handleRevoke(address)} disabled={!!revoking} className="px-3 py-1 text-xs rounded bg-red-600 hover:bg-red-700 disabled:opacity-50">
+                    {revoking === address ? 'Revoking…' : 'Revoke'}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="text-center text-gray-500 py-4">The vault has no token approvals from this wallet.</p>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+// --- Linked Wallets ---
+const LinkedWalletsPanel = ({ linkedWallets, walletAddress, onUnlink }) => {
+  const [removing, setRemoving] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleUnlink = async address => {
+    setRemoving(address);
+    setError(null);
+    try {
+      await onUnlink(address);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRemoving(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader><h2 className="text-xl font-semibold">🔗 Linked Wallets</h2></CardHeader>
+      <div className="p-4">
+        {error && <p className="text-sm text-red-400 mb-2">{error}</p>}
+        <ul className="divide-y divide-gray-700">
+          {linkedWallets.map(({ address }) => {
+            const isCurrent = address.toLowerCase() === walletAddress.toLowerCase();
+            return (
+              <li key={address} className="flex justify-between items-center py-2 text-sm">
+                <span className="font-mono">{address.slice(0, 6)}...{address.slice(-4)}{isCurrent && <span className="ml-2 text-xs text-green-400">connected</span>}</span>
+                <button onClick={() => handleUnlink(address)} disabled={isCurrent || !!removing} className="px-3 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-40">
+                  {removing === address ? 'Unlinking…' : 'Unlink'}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+        <p className="mt-2 text-xs text-gray-500">To link another wallet, switch to it in your wallet app and sign the link request.</p>
+      </div>
+    </Card>
+  );
+};
+
 // --- Action Modal ---
-const ActionModal = ({ modalType, onClose, provider, onSuccess, collateralAddress }) => {
-  const [amount, setAmount] = useState('');
+const ActionModal = ({ modalType, initialAmount, onClose, provider, walletAddress, onSuccess, collateralAddress, collateral, getToken, vaultOverview, mintStatus, oraclePrice, isWrongNetwork }) => {
+  const [amount, setAmount] = useState(initialAmount || '');
+  const [targetRatio, setTargetRatio] = useState('200');
+  const [acknowledged, setAcknowledged] = useState(false);
   const [status, setStatus] = useState({ loading:false, error:null, success:null });
+  const [flowId, setFlowId] = useState(null);
+  const { trackTransaction, getFlow } = useTransactions();
   const titles = { deposit:'Deposit', withdraw:'Withdraw', mint:'Mint', repay:'Repay', 'auto-mint':'Auto-Mint' };
+  const threshold = getLiquidationThreshold(collateral);
+  const collateralToken = getToken(collateralAddress);
+  // Deposit/withdraw move collateral; mint/repay move tGHSX.
+  const tghsxToken = getToken(TGHSX_TOKEN.address) || TGHSX_TOKEN;
+  const amountToken = modalType==='deposit' || modalType==='withdraw' ? collateralToken : tghsxToken;
+  const { balance: walletBalance } = useTokenBalance(modalType==='deposit' ? provider : null, collateralAddress, walletAddress, collateralToken?.decimals);
+  const { balance: tghsxBalance } = useTokenBalance(modalType==='repay' ? provider : null, tghsxToken.address, walletAddress, tghsxToken.decimals);
+  const maxAmount = useMemo(() => computeMaxAmount({
+    action: modalType, vault: vaultOverview, mintStatus, walletBalance, tghsxBalance,
+    targetRatio: clampRatio(targetRatio, threshold), oraclePrice: getOracleUsdPrice(oraclePrice),
+  }), [modalType, vaultOverview, mintStatus, walletBalance, tghsxBalance, targetRatio, threshold, oraclePrice]);
+
+  const simulation = useMemo(() => {
+    if (modalType==='auto-mint' || !vaultOverview || !(Number(amount)>0)) return null;
+    return simulatePosition({ action: modalType, amount, vault: vaultOverview, mintStatus, threshold, oraclePrice: getOracleUsdPrice(oraclePrice) });
+  }, [modalType, amount, vaultOverview, mintStatus, threshold, oraclePrice]);
+  // Hard stops: the vault would revert these anyway. A result in the warning band only needs an explicit OK.
+  const isBlocked = !!simulation && (simulation.errors.length > 0 || simulation.belowThreshold);
+  const needsAck = !!simulation && !isBlocked && getHealthColor(simulation.after.collateralRatio) === COLORS.WARNING
+    && (modalType==='withdraw' || modalType==='mint');
+  useEffect(() => { setAcknowledged(false); }, [amount]);
+
+  // --- Deposit approval state ---
+  const [approvalMode, setApprovalMode] = useState(APPROVAL_MODES.EXACT);
+  const [allowance, setAllowance] = useState(null);
+  const [permitAvailable, setPermitAvailable] = useState(false);
+  useEffect(() => {
+    if (modalType!=='deposit' || !provider || !walletAddress || !collateralAddress) return;
+    let cancelled = false;
+    const token = getErc20(collateralAddress, provider);
+    token.allowance(walletAddress, VAULT_ADDRESS)
+      .then(value => { if (!cancelled) setAllowance(value); })
+      .catch(console.error);
+    if (VAULT_SUPPORTS_PERMIT) {
+      supportsPermit(token, walletAddress).then(ok => { if (!cancelled) setPermitAvailable(ok); });
+    }
+    return () => { cancelled = true; };
+  }, [modalType, provider, walletAddress, collateralAddress]);
+  const parsedAmount = useMemo(() => {
+    if (!amountToken || !(Number(amount)>0)) return null;
+    try { return ethers.utils.parseUnits(amount, amountToken.decimals); } catch (e) { return null; }
+  }, [amount, amountToken]);
+  const needsApproval = modalType==='deposit' && (!allowance || !parsedAmount || allowance.lt(parsedAmount));
 
   const handleConfirm = async () => {
     if (!provider || (modalType!=='auto-mint' && (!amount || Number(amount)<=0))) {
       setStatus({loading:false,error:'Enter a valid amount',success:null}); return;
     }
+    if (isBlocked || (needsAck && !acknowledged)) return;
+    if (isWrongNetwork) {
+      setStatus({loading:false,error:`Switch your wallet to ${TARGET_CHAIN.chainName} to continue.`,success:null}); return;
+    }
     setStatus({loading:true,error:null,success:'Preparing...'});
+    // Each confirm attempt gets its own flow so the tracker only shows this attempt's steps.
+    const flow = `${modalType}-${Date.now()}`;
+    setFlowId(flow);
+    const actionLabel = `${titles[modalType]}${amountToken && modalType!=='auto-mint' ? ` ${amount} ${amountToken.symbol}` : ''}`;
     try {
       const signer = provider.getSigner();
       const vault = new ethers.Contract(VAULT_ADDRESS, VAULT_ABI, signer);
-      const decimals = 6;
-      const parsed = ethers.utils.parseUnits(amount||'0', decimals);
+      if (modalType!=='auto-mint' && !amountToken) {
+        setStatus({loading:false,error:'Token details are still loading. Try again in a moment.',success:null}); return;
+      }
+      const parsed = ethers.utils.parseUnits(amount||'0', amountToken?.decimals ?? 0);
       let tx;
       if (modalType==='deposit') {
-        const token = new ethers.Contract(collateralAddress, ERC20_ABI, signer);
-        setStatus(s=>({...s,success:'Waiting approval...'}));
-        await (await token.approve(VAULT_ADDRESS, parsed)).wait();
-        setStatus(s=>({...s,success:'Depositing...'}));
-        tx = await vault.depositCollateral(collateralAddress, parsed);
+        const token = getErc20(collateralAddress, signer);
+        const owner = await signer.getAddress();
+        setStatus(s=>({...s,success:'Checking allowance...'}));
+        const current = await token.allowance(owner, VAULT_ADDRESS);
+        if (current.lt(parsed) && approvalMode===APPROVAL_MODES.PERMIT) {
+          setStatus(s=>({...s,success:'Sign permit in your wallet...'}));
+          const deadline = Math.floor(Date.now()/1000) + PERMIT_TTL_SECONDS;
+          const { v, r, s: sigS } = await signPermit({ token, signer, spender: VAULT_ADDRESS, value: parsed, deadline });
+          setStatus(s=>({...s,success:'Depositing...'}));
+          tx = await vault.depositCollateralWithPermit(collateralAddress, parsed, deadline, v, r, sigS);
+        } else {
+          if (current.lt(parsed)) {
+            setStatus(s=>({...s,success:'Waiting approval...'}));
+            await ensureAllowance({
+              token, owner, spender: VAULT_ADDRESS, amount: parsed, mode: approvalMode,
+              onSubmitted: approveTx => trackTransaction(approveTx, { label: `Approve ${amountToken.symbol}`, flowId: flow, step: 'approve' }),
+            });
+          }
+          setStatus(s=>({...s,success:'Depositing...'}));
+          tx = await vault.depositCollateral(collateralAddress, parsed);
+        }
       } else if (modalType==='withdraw') {
         tx = await vault.withdrawCollateral(collateralAddress, parsed);
       } else if (modalType==='mint') {
@@ -428,17 +794,14 @@ const ActionModal = ({ modalType, onClose, provider, onSuccess, collateralAddres
       } else if (modalType==='auto-mint') {
         tx = await vault.autoMint(collateralAddress);
       }
-      setStatus(s=>({...s,success:'Sending tx...'}));
+      trackTransaction(tx, { label: actionLabel, flowId: flow, step: 'action' });
+      setStatus(s=>({...s,success:'Waiting for confirmation...'}));
       await tx.wait();
       setStatus({loading:false,error:null,success:'Success!'});
       onSuccess();
-      setTimeout(onClose,2000);
     } catch (err) {
       console.error(err);
-      let msg='Unknown error.';
-      if (err.code==='UNPREDICTABLE_GAS_LIMIT') msg='Gas estimate failed.';
-      else if (err.reason) msg=err.reason;
-      setStatus({loading:false,error:msg,success:null});
+      setStatus({loading:false,error:decodeTxError(err),success:null});
     }
   };
 
@@ -451,23 +814,135 @@ const ActionModal = ({ modalType, onClose, provider, onSuccess, collateralAddres
         <div className="p-6 space-y-4">
           {modalType!=='auto-mint' && (
             <div>
-              <label className="block text-sm font-medium text-gray-300 mb-1">Amount</label>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Amount{amountToken ? ` (${amountToken.symbol})` : ''}</label>
               <input type="number" value={amount} onChange={e=>setAmount(e.target.value)} className="w-full bg-gray-900 border border-gray-600 rounded p-2" />
+              <div className="mt-2 space-y-2">
+                <AmountPresets {...maxAmount} decimals={amountToken?.decimals} onSelect={setAmount} />
+                {(modalType==='withdraw' || modalType==='mint') && <TargetRatioInput value={targetRatio} min={threshold} onChange={setTargetRatio} />}
+              </div>
             </div>
           )}
+          {modalType==='deposit' && (
+            <ApprovalOptions needsApproval={needsApproval} mode={approvalMode} onChange={setApprovalMode} permitAvailable={permitAvailable} allowance={allowance} />
+          )}
+          {simulation && <PositionPreview simulation={simulation} modalType={modalType} threshold={threshold} symbol={collateralToken?.symbol || collateral?.symbol} />}
+          {needsAck && (
+            <label className="flex items-start text-sm text-amber-300">
+              <input type="checkbox" checked={acknowledged} onChange={e=>setAcknowledged(e.target.checked)} className="mt-1 mr-2" />
+              I understand this leaves my vault close to the {threshold}% liquidation threshold.
+            </label>
+          )}
+          {flowId && <TransactionSteps steps={getFlow(flowId)} />}
           {status.loading && <div className="text-blue-400 flex items-center justify-center"><RefreshCw className="animate-spin mr-2"/>{status.success}</div>}
           {!status.loading && status.success && <div className="text-green-400 text-center">{status.success}</div>}
-          {status.error && <div className="text-red-400 text-center">{status.error}</div>}
+          {status.error && <ErrorNotice error={status.error} />}
         </div>
         <div className="p-4 flex justify-end space-x-3 bg-gray-900/50 rounded-b-lg">
-          <button onClick={onClose} disabled={status.loading} className="px-4 py-2 bg-gray-600 rounded disabled:opacity-50">Cancel</button>
-          <button onClick={handleConfirm} disabled={status.loading} className="px-4 py-2 bg-blue-600 rounded disabled:opacity-50">{status.loading?'Processing':'Confirm'}</button>
+          {status.loading && flowId && <span className="self-center text-xs text-gray-500 mr-auto">You can close this — tracking continues.</span>}
+          <button onClick={onClose} className="px-4 py-2 bg-gray-600 rounded">{status.success && !status.loading ? 'Close' : 'Cancel'}</button>
+          <button onClick={handleConfirm} disabled={status.loading || isBlocked || isWrongNetwork || (needsAck && !acknowledged)} className="px-4 py-2 bg-blue-600 rounded disabled:opacity-50">{status.loading?'Processing':'Confirm'}</button>
         </div>
       </div>
     </div>
   );
 };
 
+// Plain strings come from form validation; decoded tx errors carry a title and a suggested fix.
+const ErrorNotice = ({ error }) => {
+  if (typeof error === 'string') return <div className="text-red-400 text-center">{error}</div>;
+  return (
+    <div className="bg-red-900/30 border border-red-500/40 rounded-lg p-3 text-sm">
+      <p className="font-semibold text-red-300 flex items-center"><AlertTriangle className="w-4 h-4 mr-1" />{error.title}</p>
+      <p className="text-red-200">{error.message}</p>
+      {error.fix && <p className="text-gray-300 mt-1">{error.fix}</p>}
+    </div>
+  );
+};
+
+// How the vault gets access to the deposit. Hidden when the existing allowance already covers it.
+const ApprovalOptions = ({ needsApproval, mode, onChange, permitAvailable, allowance }) => {
+  if (!needsApproval) {
+    return <p className="text-xs text-green-400 flex items-center"><CheckCircle className="w-4 h-4 mr-1" />Existing allowance covers this deposit — no approval needed.</p>;
+  }
+  const options = [
+    { value: APPROVAL_MODES.EXACT, label: 'Exact amount', hint: 'Approve only this deposit.' },
+    { value: APPROVAL_MODES.UNLIMITED, label: 'Unlimited', hint: 'Skip approvals on future deposits.' },
+  ];
+  if (permitAvailable) options.push({ value: APPROVAL_MODES.PERMIT, label: 'Permit signature', hint: 'Sign instead of sending an approval transaction.' });
+  return (
+    <div className="text-sm">
+      <p className="text-gray-400 mb-1">
+        Approval{allowance && !allowance.isZero() ? ' (current allowance is too low)' : ''}
+      </p>
+      <div className="space-y-1">
+        {options.map(opt => (
+          <label key={opt.value} className="flex items-start cursor-pointer">
+            <input type="radio" name="approvalMode" value={opt.value} checked={mode===opt.value} onChange={() => onChange(opt.value)} className="mt-1 mr-2" />
+            <span><span className="text-gray-200">{opt.label}</span> <span className="text-xs text-gray-500">{opt.hint}</span></span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Before/after comparison shown while the user types an amount.
+const PositionPreview = ({ simulation, modalType, threshold, symbol }) => {
+  const { before, after, belowThreshold, errors } = simulation;
+  const formatRatio = ratio => (Number.isFinite(ratio) ? `${ratio.toFixed(2)}%` : 'No debt');
+  const rows = [
+    { label: 'Collateral', before: `${formatNumber(before.collateralAmount)} ${symbol||''}`, after: `${formatNumber(after.collateralAmount)} ${symbol||''}` },
+    { label: 'Debt', before: `${formatNumber(before.mintedAmount)} tGHSX`, after: `${formatNumber(after.mintedAmount)} tGHSX` },
+    { label: 'Collateral Ratio', before: formatRatio(before.collateralRatio), after: formatRatio(after.collateralRatio), color: getHealthColor(after.collateralRatio) },
+    { label: 'Liquidation Price', before: before.liquidationPrice ? formatCurrency(before.liquidationPrice) : '—', after: after.liquidationPrice ? formatCurrency(after.liquidationPrice) : '—' },
+  ];
+  if (modalType==='mint') rows.push({ label: 'Daily Mint Left', before: formatNumber(before.remainingDaily), after: formatNumber(after.remainingDaily) });
+
+  return (
+    <div className="bg-gray-900/60 border border-gray-700 rounded-lg p-3 text-sm">
+      <div className="grid grid-cols-3 text-xs text-gray-500 uppercase mb-2">
+        <span>Position</span><span className="text-right">Current</span><span className="text-right">After</span>
+      </div>
+      {rows.map(row => (
+        <div key={row.label} className="grid grid-cols-3 py-1">
+          <span className="text-gray-400">{row.label}</span>
+          <span className="text-right font-mono text-gray-300">{row.before}</span>
+          <span className="text-right font-mono font-semibold" style={row.color ? { color: row.color } : undefined}>{row.after}</span>
+        </div>
+      ))}
+      {belowThreshold && (
+        <p className="mt-2 text-red-400 flex items-center"><AlertTriangle className="w-4 h-4 mr-1" />This would put your vault below the {threshold}% minimum ratio.</p>
+      )}
+      {errors.map(msg => <p key={msg} className="mt-2 text-red-400 flex items-center"><AlertTriangle className="w-4 h-4 mr-1" />{msg}</p>)}
+    </div>
+  );
+};
+
+// Quick-fill buttons for a fraction of the largest safe amount.
+const AmountPresets = ({ label, max, exact, roundUp, decimals, onSelect }) => {
+  const presets = [25, 50, 75, 100];
+  const pick = pct => onSelect(pct === 100 && exact ? exact : toAmountInput((max * pct) / 100, decimals ?? 18, { roundUp }));
+  return (
+    <div className="flex items-center space-x-2 text-xs">
+      {label && <span className="text-gray-400 w-16">{label}</span>}
+      {presets.map(pct => (
+        <button key={pct} type="button" onClick={() => pick(pct)} disabled={!(max > 0)} className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200 disabled:opacity-40 disabled:cursor-not-allowed">
+          {pct === 100 ? 'Max' : `${pct}%`}
+        </button>
+      ))}
+      <span className="text-gray-500 font-mono">{max > 0 ? formatNumber(toAmountInput(max, decimals ?? 18, { roundUp })) : '0'}</span>
+    </div>
+  );
+};
+const clampRatio = (value, min) => Math.max(min, Number(value) || min);
+const TargetRatioInput = ({ value, min = MIN_COLLATERAL_RATIO, onChange }) => (
+  <label className="flex items-center space-x-2 text-xs text-gray-400">
+    <span>Keep ratio at least</span>
+    <input type="number" min={min} step="5" value={value} onChange={e => onChange(e.target.value)} onBlur={() => onChange(String(clampRatio(value, min)))} className="w-20 bg-gray-900 border border-gray-600 rounded p-1 text-gray-200" />
+    <span>%</span>
+  </label>
+);
+
 // --- Utility Components ---
 const Card = ({ children }) => <div className="bg-gray-800/50 rounded-xl shadow-lg border border-gray-700/50 backdrop-blur-sm mb-6">{children}</div>;
 const CardHeader = ({ children }) => <div className="p-4 border-b border-gray-700 flex justify-between items-center">{children}</div>;
@@ -475,7 +950,7 @@ const InfoBox = ({ icon, title, value, valueColor, alignment }) => (
   <div className={`${alignment==='left'?'text-left':'text-center'}`}>  
     <div className="flex items-center justify-center mb-1">{React.cloneElement(icon,{className:'w-6 h-6 text-blue-500'})}</div>
     <p className="text-sm text-gray-400">{title}</p>
-    <p className={`text-2xl font-bold ${valueColor||'text-white'}`}>{value}</p>
+    <p className="text-2xl font-bold text-white" style={valueColor ? { color: valueColor } : undefined}>{value}</p>
   </div>
 );
 const ActionButton = ({ onClick, children, className, disabled }) => (
@@ -486,6 +961,38 @@ const LoadingSpinner = () => (
     <RefreshCw className="w-12 h-12 text-blue-500 animate-spin" />
   </div>
 );
+const WalletLinkWall = ({ walletAddress, linkedWallets, onLink, onLogout }) => {
+  const [status, setStatus] = useState({ loading: false, error: null });
+  const handleLink = async () => {
+    setStatus({ loading: true, error: null });
+    try {
+      await onLink();
+    } catch (err) {
+      console.error(err);
+      setStatus({ loading: false, error: err.status ? err.message : formatTxError(err) });
+    }
+  };
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-900">
+      <div className="bg-gray-800 p-8 rounded-lg text-center max-w-md">
+        <Key className="w-12 h-12 text-blue-500 mx-auto" />
+        <h2 className="mt-4 text-2xl font-bold text-white">Link This Wallet</h2>
+        <p className="mt-2 text-gray-400">
+          <span className="font-mono">{walletAddress.slice(0, 6)}...{walletAddress.slice(-4)}</span> is not linked to the account you are logged in with.
+          Sign a message to link it, or switch to a linked wallet.
+        </p>
+        {linkedWallets.length > 0 && (
+          <p className="mt-2 text-sm text-gray-500 font-mono">Linked: {linkedWallets.map(w => `${w.address.slice(0, 6)}...${w.address.slice(-4)}`).join(', ')}</p>
+        )}
+        {status.error && <p className="mt-4 text-sm text-red-400">{status.error}</p>}
+        <div className="mt-6 flex justify-center space-x-3">
+          <button onClick={handleLink} disabled={status.loading} className="px-5 py-2 bg-blue-600 rounded disabled:opacity-50">{status.loading ? 'Check your wallet…' : 'Sign & Link Wallet'}</button>
+          <button onClick={onLogout} className="px-5 py-2 bg-gray-700 rounded">Log Out</button>
+        </div>
+      </div>
+    </div>
+  );
+};
 const ErrorMessage = ({ message, onRetry }) => (
   <div className="flex items-center justify-center min-h-screen bg-gray-900">
     <div className="bg-gray-800 p-8 rounded-lg text-center">
@@ -496,13 +1003,3 @@ const ErrorMessage = ({ message, onRetry }) => (
     </div>
   </div>
 );
-const AuthWall = ({ message, onAction, actionText }) => (
-  <div className="flex items-center justify-center min-h-screen bg-gray-900">
-    <div className="bg-gray-800 p-8 rounded-lg text-center">
-      <Shield className="w-12 h-12 text-blue-500 mx-auto" />
-      <h2 className="mt-4 text-2xl font-bold text-white">Authentication Required</h2>
-      <p className="mt-2 text-gray-400">{message}</p>
-      {onAction && <button onClick={onAction} className="mt-6 px-5 py-2 bg-blue-600 rounded">{actionText}</button>}
-    </div>
-  </div>
-);
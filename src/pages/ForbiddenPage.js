@@ -0,0 +1,21 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ShieldOff } from 'lucide-react';
+
+// --- 403 ---
+export default function ForbiddenPage({ message = 'Your account does not have permission to view this page.', homePath = '/dashboard', homeLabel = 'Go to Dashboard', onRetry }) {
+    return (
+        <div className="flex items-center justify-center min-h-screen bg-gray-900 text-white font-sans">
+            <div className="bg-gray-800 p-8 rounded-lg text-center max-w-md">
+                <ShieldOff className="w-12 h-12 text-red-500 mx-auto" />
+                <p className="mt-4 text-sm font-mono text-gray-500">403</p>
+                <h2 className="text-2xl font-bold">Access Denied</h2>
+                <p className="mt-2 text-gray-400">{message}</p>
+                <div className="mt-6 flex justify-center space-x-3">
+                    <Link to={homePath} className="px-5 py-2 bg-blue-600 hover:bg-blue-700 rounded-md font-semibold">{homeLabel}</Link>
+                    {onRetry && <button onClick={onRetry} className="px-5 py-2 bg-gray-700 hover:bg-gray-600 rounded-md">Try Again</button>}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,8 +1,13 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { DollarSign, Shield, Zap, TrendingUp, LogIn, GitMerge, AlertTriangle, RefreshCw, Layers, Lock, Wind, Github, Twitter, Send, MessageSquare } from 'lucide-react';
-
-// --- LIVE API & CONFIG ---
-const API_BASE_URL = 'https://tghsx.onrender.com';
+import { DollarSign, Shield, Zap, TrendingUp, LogIn, GitMerge, AlertTriangle, RefreshCw, Layers, Lock, Wind, Wallet, Github, Twitter, Send, MessageSquare } from 'lucide-react';
+import { getProtocolHealth, login, register, verifySiwe, isAbortError, NotFoundError } from '../api/client';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { signSiweMessage, SIWE_STATEMENTS } from '../utils/siwe';
+import { decodeJwt, getReturnTo, getPostLoginPath } from '../utils/authSession';
+import { useAuth } from '../context/AuthContext';
+import { formatTxError } from '../utils/txErrors';
+import { useWallet } from '../context/WalletContext';
+import WalletPicker from '../components/WalletPicker';
 
 // --- Helper Functions ---
 const formatCurrency = (value, decimals = 2) => {
@@ -16,83 +21,86 @@ const formatCurrency = (value, decimals = 2) => {
     }).format(number);
 };
 
-// --- JWT Decoder ---
-function parseJwt(token) {
-    try {
-        return JSON.parse(atob(token.split('.')[1]));
-    } catch (e) {
-        return null;
-    }
-}
-
 // --- Main Landing Page Component ---
 export default function LandingPage() {
     const [protocolHealth, setProtocolHealth] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
-    const [showLogin, setShowLogin] = useState(false);
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const { login: startSession } = useAuth();
+    // Guarded pages and expired sessions send users here with ?login=1&returnTo=...
+    const [showLogin, setShowLogin] = useState(searchParams.get('login') === '1');
+    const returnTo = getReturnTo(searchParams);
+    const [showWalletPicker, setShowWalletPicker] = useState(false);
+    const [siwePending, setSiwePending] = useState(false);
+    const { wallets, walletConnectEnabled, provider, address, chainId, error: walletError, isConnecting, connect } = useWallet();
 
-    const fetchProtocolHealth = useCallback(async () => {
+    const fetchProtocolHealth = useCallback(async (signal) => {
         setIsLoading(true);
         setError(null);
         try {
-            const response = await fetch(`${API_BASE_URL}/protocol/health`);
-            if (!response.ok) {
-                 const errorData = await response.json();
-                 throw new Error(errorData.detail || 'Failed to fetch protocol statistics.');
-            }
-            const data = await response.json();
+            const data = await getProtocolHealth({ signal });
             setProtocolHealth(data);
         } catch (err) {
-            setError(err.message);
+            if (isAbortError(err)) return;
+            setError(err.message || 'Failed to fetch protocol statistics.');
             console.error(err);
         } finally {
-            setIsLoading(false);
+            if (!signal?.aborted) setIsLoading(false);
         }
     }, []);
 
     useEffect(() => {
-        fetchProtocolHealth();
+        const controller = new AbortController();
+        fetchProtocolHealth(controller.signal);
+        return () => controller.abort();
     }, [fetchProtocolHealth]);
 
     const handleConnectWallet = () => {
         setShowLogin(true);
     };
 
-    const handleAuthAction = async (endpoint, email, password) => {
+    const handleAuthAction = useCallback(async (authRequest) => {
         try {
-            const response = await fetch(`${API_BASE_URL}${endpoint}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ email, password }),
-            });
-            const data = await response.json();
-            if (!response.ok) {
-                // Throw a more specific error for 404
-                if (response.status === 404) {
-                    throw new Error('Login service not found. The API may be deploying or misconfigured.');
-                }
-                throw new Error(data.detail || 'An error occurred.');
-            }
-            
-            console.log('Success:', data);
-            localStorage.setItem('authToken', data.access_token);
-            
-            const decodedToken = parseJwt(data.access_token);
-            if (decodedToken && decodedToken.role === 'admin') {
-                window.location.href = '/admin';
-            } else {
-                window.location.href = '/dashboard';
-            }
+            const data = await authRequest();
+
+            startSession(data.access_token);
+            navigate(getPostLoginPath(decodeJwt(data.access_token), returnTo), { replace: true });
 
         } catch (err) {
             console.error(err);
-            alert(`Error: ${err.message}`);
+            // Give a more specific error for 404
+            const message = err instanceof NotFoundError
+                ? 'Login service not found. The API may be deploying or misconfigured.'
+                : err.status ? err.message : formatTxError(err);
+            alert(`Error: ${message}`);
         }
-    };
+    }, [startSession, navigate, returnTo]);
     
-    const handleLogin = (email, password) => handleAuthAction('/auth/login', email, password);
-    const handleRegister = (email, password) => handleAuthAction('/auth/register', email, password);
+    const handleLogin = (email, password) => handleAuthAction(() => login(email, password));
+    const handleRegister = (email, password) => handleAuthAction(() => register(email, password));
+
+    // --- Sign-In with Ethereum ---
+    // Nonce -> signed EIP-4361 message -> JWT, so the session is bound to the wallet that signed it.
+    const signInWithWallet = useCallback(() => handleAuthAction(async () => {
+        const { message, signature } = await signSiweMessage({ signer: provider.getSigner(), address, chainId, statement: SIWE_STATEMENTS.LOGIN });
+        return verifySiwe(message, signature);
+    }), [handleAuthAction, provider, address, chainId]);
+
+    const handleWalletLogin = async () => {
+        if (address) return signInWithWallet();
+        setSiwePending(true);
+        setShowWalletPicker(true);
+    };
+
+    // Continue the sign-in once the picked wallet has connected.
+    useEffect(() => {
+        if (!siwePending || !address) return;
+        setSiwePending(false);
+        setShowWalletPicker(false);
+        signInWithWallet();
+    }, [siwePending, address, signInWithWallet]);
 
     return (
         <div className="bg-gray-900 text-white min-h-screen font-sans">
@@ -106,7 +114,11 @@ export default function LandingPage() {
                 </main>
                 <Footer />
             </div>
-            {showLogin && <LoginModal onClose={() => setShowLogin(false)} onLogin={handleLogin} onRegister={handleRegister} />}
+            {showLogin && <LoginModal onClose={() => setShowLogin(false)} onLogin={handleLogin} onRegister={handleRegister} onWalletLogin={handleWalletLogin} />}
+            {showWalletPicker && (
+                <WalletPicker wallets={wallets} walletConnectEnabled={walletConnectEnabled} isConnecting={isConnecting} error={walletError}
+                    onSelect={connect} onClose={() => { setShowWalletPicker(false); setSiwePending(false); }} />
+            )}
         </div>
     );
 }
@@ -260,11 +272,18 @@ const Footer = () => (
     </footer>
 );
 
-const LoginModal = ({ onClose, onLogin, onRegister }) => {
+const LoginModal = ({ onClose, onLogin, onRegister, onWalletLogin }) => {
     const [isRegister, setIsRegister] = useState(false);
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
+    const [isSigning, setIsSigning] = useState(false);
+
+    const handleWalletLogin = async () => {
+        setIsSigning(true);
+        await onWalletLogin();
+        setIsSigning(false);
+    };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -303,6 +322,18 @@ const LoginModal = ({ onClose, onLogin, onRegister }) => {
                         {isRegister ? 'Register' : 'Log In'}
                     </button>
                 </form>
+                <div className="px-6 pb-6">
+                    <div className="flex items-center mb-4 text-xs text-gray-500">
+                        <div className="flex-grow border-t border-gray-700"></div>
+                        <span className="px-3">or</span>
+                        <div className="flex-grow border-t border-gray-700"></div>
+                    </div>
+                    <button onClick={handleWalletLogin} disabled={isSigning} className="w-full py-2.5 rounded-md text-sm font-semibold bg-gray-700 hover:bg-gray-600 transition-colors disabled:opacity-50 flex justify-center items-center">
+                        {isSigning ? <RefreshCw className="w-4 h-4 mr-2 animate-spin" /> : <Wallet className="w-4 h-4 mr-2" />}
+                        Sign in with Ethereum
+                    </button>
+                    <p className="mt-2 text-xs text-gray-500 text-center">Email accounts can link wallets from the dashboard after logging in.</p>
+                </div>
             </div>
         </div>
     );
@@ -1,98 +1,75 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { ArrowLeft, ArrowRight, CheckCircle, Clock, Download, Upload, Droplet, Zap, RefreshCw, AlertTriangle } from 'lucide-react';
+import { useSearchParams } from 'react-router-dom';
+import { ArrowLeft, ArrowRight, CheckCircle, Clock, Download, Upload, Droplet, Zap, RefreshCw, AlertTriangle, Filter, X } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
-
-// --- MOCK API & CONFIG (Replace with actual implementation) ---
-const MOCK_API_BASE_URL = 'http://localhost:8000'; // Your backend URL
-
-// --- Mock Data Generation ---
-// This function generates realistic mock data based on the backend schema.
-const generateMockTransactions = (page, limit, type) => {
-    const eventTypes = ['CollateralDeposited', 'CollateralWithdrawn', 'TokensMinted', 'TokensBurned', 'AutoMintExecuted'];
-    const allTransactions = Array.from({ length: 47 }, (_, i) => {
-        const event_name = eventTypes[i % eventTypes.length];
-        let event_data = {};
-        switch (event_name) {
-            case 'CollateralDeposited':
-            case 'CollateralWithdrawn':
-                event_data = { user: '0xUser...', collateral: '0xETH...', amount: '1000000000000000000' }; // 1 ETH
-                break;
-            case 'TokensMinted':
-            case 'TokensBurned':
-                event_data = { user: '0xUser...', collateral: '0xETH...', amount: (500 * (i + 1) * 1e6).toString() }; // 500+ tGHSX
-                break;
-            case 'AutoMintExecuted':
-                 event_data = { user: '0xUser...', amount: (15 * 1e6).toString(), bonus: (2 * 1e6).toString() }; // 15 tGHSX
-                break;
-        }
-        return {
-            tx_hash: `0x${Math.random().toString(16).substr(2, 40)}`,
-            user_id: 'user123',
-            event_name,
-            event_data: JSON.stringify(event_data),
-            block_timestamp: new Date(Date.now() - i * 3600000 * 2).toISOString(),
-            // Adding a mock status for demonstration
-            status: i % 10 === 2 ? 'pending' : 'done'
-        };
-    });
-
-    const filtered = type === 'all' ? allTransactions : allTransactions.filter(tx => tx.event_name === type);
-    const start = (page - 1) * limit;
-    const end = start + limit;
-    
-    return {
-        total: filtered.length,
-        transactions: filtered.slice(start, end)
-    };
-};
+import { getTransactions, getCollaterals, isAbortError } from '../api/client';
+import { formatTokenAmount, getEventTokenAddress } from '../utils/tokenRegistry';
+import useTokenRegistry from '../hooks/useTokenRegistry';
+import { useAuth } from '../context/AuthContext';
+import { HISTORY_PAGE_SIZE, EMPTY_FILTERS, parseHistoryParams, toHistorySearchParams, toTransactionQuery, hasActiveFilters } from '../utils/historyFilters';
 
 
 // --- Main Transaction History Component ---
 export default function TransactionHistoryView() {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const { page, filters } = useMemo(() => parseHistoryParams(searchParams), [searchParams]);
+
+    const { token: authToken } = useAuth();
     const [transactions, setTransactions] = useState([]);
-    const [pagination, setPagination] = useState({ page: 1, limit: 10, total: 0 });
-    const [filterType, setFilterType] = useState('all');
+    const [total, setTotal] = useState(0);
+    const [collaterals, setCollaterals] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
 
-    const fetchTransactions = useCallback(async (page, type) => {
+    useEffect(() => {
+        if (!authToken) return;
+        const controller = new AbortController();
+        getCollaterals({ token: authToken, signal: controller.signal })
+            .then(setCollaterals)
+            .catch(err => { if (!isAbortError(err)) console.error(err); });
+        return () => controller.abort();
+    }, [authToken]);
+
+    // Every token the current page mentions, so rows can be formatted with the right decimals.
+    const tokenAddresses = useMemo(() => [
+        ...collaterals.map(c => c.address),
+        ...transactions.map(tx => JSON.parse(tx.event_data || '{}').collateral),
+    ].filter(Boolean), [collaterals, transactions]);
+    const { getToken } = useTokenRegistry(tokenAddresses, { collaterals });
+
+    const fetchTransactions = useCallback(async (signal) => {
+        if (!authToken) return;
         setIsLoading(true);
         setError(null);
         try {
-            // In a real app, you'd get the JWT token after login
-            const mockAuthHeader = { 'Authorization': 'Bearer YOUR_JWT_TOKEN' };
-            
-            // MOCK API Call - Replace with your actual fetch call
-            // const response = await fetch(`${MOCK_API_BASE_URL}/transactions?page=${page}&limit=${pagination.limit}&type=${type}`, { headers: mockAuthHeader });
-            // if (!response.ok) throw new Error('Failed to fetch transactions.');
-            // const data = await response.json();
-            
-            // Using mock data generator
-            const data = generateMockTransactions(page, pagination.limit, type);
-
-            setTransactions(data.transactions);
-            setPagination(prev => ({ ...prev, page, total: data.total }));
+            const data = await getTransactions(toTransactionQuery({ page, filters }), { token: authToken, signal });
+            setTransactions(data.transactions || []);
+            setTotal(data.total || 0);
         } catch (err) {
+            if (isAbortError(err)) return;
             setError(err.message);
             console.error(err);
         } finally {
-            setIsLoading(false);
+            if (!signal?.aborted) setIsLoading(false);
         }
-    }, [pagination.limit]);
+    }, [authToken, page, filters]);
 
     useEffect(() => {
-        fetchTransactions(1, filterType);
-    }, [filterType, fetchTransactions]);
+        const controller = new AbortController();
+        fetchTransactions(controller.signal);
+        return () => controller.abort();
+    }, [fetchTransactions]);
 
-    const handleFilterChange = (type) => {
-        setFilterType(type);
+    // Any filter change goes back to the first page.
+    const updateFilters = (changes) => {
+        setSearchParams(toHistorySearchParams({ page: 1, filters: { ...filters, ...changes } }));
     };
 
     const handlePageChange = (newPage) => {
-        if (newPage < 1 || newPage > Math.ceil(pagination.total / pagination.limit)) {
+        if (newPage < 1 || newPage > Math.ceil(total / HISTORY_PAGE_SIZE)) {
             return;
         }
-        fetchTransactions(newPage, filterType);
+        setSearchParams(toHistorySearchParams({ page: newPage, filters }));
     };
 
     return (
@@ -101,9 +78,18 @@ export default function TransactionHistoryView() {
                 <Card>
                     <CardHeader>
                         <h2 className="text-xl font-semibold">📋 Transaction History</h2>
+                        <button onClick={() => fetchTransactions()} className="p-2 rounded-md hover:bg-gray-700 text-gray-400 hover:text-white">
+                            <RefreshCw className="w-4 h-4" />
+                        </button>
                     </CardHeader>
-                    <div className="p-4 border-b border-gray-700">
-                        <FilterToolbar currentFilter={filterType} onFilterChange={handleFilterChange} />
+                    <div className="p-4 border-b border-gray-700 space-y-4">
+                        <FilterToolbar currentFilter={filters.type} onFilterChange={type => updateFilters({ type })} />
+                        <AdvancedFilters
+                            filters={filters}
+                            collaterals={collaterals}
+                            onApply={updateFilters}
+                            onClear={() => updateFilters({ ...EMPTY_FILTERS, type: filters.type })}
+                        />
                     </div>
                     <div className="p-2">
                         {isLoading ? (
@@ -117,12 +103,12 @@ export default function TransactionHistoryView() {
                                 <p className="text-sm text-gray-400">{error}</p>
                             </div>
                         ) : (
-                            <TransactionTable transactions={transactions} />
+                            <TransactionTable transactions={transactions} getToken={getToken} />
                         )}
                     </div>
                     {!isLoading && !error && (
                         <div className="p-4 border-t border-gray-700">
-                            <PaginationControls {...pagination} onPageChange={handlePageChange} />
+                            <PaginationControls page={page} limit={HISTORY_PAGE_SIZE} total={total} onPageChange={handlePageChange} />
                         </div>
                     )}
                 </Card>
@@ -170,7 +156,67 @@ const FilterToolbar = ({ currentFilter, onFilterChange }) => {
     );
 };
 
-const TransactionTable = ({ transactions }) => {
+// Text and date inputs are edited locally and only pushed to the URL on Apply,
+// so typing an amount doesn't fire a request per keystroke.
+const AdvancedFilters = ({ filters, collaterals, onApply, onClear }) => {
+    const [draft, setDraft] = useState(filters);
+    useEffect(() => { setDraft(filters); }, [filters]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setDraft(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const { type, ...rest } = draft;
+        onApply(rest);
+    };
+
+    const inputClass = "w-full bg-gray-900 border border-gray-600 rounded-md p-2 text-sm focus:ring-blue-500 focus:border-blue-500";
+
+    return (
+        <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end">
+            <FilterField label="From">
+                <input type="date" name="from" value={draft.from} max={draft.to || undefined} onChange={handleChange} className={inputClass} />
+            </FilterField>
+            <FilterField label="To">
+                <input type="date" name="to" value={draft.to} min={draft.from || undefined} onChange={handleChange} className={inputClass} />
+            </FilterField>
+            <FilterField label="Collateral">
+                <select name="collateral" value={draft.collateral} onChange={handleChange} className={inputClass}>
+                    <option value="">All</option>
+                    {collaterals.map(c => <option key={c.address} value={c.address}>{c.symbol}</option>)}
+                </select>
+            </FilterField>
+            <FilterField label="Min Amount">
+                <input type="number" name="minAmount" min="0" step="any" value={draft.minAmount} onChange={handleChange} placeholder="0.00" className={inputClass} />
+            </FilterField>
+            <FilterField label="Max Amount">
+                <input type="number" name="maxAmount" min="0" step="any" value={draft.maxAmount} onChange={handleChange} placeholder="Any" className={inputClass} />
+            </FilterField>
+            <div className="flex space-x-2">
+                <button type="submit" className="flex-grow flex items-center justify-center px-3 py-2 text-sm font-medium rounded-md bg-blue-600 hover:bg-blue-700">
+                    <Filter className="w-4 h-4 mr-1" />Apply
+                </button>
+                {hasActiveFilters(filters) && (
+                    <button type="button" onClick={onClear} title="Clear filters" className="px-2 py-2 rounded-md bg-gray-700 hover:bg-gray-600 text-gray-300">
+                        <X className="w-4 h-4" />
+                    </button>
+                )}
+            </div>
+        </form>
+    );
+};
+
+const FilterField = ({ label, children }) => (
+    <label className="block">
+        <span className="block text-xs font-medium text-gray-400 mb-1">{label}</span>
+        {children}
+    </label>
+);
+
+const TransactionTable = ({ transactions, getToken }) => {
     if (transactions.length === 0) {
         return <p className="text-center text-gray-500 py-16">No transactions found for this filter.</p>;
     }
@@ -186,40 +232,38 @@ const TransactionTable = ({ transactions }) => {
                     </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-700/50">
-                    {transactions.map(tx => <TransactionRow key={tx.tx_hash} tx={tx} />)}
+                    {transactions.map(tx => <TransactionRow key={tx.tx_hash} tx={tx} getToken={getToken} />)}
                 </tbody>
             </table>
         </div>
     );
 };
 
-const TransactionRow = ({ tx }) => {
+const TransactionRow = ({ tx, getToken }) => {
     const { type, amount, status, date } = useMemo(() => {
         const eventData = JSON.parse(tx.event_data || '{}');
-        let formattedAmount = 'N/A';
+        const token = getToken(getEventTokenAddress(tx.event_name, eventData));
+        const formattedAmount = eventData.amount !== undefined ? formatTokenAmount(eventData.amount, token) : 'N/A';
         let typeInfo = { label: tx.event_name, icon: <Droplet />, color: 'text-gray-400' };
 
         switch (tx.event_name) {
             case 'CollateralDeposited':
-                formattedAmount = `${(parseFloat(eventData.amount) / 1e18).toFixed(4)} ETH`;
                 typeInfo = { label: 'Deposit', icon: <Download />, color: 'text-green-400' };
                 break;
             case 'CollateralWithdrawn':
-                formattedAmount = `${(parseFloat(eventData.amount) / 1e18).toFixed(4)} ETH`;
                 typeInfo = { label: 'Withdraw', icon: <Upload />, color: 'text-red-400' };
                 break;
             case 'TokensMinted':
-                formattedAmount = `${(parseFloat(eventData.amount) / 1e6).toLocaleString()} tGHSX`;
                 typeInfo = { label: 'Mint', icon: <Droplet />, color: 'text-blue-400' };
                 break;
             case 'TokensBurned':
-                formattedAmount = `${(parseFloat(eventData.amount) / 1e6).toLocaleString()} tGHSX`;
                 typeInfo = { label: 'Repay', icon: <Droplet />, color: 'text-purple-400' };
                 break;
             case 'AutoMintExecuted':
-                formattedAmount = `${(parseFloat(eventData.amount) / 1e6).toLocaleString()} tGHSX`;
                 typeInfo = { label: 'Auto-Mint', icon: <Zap />, color: 'text-yellow-400' };
                 break;
+            default:
+                break;
         }
 
         return {
@@ -230,7 +274,7 @@ const TransactionRow = ({ tx }) => {
                 : { label: 'Pending', icon: <Clock className="text-amber-500 animate-pulse" /> },
             date: formatDistanceToNow(new Date(tx.block_timestamp), { addSuffix: true })
         };
-    }, [tx]);
+    }, [tx, getToken]);
 
     return (
         <tr className="hover:bg-gray-700/30">
@@ -271,11 +315,11 @@ const PaginationControls = ({ page, limit, total, onPageChange }) => {
                     <ArrowLeft className="w-4 h-4" />
                 </button>
                 <span className="px-2">
-                    Page {page} of {totalPages}
+                    Page {page} of {Math.max(totalPages, 1)}
                 </span>
                 <button
                     onClick={() => onPageChange(page + 1)}
-                    disabled={page === totalPages}
+                    disabled={page >= totalPages}
                     className="p-2 rounded-md hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                     <ArrowRight className="w-4 h-4" />
@@ -0,0 +1,72 @@
+import { AUTOMINT_CONFIG_FIELDS } from './autoMint';
+import { COLLATERAL_PARAM_FIELDS } from './collateralAdmin';
+
+// --- Admin Actions ---
+// What each admin action needs before it runs (a typed word for the ones that can halt
+// the protocol, a diff for config changes) and helpers for the audit log view.
+
+export const AUDIT_PAGE_SIZE = 20;
+
+// Labels shown in the confirmation dialog and the audit log filter.
+export const ADMIN_ACTION_LABELS = {
+    'pause': 'Pause protocol',
+    'unpause': 'Resume protocol',
+    'toggle-automint': 'Toggle Auto-Mint',
+    'update-automint-config': 'Update Auto-Mint config',
+    'approve-mint': 'Approve mint request',
+    'decline-mint': 'Decline mint request',
+    'liquidate': 'Liquidate vault',
+    'add-collateral': 'Add collateral',
+    'update-collateral': 'Update collateral',
+    'toggle-collateral': 'Enable/disable collateral',
+};
+
+/** Fields whose value changes between `current` and `next`, formatted for display. */
+export const diffConfig = (current, next, fields = AUTOMINT_CONFIG_FIELDS) => fields
+    .filter(({ key }) => String(current?.[key] ?? '') !== String(next?.[key] ?? ''))
+    .map(({ key, label, format = String }) => ({
+        key,
+        label,
+        from: current?.[key] === undefined ? '—' : format(current[key]),
+        to: format(next[key]),
+    }));
+
+/**
+ * How `action` must be confirmed, or null if it runs straight away (e.g. mint reviews,
+ * which have their own dialogs).
+ * @returns {{ title: string, message: string, confirmWord: string|null, confirmLabel: string, danger: boolean, diff?: object[] } | null}
+ */
+export const getConfirmation = (action, payload, { autoMintConfig, collaterals = [] } = {}) => {
+    switch (action) {
+        case 'pause':
+            return { title: 'Pause the protocol?', message: 'Deposits, withdrawals, mints and repayments stop for every user until the protocol is resumed.', confirmWord: 'PAUSE', confirmLabel: 'Pause Protocol', danger: true };
+        case 'unpause':
+            return { title: 'Resume the protocol?', message: 'All vault actions become available to users again.', confirmWord: null, confirmLabel: 'Resume Protocol', danger: false };
+        case 'toggle-automint':
+            return payload.enabled
+                ? { title: 'Enable Auto-Mint?', message: 'Eligible vaults start receiving Auto-Mint rewards.', confirmWord: null, confirmLabel: 'Enable', danger: false }
+                : { title: 'Disable Auto-Mint?', message: 'No vault can Auto-Mint until it is enabled again.', confirmWord: 'DISABLE', confirmLabel: 'Disable', danger: true };
+        case 'update-automint-config':
+            return { title: 'Apply the new Auto-Mint config?', message: 'These values take effect immediately.', confirmWord: null, confirmLabel: 'Apply Changes', danger: false, diff: diffConfig(autoMintConfig, payload) };
+        case 'add-collateral':
+            return { title: `Add ${payload.symbol} as collateral?`, message: 'Users can deposit it and mint against it as soon as it is added.', confirmWord: null, confirmLabel: 'Add Collateral', danger: false };
+        case 'update-collateral': {
+            const current = collaterals.find(c => c.address.toLowerCase() === payload.address.toLowerCase());
+            return { title: `Update ${current?.symbol || 'collateral'}?`, message: 'New parameters apply to every vault using this collateral.', confirmWord: null, confirmLabel: 'Apply Changes', danger: false, diff: diffConfig(current, { ...current, ...payload.changes }, COLLATERAL_PARAM_FIELDS) };
+        }
+        case 'toggle-collateral':
+            return payload.enabled
+                ? { title: `Enable ${payload.symbol}?`, message: 'Users can deposit it and mint against it again.', confirmWord: null, confirmLabel: 'Enable', danger: false }
+                : { title: `Disable ${payload.symbol}?`, message: 'New deposits and mints against it stop. Existing vaults can still repay and withdraw.', confirmWord: 'DISABLE', confirmLabel: 'Disable', danger: true };
+        default:
+            return null;
+    }
+};
+
+/** Maps the audit log filters onto the `/admin/audit-log` query. */
+export const toAuditQuery = ({ page, admin, action }) => ({
+    page,
+    limit: AUDIT_PAGE_SIZE,
+    admin: admin.trim() || undefined,
+    action: action === 'all' ? undefined : action,
+});
@@ -0,0 +1,30 @@
+import { diffConfig, getConfirmation, toAuditQuery } from './adminActions';
+
+const CONFIG = { baseReward: 10000000, bonusMultiplier: 150, minHoldTime: 86400, collateralRequirement: 200, isEnabled: true };
+
+test('diffs only the changed config fields', () => {
+    const diff = diffConfig(CONFIG, { ...CONFIG, baseReward: 12500000, minHoldTime: '86400' });
+    expect(diff).toEqual([{ key: 'baseReward', label: 'Base Reward', from: '10 tGHSX', to: '12.5 tGHSX' }]);
+    expect(diffConfig(CONFIG, CONFIG)).toEqual([]);
+});
+
+test('asks for a typed word before actions that halt the protocol', () => {
+    expect(getConfirmation('pause').confirmWord).toBe('PAUSE');
+    expect(getConfirmation('toggle-automint', { enabled: false }).confirmWord).toBe('DISABLE');
+    expect(getConfirmation('toggle-automint', { enabled: true }).confirmWord).toBeNull();
+    expect(getConfirmation('update-automint-config', { ...CONFIG, bonusMultiplier: 120 }, { autoMintConfig: CONFIG }).diff).toHaveLength(1);
+    expect(getConfirmation('approve-mint', { requestIds: [1] })).toBeNull();
+    expect(getConfirmation('toggle-collateral', { symbol: 'WETH', enabled: false }).confirmWord).toBe('DISABLE');
+});
+
+test('builds the audit log query without empty filters', () => {
+    expect(toAuditQuery({ page: 2, admin: '  ', action: 'all' })).toEqual({ page: 2, limit: 20, admin: undefined, action: undefined });
+    expect(toAuditQuery({ page: 1, admin: 'ops@example.com', action: 'pause' })).toMatchObject({ admin: 'ops@example.com', action: 'pause' });
+});
+
+test('diffs collateral edits against the current parameters', () => {
+    const collaterals = [{ address: '0xAbC', symbol: 'WETH', liquidationThreshold: 150, liquidationBonus: 10 }];
+    const { title, diff } = getConfirmation('update-collateral', { address: '0xabc', changes: { liquidationBonus: 8 } }, { collaterals });
+    expect(title).toBe('Update WETH?');
+    expect(diff).toEqual([{ key: 'liquidationBonus', label: 'Liquidator Bonus', from: '10%', to: '8%' }]);
+});
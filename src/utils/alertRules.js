@@ -0,0 +1,187 @@
+// --- Risk Alert Rules ---
+// User-defined alerts evaluated against live vault, mint and oracle data. Rules, each rule's
+// last evaluation state and the alert history are persisted in localStorage per wallet, so a
+// reload doesn't fire an alert again. Rules are plain objects:
+// { id, type, threshold, collateral, enabled, createdAt }
+// Alerts fire on the transition into the alerting condition, not on every evaluation, so a
+// vault sitting below its threshold warns once and re-arms after it recovers.
+
+import { getOracleUsdPrice } from './vaultMath';
+
+const RULES_KEY = 'alertRules';
+const STATES_KEY = 'alertStates';
+const HISTORY_KEY = 'alertHistory';
+const MAX_HISTORY = 50;
+
+const toNumber = value => {
+    const n = typeof value === 'string' ? parseFloat(value) : Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * `needsCollateral` rules watch one vault; `threshold` is in `unit` and bounded by `min`/`max`.
+ * `check(rule, snapshot, prev)` returns `{ active, state, message }`, where `state` is carried
+ * into the next evaluation as `prev`, or null while the snapshot lacks the data it needs.
+ */
+export const ALERT_TYPES = {
+    'ratio-below': {
+        label: 'Collateral ratio below',
+        unit: '%',
+        defaultThreshold: 175,
+        min: 100,
+        max: 1000,
+        needsCollateral: true,
+        check: (rule, { vaults }) => {
+            const vault = vaults?.[rule.collateral];
+            if (!vault) return null;
+            const debt = toNumber(vault.mintedAmount);
+            const ratio = toNumber(vault.collateralRatio);
+            if (debt <= 0 || ratio <= 0) return { active: false };
+            return {
+                active: ratio < rule.threshold,
+                message: `Collateral ratio is ${ratio.toFixed(2)}%, below your ${rule.threshold}% alert.`,
+            };
+        },
+    },
+    'price-move': {
+        label: 'Oracle price moves by',
+        unit: '%',
+        defaultThreshold: 5,
+        min: 0.1,
+        max: 100,
+        // Measured from the price when the rule last fired (or first saw a price).
+        check: (rule, { oraclePrice }, prev) => {
+            const price = getOracleUsdPrice(oraclePrice);
+            if (!price) return null;
+            const baseline = prev?.baseline || price;
+            const movePct = ((price - baseline) / baseline) * 100;
+            const active = Math.abs(movePct) >= rule.threshold;
+            return {
+                active,
+                state: { baseline: active ? price : baseline },
+                message: `Oracle price ${movePct > 0 ? 'rose' : 'fell'} ${Math.abs(movePct).toFixed(2)}% to $${price.toFixed(2)}.`,
+            };
+        },
+    },
+    'cooldown-finished': {
+        label: 'Mint cooldown finished',
+        // Only the transition counts: a cooldown that was already over when the rule was added is not news.
+        check: (rule, { mintStatus }, prev) => {
+            if (!mintStatus) return null;
+            const cooling = toNumber(mintStatus.cooldownRemaining) > 0;
+            return {
+                active: !cooling && !!prev?.cooling,
+                state: { cooling },
+                message: 'Your mint cooldown is over; you can mint again.',
+            };
+        },
+    },
+};
+
+export const createRule = ({ type, threshold, collateral = null }, now = Date.now()) => ({
+    id: `${type}-${now}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    threshold: ALERT_TYPES[type].unit ? Number(threshold) : null,
+    collateral: ALERT_TYPES[type].needsCollateral ? collateral : null,
+    enabled: true,
+    createdAt: now,
+});
+
+/** An error message for the add-rule form, or null when the rule is valid. */
+export const validateRule = ({ type, threshold, collateral }) => {
+    const spec = ALERT_TYPES[type];
+    if (!spec) return 'Pick an alert type.';
+    if (spec.needsCollateral && !collateral) return 'Pick a collateral to watch.';
+    if (!spec.unit) return null;
+    const value = Number(threshold);
+    if (threshold === '' || !Number.isFinite(value)) return 'Enter a threshold.';
+    if (value < spec.min || value > spec.max) return `Threshold must be between ${spec.min}${spec.unit} and ${spec.max}${spec.unit}.`;
+    return null;
+};
+
+/**
+ * Runs every enabled rule against `snapshot` ({ vaults: { [collateral]: vaultStatus }, mintStatus, oraclePrice }).
+ * `states` is the per-rule memory returned by the previous call; rules without data keep theirs,
+ * so a reload that evaluates before the data arrives doesn't re-arm them.
+ *
+ * @returns {{ alerts: Array<{ ruleId: string, type: string, message: string }>, states: object }}
+ */
+export const evaluateRules = (rules, snapshot, states = {}) => {
+    const alerts = [];
+    const next = {};
+    rules.filter(rule => rule.enabled && ALERT_TYPES[rule.type]).forEach(rule => {
+        const prev = states[rule.id];
+        const result = ALERT_TYPES[rule.type].check(rule, snapshot, prev);
+        if (!result) {
+            if (prev) next[rule.id] = prev;
+            return;
+        }
+        const { active, state, message } = result;
+        if (active && !prev?.active) alerts.push({ ruleId: rule.id, type: rule.type, message });
+        next[rule.id] = { ...state, active };
+    });
+    return { alerts, states: next };
+};
+
+/** Human-readable rule summary, e.g. "Collateral ratio below 175% (WETH)". */
+export const describeRule = (rule, symbol) => {
+    const { label, unit } = ALERT_TYPES[rule.type];
+    return `${label}${unit ? ` ${rule.threshold}${unit}` : ''}${symbol ? ` (${symbol})` : ''}`;
+};
+
+// --- Persistence ---
+const storageKey = (base, wallet) => `${base}:${(wallet || '').toLowerCase()}`;
+
+const loadList = key => {
+    try {
+        const list = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+const saveList = (key, list) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(list));
+    } catch (e) {
+        // Quota exceeded: rules still apply for this session.
+    }
+};
+
+export const loadRules = wallet => loadList(storageKey(RULES_KEY, wallet));
+export const saveRules = (wallet, rules) => saveList(storageKey(RULES_KEY, wallet), rules);
+
+/** The `states` returned by the last `evaluateRules` for this wallet, or {}. */
+export const loadAlertStates = wallet => {
+    try {
+        const states = JSON.parse(localStorage.getItem(storageKey(STATES_KEY, wallet)));
+        return states && typeof states === 'object' && !Array.isArray(states) ? states : {};
+    } catch (e) {
+        return {};
+    }
+};
+export const saveAlertStates = (wallet, states) => saveList(storageKey(STATES_KEY, wallet), states);
+export const loadAlertHistory = wallet => loadList(storageKey(HISTORY_KEY, wallet));
+
+/** Prepends fired alerts (stamped with `firedAt`) to the stored history, newest first. */
+export const recordAlerts = (wallet, alerts, now = Date.now()) => {
+    const history = [...alerts.map(alert => ({ ...alert, firedAt: now })), ...loadAlertHistory(wallet)].slice(0, MAX_HISTORY);
+    saveList(storageKey(HISTORY_KEY, wallet), history);
+    return history;
+};
+
+export const clearAlertHistory = wallet => saveList(storageKey(HISTORY_KEY, wallet), []);
+
+/**
+ * Calls `onChange({ rules, history })` when another tab edits the rules or records or clears
+ * alerts for `wallet`.
+ */
+export const subscribeToAlertStorage = (wallet, onChange, target = window) => {
+    const keys = [storageKey(RULES_KEY, wallet), storageKey(HISTORY_KEY, wallet)];
+    const handleStorage = event => {
+        if (keys.includes(event.key) || event.key === null) onChange({ rules: loadRules(wallet), history: loadAlertHistory(wallet) });
+    };
+    target.addEventListener('storage', handleStorage);
+    return () => target.removeEventListener('storage', handleStorage);
+};
@@ -0,0 +1,89 @@
+import {
+    createRule, validateRule, evaluateRules, describeRule, loadRules, saveRules, loadAlertStates, saveAlertStates, recordAlerts, loadAlertHistory, subscribeToAlertStorage
+} from './alertRules';
+
+const WETH = '0xweth';
+const T0 = 1_700_000_000_000;
+const vault = ratio => ({ vaults: { [WETH]: { mintedAmount: '100', collateralRatio: String(ratio) } } });
+const price = usd => ({ oraclePrice: { eth_usd_price: String(usd * 1e8), decimals: 8 } });
+
+test('fires a ratio alert once per crossing and re-arms after recovery', () => {
+    const rules = [createRule({ type: 'ratio-below', threshold: 175, collateral: WETH }, T0)];
+    let run = evaluateRules(rules, vault(200));
+    expect(run.alerts).toEqual([]);
+    run = evaluateRules(rules, vault(170), run.states);
+    expect(run.alerts).toHaveLength(1);
+    expect(run.alerts[0].message).toMatch('170.00%');
+    run = evaluateRules(rules, vault(160), run.states);
+    expect(run.alerts).toEqual([]);
+    run = evaluateRules(rules, vault(180), run.states);
+    run = evaluateRules(rules, vault(172), run.states);
+    expect(run.alerts).toHaveLength(1);
+});
+
+test('measures price moves from the last alert and cooldowns by transition', () => {
+    const move = createRule({ type: 'price-move', threshold: 5 }, T0);
+    let run = evaluateRules([move], price(2000));
+    run = evaluateRules([move], price(2080), run.states);
+    expect(run.alerts).toEqual([]);
+    run = evaluateRules([move], price(1890), run.states);
+    expect(run.alerts[0].message).toBe('Oracle price fell 5.50% to $1890.00.');
+    run = evaluateRules([move], price(1900), run.states);
+    expect(run.alerts).toEqual([]);
+
+    const cooldown = createRule({ type: 'cooldown-finished' }, T0);
+    run = evaluateRules([cooldown], { mintStatus: { cooldownRemaining: 0 } });
+    expect(run.alerts).toEqual([]);
+    run = evaluateRules([cooldown], { mintStatus: { cooldownRemaining: 120 } }, run.states);
+    run = evaluateRules([cooldown], { mintStatus: { cooldownRemaining: 0 } }, run.states);
+    expect(run.alerts).toHaveLength(1);
+    expect(evaluateRules([{ ...cooldown, enabled: false }], { mintStatus: { cooldownRemaining: 0 } }, run.states).alerts).toEqual([]);
+});
+
+test('validates and describes rules', () => {
+    expect(validateRule({ type: 'ratio-below', threshold: '175' })).toBe('Pick a collateral to watch.');
+    expect(validateRule({ type: 'ratio-below', threshold: '50', collateral: WETH })).toBe('Threshold must be between 100% and 1000%.');
+    expect(validateRule({ type: 'price-move', threshold: '' })).toBe('Enter a threshold.');
+    expect(validateRule({ type: 'cooldown-finished' })).toBeNull();
+    expect(describeRule(createRule({ type: 'ratio-below', threshold: '175', collateral: WETH }), 'WETH')).toBe('Collateral ratio below 175% (WETH)');
+});
+
+test('persists rules and history per wallet', () => {
+    const rule = createRule({ type: 'price-move', threshold: 5 }, T0);
+    saveRules('0xABC', [rule]);
+    expect(loadRules('0xabc')).toEqual([rule]);
+    expect(loadRules('0xdef')).toEqual([]);
+
+    recordAlerts('0xabc', [{ ruleId: rule.id, type: rule.type, message: 'moved' }], T0);
+    recordAlerts('0xabc', [{ ruleId: rule.id, type: rule.type, message: 'moved again' }], T0 + 1);
+    expect(loadAlertHistory('0xabc').map(entry => entry.message)).toEqual(['moved again', 'moved']);
+});
+
+test('does not fire again after a reload while the condition holds', () => {
+    const rule = createRule({ type: 'ratio-below', threshold: 175, collateral: WETH }, T0);
+    const first = evaluateRules([rule], vault(160), loadAlertStates('0xabc'));
+    saveAlertStates('0xabc', first.states);
+    expect(first.alerts).toHaveLength(1);
+
+    // After a reload the rules run once before any data has loaded.
+    const reloaded = evaluateRules([rule], {}, loadAlertStates('0xABC'));
+    expect(reloaded.states).toEqual(first.states);
+    expect(evaluateRules([rule], vault(160), reloaded.states).alerts).toEqual([]);
+    expect(loadAlertStates('0xdef')).toEqual({});
+});
+
+test('reports rules and alert history written by other tabs', () => {
+    const onChange = jest.fn();
+    const unsubscribe = subscribeToAlertStorage('0xabc', onChange);
+    const rule = createRule({ type: 'cooldown-finished' }, T0);
+    saveRules('0xabc', [rule]);
+    window.dispatchEvent(new StorageEvent('storage', { key: 'alertRules:0xabc' }));
+    recordAlerts('0xabc', [{ ruleId: rule.id, type: rule.type, message: 'cooled down' }], T0);
+    window.dispatchEvent(new StorageEvent('storage', { key: 'alertHistory:0xabc' }));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'alertHistory:0xdef' }));
+    unsubscribe();
+
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(onChange.mock.calls[1][0].rules).toEqual([rule]);
+    expect(onChange.mock.calls[1][0].history[0].message).toBe('cooled down');
+});
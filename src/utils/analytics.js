@@ -0,0 +1,81 @@
+// --- Protocol Analytics ---
+// Shapes `/protocol/history` into chart series. Each point is a protocol snapshot:
+// `{ timestamp, tvl_usd, total_debt, global_ratio, minted, burned }`, where `minted`/`burned`
+// are tGHSX volumes since the previous snapshot.
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// `bucketMs` sets the width of each mint/burn volume bar.
+export const ANALYTICS_RANGES = {
+    '24h': { label: '24h', bucketMs: HOUR_MS },
+    '7d': { label: '7d', bucketMs: 6 * HOUR_MS },
+    '30d': { label: '30d', bucketMs: DAY_MS },
+    'all': { label: 'All', bucketMs: 7 * DAY_MS },
+};
+
+export const COMPOSITION_COLORS = ['#3b82f6', '#22c55e', '#f59e0b', '#a855f7', '#ec4899', '#14b8a6', '#6b7280'];
+
+const toNumber = value => {
+    const n = typeof value === 'string' ? parseFloat(value) : Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+// Unix seconds, unix milliseconds or an ISO string.
+const toTime = timestamp => {
+    if (typeof timestamp === 'number') return timestamp < 1e12 ? timestamp * 1000 : timestamp;
+    return new Date(timestamp).getTime();
+};
+
+/** Numeric, time-ordered snapshots; malformed timestamps are dropped. */
+export const normalizeHistory = (points = []) => points
+    .map(point => ({
+        time: toTime(point.timestamp),
+        tvl: toNumber(point.tvl_usd),
+        debt: toNumber(point.total_debt),
+        ratio: toNumber(point.global_ratio),
+        minted: toNumber(point.minted),
+        burned: toNumber(point.burned),
+    }))
+    .filter(point => Number.isFinite(point.time))
+    .sort((a, b) => a.time - b.time);
+
+/** Sums mint and burn volume into fixed-width buckets, keeping empty buckets so bars line up. */
+export const bucketVolume = (points, bucketMs) => {
+    if (!points.length) return [];
+    const start = Math.floor(points[0].time / bucketMs) * bucketMs;
+    const buckets = new Map();
+    const end = points[points.length - 1].time;
+    for (let time = start; time <= end; time += bucketMs) buckets.set(time, { time, minted: 0, burned: 0 });
+    points.forEach(point => {
+        const bucket = buckets.get(Math.floor(point.time / bucketMs) * bucketMs);
+        bucket.minted += point.minted;
+        bucket.burned += point.burned;
+    });
+    return [...buckets.values()];
+};
+
+/**
+ * Pie slices by collateral, largest first. Assets under `minShare` of the total fold
+ * into a single "Other" slice so the chart stays readable.
+ * @param {Array<{ symbol: string, value_usd: number|string }>} composition
+ */
+export const toCompositionSlices = (composition = [], { minShare = 0.03 } = {}) => {
+    const slices = composition
+        .map(asset => ({ name: asset.symbol, value: toNumber(asset.value_usd) }))
+        .filter(slice => slice.value > 0)
+        .sort((a, b) => b.value - a.value);
+    const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+    if (!total) return [];
+    const major = slices.filter(slice => slice.value / total >= minShare);
+    const other = slices.filter(slice => slice.value / total < minShare).reduce((sum, slice) => sum + slice.value, 0);
+    return [...major, ...(other > 0 ? [{ name: 'Other', value: other }] : [])].map(slice => ({ ...slice, share: (slice.value / total) * 100 }));
+};
+
+/** Axis label for a timestamp: clock time within a day, otherwise the date. */
+export const formatTick = (time, range) => {
+    const date = new Date(time);
+    return range === '24h'
+        ? date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
@@ -0,0 +1,43 @@
+import { normalizeHistory, bucketVolume, toCompositionSlices } from './analytics';
+
+const HOUR = 3600 * 1000;
+
+test('normalizes snapshots from seconds, milliseconds and ISO timestamps', () => {
+    const points = normalizeHistory([
+        { timestamp: '2024-01-01T02:00:00Z', tvl_usd: '300', total_debt: '100', global_ratio: '300', minted: '5', burned: '0' },
+        { timestamp: 1704067200, tvl_usd: 200 },
+        { timestamp: 1704070800000, tvl_usd: 250 },
+        { timestamp: 'not a date' },
+    ]);
+    expect(points.map(p => p.tvl)).toEqual([200, 250, 300]);
+    expect(points[2]).toMatchObject({ debt: 100, ratio: 300, minted: 5, burned: 0 });
+    expect(points[0].minted).toBe(0);
+});
+
+test('buckets mint and burn volume, keeping empty buckets', () => {
+    const base = Date.UTC(2024, 0, 1);
+    const points = [
+        { time: base + 10, minted: 5, burned: 1 },
+        { time: base + HOUR / 2, minted: 3, burned: 0 },
+        { time: base + 2 * HOUR + 1, minted: 0, burned: 4 },
+    ];
+    expect(bucketVolume(points, HOUR)).toEqual([
+        { time: base, minted: 8, burned: 1 },
+        { time: base + HOUR, minted: 0, burned: 0 },
+        { time: base + 2 * HOUR, minted: 0, burned: 4 },
+    ]);
+    expect(bucketVolume([], HOUR)).toEqual([]);
+});
+
+test('folds small assets into an Other slice', () => {
+    const slices = toCompositionSlices([
+        { symbol: 'WBTC', value_usd: '20' },
+        { symbol: 'WETH', value_usd: '78' },
+        { symbol: 'LINK', value_usd: '1' },
+        { symbol: 'UNI', value_usd: '1' },
+        { symbol: 'DEAD', value_usd: '0' },
+    ]);
+    expect(slices.map(s => s.name)).toEqual(['WETH', 'WBTC', 'Other']);
+    expect(slices[2]).toEqual({ name: 'Other', value: 2, share: 2 });
+    expect(toCompositionSlices([])).toEqual([]);
+});
@@ -0,0 +1,84 @@
+// --- Auth Session ---
+// The JWT lives in localStorage under `authToken`, the key every tab shares. This module is
+// the only place that reads or writes it; AuthContext builds timers and redirects on top.
+
+const STORAGE_KEY = 'authToken';
+
+// How long before `exp` the user is warned and offered a refresh.
+export const EXPIRY_WARNING_MS = 2 * 60 * 1000;
+
+/** Payload of a JWT, or null if it can't be decoded. Does not verify the signature. */
+export function decodeJwt(token) {
+    try {
+        const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=')));
+    } catch (e) {
+        return null;
+    }
+}
+
+/** Expiry in epoch milliseconds, or null for tokens without `exp`. */
+export const getTokenExpiry = token => {
+    const exp = decodeJwt(token)?.exp;
+    return typeof exp === 'number' ? exp * 1000 : null;
+};
+
+export const isTokenExpired = (token, now = Date.now()) => {
+    const expiry = getTokenExpiry(token);
+    return expiry !== null && expiry <= now;
+};
+
+/** The stored token, or null when there is none or it has expired (expired ones are removed). */
+export const loadToken = () => {
+    const token = localStorage.getItem(STORAGE_KEY);
+    if (!token) return null;
+    if (isTokenExpired(token)) {
+        localStorage.removeItem(STORAGE_KEY);
+        return null;
+    }
+    return token;
+};
+
+export const saveToken = token => localStorage.setItem(STORAGE_KEY, token);
+export const clearToken = () => localStorage.removeItem(STORAGE_KEY);
+
+/**
+ * Calls `onChange(token)` when another tab logs in, refreshes or logs out.
+ * `storage` events only fire in the tabs that did not make the change.
+ */
+export const subscribeToToken = (onChange, target = window) => {
+    const handleStorage = event => {
+        // `key` is null when the other tab called localStorage.clear().
+        if (event.key !== STORAGE_KEY && event.key !== null) return;
+        onChange(loadToken());
+    };
+    target.addEventListener('storage', handleStorage);
+    return () => target.removeEventListener('storage', handleStorage);
+};
+
+// --- Login redirects ---
+
+/** Landing-page URL that opens the login modal and comes back to `returnTo` afterwards. */
+export const buildLoginUrl = returnTo => {
+    const params = new URLSearchParams({ login: '1' });
+    if (returnTo && returnTo !== '/') params.set('returnTo', returnTo);
+    return `/?${params}`;
+};
+
+/**
+ * `returnTo` from the query string if it is a same-origin path, otherwise null. It is resolved
+ * the way the browser would, so `/\evil.example` and the like are caught as other origins.
+ */
+export const getReturnTo = (searchParams, origin = window.location.origin) => {
+    const returnTo = searchParams.get('returnTo');
+    if (!returnTo || !returnTo.startsWith('/')) return null;
+    try {
+        const url = new URL(returnTo, origin);
+        return url.origin === origin ? `${url.pathname}${url.search}${url.hash}` : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+/** Where to land after login: the saved return URL, else the role's home page. */
+export const getPostLoginPath = (claims, returnTo) => returnTo || (claims?.role === 'admin' ? '/admin' : '/dashboard');
@@ -0,0 +1,51 @@
+import { decodeJwt, getTokenExpiry, isTokenExpired, loadToken, saveToken, clearToken, subscribeToToken, buildLoginUrl, getReturnTo, getPostLoginPath } from './authSession';
+
+const makeJwt = payload => `header.${btoa(JSON.stringify(payload)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')}.sig`;
+
+beforeEach(() => localStorage.clear());
+
+test('decodes base64url payloads and the expiry', () => {
+    const token = makeJwt({ sub: 'u1', role: 'admin', exp: 2_000_000_000, name: '??>>' });
+    expect(decodeJwt(token)).toMatchObject({ role: 'admin', name: '??>>' });
+    expect(getTokenExpiry(token)).toBe(2_000_000_000_000);
+    expect(isTokenExpired(token, 1_999_999_999_000)).toBe(false);
+    expect(isTokenExpired(token, 2_000_000_000_000)).toBe(true);
+    expect(decodeJwt('not-a-jwt')).toBeNull();
+    expect(getTokenExpiry(makeJwt({ sub: 'u1' }))).toBeNull();
+});
+
+test('drops expired tokens on load', () => {
+    saveToken(makeJwt({ exp: Math.floor(Date.now() / 1000) + 60 }));
+    expect(loadToken()).not.toBeNull();
+    saveToken(makeJwt({ exp: Math.floor(Date.now() / 1000) - 60 }));
+    expect(loadToken()).toBeNull();
+    expect(localStorage.getItem('authToken')).toBeNull();
+});
+
+test('reports token changes made in other tabs', () => {
+    const onChange = jest.fn();
+    const unsubscribe = subscribeToToken(onChange);
+    const token = makeJwt({ sub: 'u1' });
+
+    saveToken(token);
+    window.dispatchEvent(new StorageEvent('storage', { key: 'authToken', newValue: token }));
+    clearToken();
+    window.dispatchEvent(new StorageEvent('storage', { key: 'authToken', newValue: null }));
+    window.dispatchEvent(new StorageEvent('storage', { key: 'somethingElse' }));
+    unsubscribe();
+    window.dispatchEvent(new StorageEvent('storage', { key: 'authToken' }));
+
+    expect(onChange.mock.calls).toEqual([[token], [null]]);
+});
+
+test('round-trips the return URL and only accepts local paths', () => {
+    const url = buildLoginUrl('/history?type=mint&page=2');
+    expect(url).toBe('/?login=1&returnTo=%2Fhistory%3Ftype%3Dmint%26page%3D2');
+    expect(getReturnTo(new URLSearchParams(url.slice(1)))).toBe('/history?type=mint&page=2');
+    expect(getReturnTo(new URLSearchParams('returnTo=//evil.example'))).toBeNull();
+    expect(getReturnTo(new URLSearchParams('returnTo=https://evil.example'))).toBeNull();
+    expect(getReturnTo(new URLSearchParams('returnTo=/\\evil.example'))).toBeNull();
+    expect(getReturnTo(new URLSearchParams('returnTo=/%09/evil.example'))).toBeNull();
+    expect(getPostLoginPath({ role: 'admin' }, null)).toBe('/admin');
+    expect(getPostLoginPath({ role: 'user' }, '/history')).toBe('/history');
+});
@@ -0,0 +1,131 @@
+import { MIN_COLLATERAL_RATIO } from './vaultMath';
+
+// --- Auto-Mint Config ---
+// Schema, units and emission estimates for the Auto-Mint settings. The API stores
+// `baseReward` in tGHSX base units and `minHoldTime` in seconds.
+
+// tGHSX is fixed at 6 decimals. This is a constant, not read from the token: the config
+// is shown before any wallet or registry lookup, and the contract's reward units never change.
+export const TGHSX_UNIT = 1e6;
+const SECONDS_PER_DAY = 86400;
+
+export const DURATION_UNITS = { seconds: 1, minutes: 60, hours: 3600, days: SECONDS_PER_DAY };
+
+// Bounds in form units: tGHSX, %, seconds, %.
+export const AUTOMINT_BOUNDS = {
+    baseReward: { min: 0.000001, max: 10000 },
+    bonusMultiplier: { min: 0, max: 1000 },
+    minHoldTime: { min: 3600, max: 365 * SECONDS_PER_DAY },
+    collateralRequirement: { min: MIN_COLLATERAL_RATIO, max: 1000 },
+};
+
+/** "3 days", "90 minutes", "1.5 hours": the largest unit that reads cleanly. */
+export const formatDuration = seconds => {
+    const value = Number(seconds);
+    if (!Number.isFinite(value)) return '—';
+    const [unit, size] = Object.entries(DURATION_UNITS).reverse().find(([, s]) => value >= s && (value / s) % 0.5 === 0) || ['seconds', 1];
+    const amount = value / size;
+    return `${amount} ${amount === 1 ? unit.slice(0, -1) : unit}`;
+};
+
+export const AUTOMINT_CONFIG_FIELDS = [
+    { key: 'baseReward', label: 'Base Reward', format: value => `${Number(value) / TGHSX_UNIT} tGHSX` },
+    { key: 'bonusMultiplier', label: 'Bonus Multiplier', format: value => `${value}%` },
+    { key: 'minHoldTime', label: 'Min Hold Time', format: formatDuration },
+    { key: 'collateralRequirement', label: 'Collateral Requirement', format: value => `${value}%` },
+];
+
+/** Form state for a stored config, with the hold time in the largest whole unit. */
+export const toAutoMintForm = config => {
+    const holdTime = Number(config?.minHoldTime) || 0;
+    const [holdTimeUnit, size] = Object.entries(DURATION_UNITS).reverse().find(([, s]) => holdTime >= s && holdTime % s === 0) || ['seconds', 1];
+    return {
+        baseReward: config?.baseReward != null ? String(config.baseReward / TGHSX_UNIT) : '',
+        bonusMultiplier: config?.bonusMultiplier != null ? String(config.bonusMultiplier) : '',
+        minHoldTime: String(holdTime / size),
+        holdTimeUnit,
+        collateralRequirement: config?.collateralRequirement != null ? String(config.collateralRequirement) : '',
+    };
+};
+
+const checkRange = (value, { min, max }, format = v => v) => {
+    if (value < min) return `Must be at least ${format(min)}.`;
+    if (value > max) return `Must be at most ${format(max)}.`;
+    return null;
+};
+
+/**
+ * Validates the modal's form state.
+ * @returns {{ config: object|null, errors: Object<string, string> }} `config` is in API units and
+ *   only set when every field is valid.
+ */
+export const validateAutoMintForm = form => {
+    const errors = {};
+    const number = (key, { integer = false } = {}) => {
+        const raw = String(form[key] ?? '').trim();
+        const value = Number(raw);
+        if (raw === '' || !Number.isFinite(value)) errors[key] = 'Enter a number.';
+        else if (integer && !Number.isInteger(value)) errors[key] = 'Enter a whole number.';
+        return value;
+    };
+
+    const baseReward = number('baseReward');
+    if (!errors.baseReward && !/^\d*(\.\d{0,6})?$/.test(String(form.baseReward).trim())) errors.baseReward = 'Use at most 6 decimals.';
+    const bonusMultiplier = number('bonusMultiplier', { integer: true });
+    const holdTimeSize = DURATION_UNITS[form.holdTimeUnit] || 1;
+    const minHoldTime = Math.round(number('minHoldTime') * holdTimeSize);
+    const collateralRequirement = number('collateralRequirement', { integer: true });
+
+    const ranges = {
+        baseReward: checkRange(baseReward, AUTOMINT_BOUNDS.baseReward, v => `${v} tGHSX`),
+        bonusMultiplier: checkRange(bonusMultiplier, AUTOMINT_BOUNDS.bonusMultiplier, v => `${v}%`),
+        minHoldTime: checkRange(minHoldTime, AUTOMINT_BOUNDS.minHoldTime, formatDuration),
+        collateralRequirement: checkRange(collateralRequirement, AUTOMINT_BOUNDS.collateralRequirement, v => `${v}%`),
+    };
+    Object.entries(ranges).forEach(([key, error]) => { if (error && !errors[key]) errors[key] = error; });
+
+    if (Object.keys(errors).length) return { config: null, errors };
+    return {
+        config: { baseReward: Math.round(baseReward * TGHSX_UNIT), bonusMultiplier, minHoldTime, collateralRequirement },
+        errors,
+    };
+};
+
+/** tGHSX paid per Auto-Mint: the base reward plus the bonus multiplier on top. */
+export const getAutoMintReward = config => (Number(config?.baseReward) / TGHSX_UNIT) * (1 + Number(config?.bonusMultiplier) / 100);
+
+/**
+ * Most tGHSX one vault can Auto-Mint per day: the hold time restarts after every Auto-Mint,
+ * so a vault earns at most one reward per hold period.
+ */
+export const estimateDailyEmissionPerVault = config => {
+    const holdTime = Number(config?.minHoldTime);
+    if (!(holdTime > 0)) return 0;
+    return getAutoMintReward(config) * (SECONDS_PER_DAY / holdTime);
+};
+
+/**
+ * Whether a vault can Auto-Mint right now, from the public config, the vault's
+ * `/vault/status` figures and when its hold period started (unix seconds, null if never).
+ * A vault without debt meets any ratio requirement as long as it holds collateral.
+ *
+ * @returns {{ eligible: boolean, reasons: string[], holdRemaining: number, holdEndsAt: number|null, ratio: number, ratioMet: boolean, reward: number }}
+ *   `holdRemaining` is in seconds and `holdEndsAt` in milliseconds.
+ */
+export const getAutoMintEligibility = ({ config, vault, holdStartedAt }, now = Date.now()) => {
+    const requirement = Number(config?.collateralRequirement) || MIN_COLLATERAL_RATIO;
+    const collateral = Number(vault?.collateralAmount) || 0;
+    const hasDebt = Number(vault?.mintedAmount) > 0;
+    const ratio = Number(vault?.collateralRatio) || 0;
+    const ratioMet = collateral > 0 && (!hasDebt || ratio >= requirement);
+    const holdEndsAt = holdStartedAt ? (Number(holdStartedAt) + Number(config?.minHoldTime || 0)) * 1000 : null;
+    const holdRemaining = holdEndsAt ? Math.max(0, Math.ceil((holdEndsAt - now) / 1000)) : 0;
+
+    const reasons = [];
+    if (!config?.isEnabled) reasons.push('Auto-Mint is disabled by the protocol.');
+    if (!collateral) reasons.push('Deposit collateral to start the hold period.');
+    else if (holdRemaining > 0) reasons.push(`Hold your collateral for another ${formatDuration(holdRemaining)}.`);
+    if (collateral && !ratioMet) reasons.push(`Raise your collateral ratio from ${ratio.toFixed(2)}% to at least ${requirement}%.`);
+
+    return { eligible: reasons.length === 0, reasons, holdRemaining, holdEndsAt, ratio, ratioMet, reward: getAutoMintReward(config) };
+};
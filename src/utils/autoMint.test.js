@@ -0,0 +1,49 @@
+import { formatDuration, toAutoMintForm, validateAutoMintForm, estimateDailyEmissionPerVault, getAutoMintReward, getAutoMintEligibility } from './autoMint';
+
+const CONFIG = { baseReward: 10000000, bonusMultiplier: 50, minHoldTime: 172800, collateralRequirement: 200 };
+
+test('formats durations in the largest readable unit', () => {
+    expect(formatDuration(86400)).toBe('1 day');
+    expect(formatDuration(5400)).toBe('1.5 hours');
+    expect(formatDuration(100)).toBe('100 seconds');
+});
+
+test('round-trips a stored config through the form', () => {
+    const form = toAutoMintForm(CONFIG);
+    expect(form).toMatchObject({ baseReward: '10', minHoldTime: '2', holdTimeUnit: 'days' });
+    expect(validateAutoMintForm(form)).toEqual({ config: CONFIG, errors: {} });
+    expect(validateAutoMintForm({ ...form, minHoldTime: '36', holdTimeUnit: 'hours' }).config.minHoldTime).toBe(129600);
+});
+
+test('rejects empty, fractional and out-of-range fields', () => {
+    const { config, errors } = validateAutoMintForm({ baseReward: '', bonusMultiplier: '12.5', minHoldTime: '10', holdTimeUnit: 'minutes', collateralRequirement: '120' });
+    expect(config).toBeNull();
+    expect(errors.baseReward).toBe('Enter a number.');
+    expect(errors.bonusMultiplier).toBe('Enter a whole number.');
+    expect(errors.minHoldTime).toBe('Must be at least 1 hour.');
+    expect(errors.collateralRequirement).toBe('Must be at least 150%.');
+    expect(validateAutoMintForm({ ...toAutoMintForm(CONFIG), baseReward: '1.0000001' }).errors.baseReward).toBe('Use at most 6 decimals.');
+});
+
+test('estimates daily emission per vault from reward and hold time', () => {
+    expect(getAutoMintReward(CONFIG)).toBe(15);
+    expect(estimateDailyEmissionPerVault(CONFIG)).toBe(7.5);
+    expect(estimateDailyEmissionPerVault({ ...CONFIG, minHoldTime: 0 })).toBe(0);
+});
+
+test('checks hold time, ratio and enablement for Auto-Mint eligibility', () => {
+    const config = { ...CONFIG, isEnabled: true };
+    const now = 1_700_000_000_000;
+    const vault = { collateralAmount: '1', mintedAmount: '100', collateralRatio: '250' };
+
+    const waiting = getAutoMintEligibility({ config, vault, holdStartedAt: now / 1000 - 86400 }, now);
+    expect(waiting).toMatchObject({ eligible: false, holdRemaining: 86400, holdEndsAt: now + 86400 * 1000, ratioMet: true, reward: 15 });
+    expect(waiting.reasons).toEqual(['Hold your collateral for another 1 day.']);
+
+    expect(getAutoMintEligibility({ config, vault, holdStartedAt: now / 1000 - 172800 }, now).eligible).toBe(true);
+    expect(getAutoMintEligibility({ config, vault: { ...vault, collateralRatio: '180' }, holdStartedAt: 1 }, now).reasons)
+        .toEqual(['Raise your collateral ratio from 180.00% to at least 200%.']);
+    expect(getAutoMintEligibility({ config, vault: { collateralAmount: '1', mintedAmount: '0', collateralRatio: '0' }, holdStartedAt: 1 }, now).eligible).toBe(true);
+    expect(getAutoMintEligibility({ config: { ...config, isEnabled: false }, vault: {}, holdStartedAt: null }, now).reasons)
+        .toEqual(['Auto-Mint is disabled by the protocol.', 'Deposit collateral to start the hold period.']);
+});
@@ -0,0 +1,46 @@
+// --- Browser Alerts ---
+// Notifications API and service-worker glue for risk alerts. Foreground alerts are the app's
+// own toasts; these system notifications are for when the tab is hidden.
+
+const WORKER_URL = `${process.env.PUBLIC_URL}/alerts-sw.js`;
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/** 'granted' | 'denied' | 'default', or 'unsupported' when the browser has no Notifications API. */
+export const getNotificationPermission = () => (notificationsSupported() ? Notification.permission : 'unsupported');
+
+export const requestNotificationPermission = async () => {
+    if (!notificationsSupported()) return 'unsupported';
+    return Notification.requestPermission();
+};
+
+let registration = null;
+
+/** Registers the alert worker once; resolves to null where service workers aren't available. */
+export const registerAlertWorker = async () => {
+    if (registration) return registration;
+    if (!('serviceWorker' in navigator)) return null;
+    try {
+        registration = await navigator.serviceWorker.register(WORKER_URL);
+        return registration;
+    } catch (err) {
+        console.error('Alert service worker registration failed:', err);
+        return null;
+    }
+};
+
+/**
+ * Shows a system notification through the alert worker, falling back to a page-owned
+ * `Notification`. Does nothing without permission.
+ */
+export const showSystemAlert = async ({ title, body, tag, url = '/dashboard' }) => {
+    if (getNotificationPermission() !== 'granted') return false;
+    const worker = (await registerAlertWorker())?.active;
+    if (worker) {
+        worker.postMessage({ type: 'risk-alert', title, body, tag, url });
+        return true;
+    }
+    const notification = new Notification(title, { body, tag });
+    notification.onclick = () => { window.focus(); notification.close(); };
+    return true;
+};
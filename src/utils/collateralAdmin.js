@@ -0,0 +1,71 @@
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.js";
+
+// --- Collateral Management ---
+// Form schema for adding and editing vault collaterals in the admin panel. Thresholds and
+// bonuses are percentages, the debt ceiling is in tGHSX, like `/admin/collaterals`.
+
+/** A well-formed address; mixed-case input must carry a valid EIP-55 checksum. */
+export const isAddress = value => ethers.utils.isAddress(String(value || '').trim());
+
+export const COLLATERAL_BOUNDS = {
+    decimals: { min: 0, max: 36 },
+    liquidationThreshold: { min: 110, max: 500 },
+    liquidationBonus: { min: 0, max: 25 },
+    debtCeiling: { min: 1, max: 1e12 },
+};
+
+// Editable parameters, in display order; also used to diff an edit for confirmation.
+export const COLLATERAL_PARAM_FIELDS = [
+    { key: 'liquidationThreshold', label: 'Liquidation Threshold', format: value => `${value}%` },
+    { key: 'liquidationBonus', label: 'Liquidator Bonus', format: value => `${value}%` },
+    { key: 'debtCeiling', label: 'Debt Ceiling', format: value => `${Number(value).toLocaleString()} tGHSX` },
+    { key: 'oracleFeed', label: 'Oracle Feed', format: String },
+    { key: 'decimals', label: 'Decimals', format: String },
+];
+
+export const EMPTY_COLLATERAL_FORM = { address: '', decimals: '', liquidationThreshold: '150', liquidationBonus: '10', debtCeiling: '', oracleFeed: '' };
+
+/** Form state for an existing collateral. */
+export const toCollateralForm = collateral => Object.fromEntries(
+    Object.keys(EMPTY_COLLATERAL_FORM).map(key => [key, collateral?.[key] != null ? String(collateral[key]) : ''])
+);
+
+const keyOf = address => String(address || '').trim().toLowerCase();
+
+/**
+ * Validates the add/edit form.
+ * @param {object} form
+ * @param {{ existing?: object[], onChain?: { symbol: string, decimals: number }|null, isNew?: boolean }} context
+ *   `onChain` is what `symbol()`/`decimals()` returned for the address; required when adding.
+ * @returns {{ params: object|null, errors: Object<string, string> }}
+ */
+export const validateCollateralForm = (form, { existing = [], onChain = null, isNew = false } = {}) => {
+    const errors = {};
+    const address = String(form.address || '').trim();
+    if (isNew) {
+        if (!isAddress(address)) errors.address = 'Enter a valid token address.';
+        else if (existing.some(c => keyOf(c.address) === keyOf(address))) errors.address = 'This collateral is already registered.';
+        else if (!onChain) errors.address = 'Verify the token on-chain first.';
+    }
+
+    const number = (key, { integer = false } = {}) => {
+        const raw = String(form[key] ?? '').trim();
+        const value = Number(raw);
+        const { min, max } = COLLATERAL_BOUNDS[key];
+        if (raw === '' || !Number.isFinite(value)) errors[key] = 'Enter a number.';
+        else if (integer && !Number.isInteger(value)) errors[key] = 'Enter a whole number.';
+        else if (value < min) errors[key] = `Must be at least ${min.toLocaleString()}.`;
+        else if (value > max) errors[key] = `Must be at most ${max.toLocaleString()}.`;
+        return value;
+    };
+    const decimals = number('decimals', { integer: true });
+    if (!errors.decimals && onChain && decimals !== Number(onChain.decimals)) errors.decimals = `The token reports ${onChain.decimals} decimals.`;
+    const liquidationThreshold = number('liquidationThreshold', { integer: true });
+    const liquidationBonus = number('liquidationBonus');
+    const debtCeiling = number('debtCeiling');
+    const oracleFeed = String(form.oracleFeed || '').trim();
+    if (!isAddress(oracleFeed)) errors.oracleFeed = 'Enter the price feed contract address.';
+
+    if (Object.keys(errors).length) return { params: null, errors };
+    return { params: { address, decimals, liquidationThreshold, liquidationBonus, debtCeiling, oracleFeed }, errors };
+};
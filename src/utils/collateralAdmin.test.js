@@ -0,0 +1,35 @@
+import { validateCollateralForm, toCollateralForm, EMPTY_COLLATERAL_FORM } from './collateralAdmin';
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const FEED = '0x2222222222222222222222222222222222222222';
+const FORM = { ...EMPTY_COLLATERAL_FORM, address: TOKEN, decimals: '18', debtCeiling: '500000', oracleFeed: FEED };
+
+test('accepts a verified new collateral', () => {
+    const { params, errors } = validateCollateralForm(FORM, { isNew: true, onChain: { symbol: 'WETH', decimals: 18 } });
+    expect(errors).toEqual({});
+    expect(params).toEqual({ address: TOKEN, decimals: 18, liquidationThreshold: 150, liquidationBonus: 10, debtCeiling: 500000, oracleFeed: FEED });
+});
+
+test('requires on-chain verification and matching decimals for new tokens', () => {
+    expect(validateCollateralForm(FORM, { isNew: true }).errors.address).toBe('Verify the token on-chain first.');
+    expect(validateCollateralForm(FORM, { isNew: true, onChain: { symbol: 'USDC', decimals: 6 } }).errors.decimals).toBe('The token reports 6 decimals.');
+    expect(validateCollateralForm(FORM, { isNew: true, existing: [{ address: TOKEN.toUpperCase().replace('0X', '0x') }] }).errors.address).toBe('This collateral is already registered.');
+    expect(validateCollateralForm({ ...FORM, address: '0x123' }, { isNew: true }).errors.address).toBe('Enter a valid token address.');
+    // Mixed case with a broken EIP-55 checksum.
+    expect(validateCollateralForm({ ...FORM, address: '0x52908400098527886E0F7030069857D2E4169ee7' }, { isNew: true }).errors.address).toBe('Enter a valid token address.');
+});
+
+test('bounds each parameter', () => {
+    const { params, errors } = validateCollateralForm({ ...FORM, liquidationThreshold: '105', liquidationBonus: '', debtCeiling: '0', oracleFeed: 'feed' });
+    expect(params).toBeNull();
+    expect(errors).toEqual({
+        liquidationThreshold: 'Must be at least 110.',
+        liquidationBonus: 'Enter a number.',
+        debtCeiling: 'Must be at least 1.',
+        oracleFeed: 'Enter the price feed contract address.',
+    });
+});
+
+test('fills the edit form from an existing collateral', () => {
+    expect(toCollateralForm({ address: TOKEN, decimals: 18, liquidationThreshold: 140, debtCeiling: null })).toMatchObject({ decimals: '18', liquidationThreshold: '140', debtCeiling: '' });
+});
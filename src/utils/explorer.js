@@ -0,0 +1,5 @@
+import { EXPLORER_URL } from '../config';
+
+export const explorerTxUrl = hash => `${EXPLORER_URL}/tx/${hash}`;
+export const explorerAddressUrl = address => `${EXPLORER_URL}/address/${address}`;
+export const shortHash = hash => (hash ? `${hash.slice(0, 10)}…${hash.slice(-4)}` : '');
@@ -0,0 +1,54 @@
+// --- Transaction History Filters ---
+// The history view keeps its filter and page state in the URL so a filtered view can be
+// bookmarked or shared. These helpers translate between the URL, the form state and the
+// `/transactions` query the backend expects.
+
+export const HISTORY_PAGE_SIZE = 10;
+
+export const EMPTY_FILTERS = { type: 'all', from: '', to: '', collateral: '', minAmount: '', maxAmount: '' };
+
+// URL key for each filter field. Kept short since they end up in shared links.
+const URL_KEYS = { type: 'type', from: 'from', to: 'to', collateral: 'collateral', minAmount: 'min', maxAmount: 'max' };
+
+const toPositiveInt = (value, fallback) => {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+/** Reads `{ page, filters }` from URLSearchParams, ignoring anything malformed. */
+export const parseHistoryParams = (searchParams) => {
+    const filters = { ...EMPTY_FILTERS };
+    Object.entries(URL_KEYS).forEach(([field, key]) => {
+        const value = searchParams.get(key);
+        if (value !== null) filters[field] = value;
+    });
+    if (filters.minAmount && isNaN(parseFloat(filters.minAmount))) filters.minAmount = '';
+    if (filters.maxAmount && isNaN(parseFloat(filters.maxAmount))) filters.maxAmount = '';
+    return { page: toPositiveInt(searchParams.get('page'), 1), filters };
+};
+
+/** Builds the URL query for a page and filter set, omitting defaults to keep links short. */
+export const toHistorySearchParams = ({ page, filters }) => {
+    const params = new URLSearchParams();
+    Object.entries(URL_KEYS).forEach(([field, key]) => {
+        const value = filters[field];
+        if (value && value !== EMPTY_FILTERS[field]) params.set(key, value);
+    });
+    if (page > 1) params.set('page', String(page));
+    return params;
+};
+
+/** Maps page and filters onto the `/transactions` query parameters. */
+export const toTransactionQuery = ({ page, filters }) => ({
+    page,
+    limit: HISTORY_PAGE_SIZE,
+    type: filters.type,
+    start_date: filters.from || undefined,
+    end_date: filters.to || undefined,
+    collateral: filters.collateral || undefined,
+    min_amount: filters.minAmount || undefined,
+    max_amount: filters.maxAmount || undefined,
+});
+
+export const hasActiveFilters = (filters) =>
+    Object.keys(EMPTY_FILTERS).some(field => field !== 'type' && filters[field]);
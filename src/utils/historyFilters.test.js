@@ -0,0 +1,36 @@
+import { parseHistoryParams, toHistorySearchParams, toTransactionQuery, EMPTY_FILTERS } from './historyFilters';
+import { getTransactions } from '../api/client';
+import { API_BASE_URL } from '../config';
+import { generateMockTransactions } from '../__fixtures__/transactions';
+
+test('round-trips page and filters through the URL', () => {
+    const state = {
+        page: 3,
+        filters: { ...EMPTY_FILTERS, type: 'TokensMinted', from: '2025-01-01', to: '2025-01-31', collateral: '0xabc', minAmount: '10', maxAmount: '' },
+    };
+    const params = toHistorySearchParams(state);
+
+    expect(params.toString()).toBe('type=TokensMinted&from=2025-01-01&to=2025-01-31&collateral=0xabc&min=10&page=3');
+    expect(parseHistoryParams(params)).toEqual(state);
+});
+
+test('falls back to defaults for missing or malformed params', () => {
+    const { page, filters } = parseHistoryParams(new URLSearchParams('page=-2&min=abc'));
+    expect(page).toBe(1);
+    expect(filters).toEqual(EMPTY_FILTERS);
+    expect(toHistorySearchParams({ page: 1, filters }).toString()).toBe('');
+});
+
+test('requests the filtered page from /transactions', async () => {
+    const fixture = generateMockTransactions(2, 10, 'TokensMinted');
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, text: () => Promise.resolve(JSON.stringify(fixture)) });
+
+    const filters = { ...EMPTY_FILTERS, type: 'TokensMinted', from: '2025-01-01', collateral: '0xabc', maxAmount: '5000' };
+    const data = await getTransactions(toTransactionQuery({ page: 2, filters }), { token: 't' });
+
+    expect(fetch.mock.calls[0][0]).toBe(
+        `${API_BASE_URL}/transactions?page=2&limit=10&type=TokensMinted&start_date=2025-01-01&collateral=0xabc&max_amount=5000`
+    );
+    expect(data.total).toBe(fixture.total);
+    expect(data.transactions.every(tx => tx.event_name === 'TokensMinted')).toBe(true);
+});
@@ -0,0 +1,63 @@
+import { previewLiquidation, getLiquidationBonus } from './vaultMath';
+
+// --- Liquidations ---
+// Helpers for the admin At-Risk Vaults view. Rows come from /liquidations/at-risk, where
+// ratios are percentages and amounts are human-readable token units. Rows can belong to any
+// collateral, so each is priced from its own value, never from one oracle price.
+
+export const AT_RISK_SORTS = {
+    'ratio-asc': { label: 'Ratio (lowest first)', key: 'collateralization_ratio', dir: 1 },
+    'ratio-desc': { label: 'Ratio (highest first)', key: 'collateralization_ratio', dir: -1 },
+    'debt-desc': { label: 'Debt (largest first)', key: 'minted_amount', dir: -1 },
+    'debt-asc': { label: 'Debt (smallest first)', key: 'minted_amount', dir: 1 },
+};
+
+const parse = value => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+/** Sorted copy of `vaults`; unknown keys fall back to the riskiest vaults first. */
+export const sortAtRiskVaults = (vaults, sortKey) => {
+    const { key, dir } = AT_RISK_SORTS[sortKey] || AT_RISK_SORTS['ratio-asc'];
+    return [...vaults].sort((a, b) => dir * (parse(a[key]) - parse(b[key])));
+};
+
+/** Stable id for a row: one wallet can be at risk on several collaterals. */
+export const atRiskVaultId = vault => `${vault.wallet_address}:${vault.collateral_address}`;
+
+/** USD price of one unit of the row's collateral (`collateral_value_usd / collateral_amount`), or null. */
+export const getAtRiskPrice = vault => {
+    const amount = parse(vault.collateral_amount);
+    const value = parse(vault.collateral_value_usd);
+    return amount > 0 && value > 0 ? value / amount : null;
+};
+
+/**
+ * Per-vault liquidation preview plus totals for a batch. `price` is null for rows without a
+ * collateral value; their preview seizes nothing and they add only their debt to the totals.
+ * @param {object[]} vaults - at-risk rows
+ * @param {{ getCollateral: (address: string) => object }} context
+ */
+export const previewBatch = (vaults, { getCollateral }) => {
+    const rows = vaults.map(vault => {
+        const price = getAtRiskPrice(vault);
+        return {
+            vault,
+            price,
+            preview: previewLiquidation({
+                collateralAmount: vault.collateral_amount,
+                debtAmount: vault.minted_amount,
+                collateralRatio: vault.collateralization_ratio,
+                price: price || 0,
+                bonusPct: getLiquidationBonus(getCollateral(vault.collateral_address)),
+            }),
+        };
+    });
+    const totals = rows.reduce((sum, { preview }) => ({
+        debtToCover: sum.debtToCover + preview.debtToCover,
+        seizedValueUSD: sum.seizedValueUSD + preview.seizedValueUSD,
+        bonusValueUSD: sum.bonusValueUSD + preview.bonusValueUSD,
+    }), { debtToCover: 0, seizedValueUSD: 0, bonusValueUSD: 0 });
+    return { rows, totals };
+};
@@ -0,0 +1,60 @@
+import { sortAtRiskVaults, atRiskVaultId, previewBatch } from './liquidations';
+import { previewLiquidation } from './vaultMath';
+
+const VAULTS = [
+    { wallet_address: '0xa', collateral_address: '0xc1', collateralization_ratio: '140.5', minted_amount: '100', collateral_amount: '0.07' },
+    { wallet_address: '0xb', collateral_address: '0xc1', collateralization_ratio: '120', minted_amount: '500', collateral_amount: '0.3' },
+    { wallet_address: '0xc', collateral_address: '0xc2', collateralization_ratio: '145', minted_amount: '50', collateral_amount: '0.036' },
+];
+
+test('sorts at-risk vaults by ratio or debt without mutating the input', () => {
+    expect(sortAtRiskVaults(VAULTS, 'ratio-asc').map(v => v.wallet_address)).toEqual(['0xb', '0xa', '0xc']);
+    expect(sortAtRiskVaults(VAULTS, 'ratio-desc').map(v => v.wallet_address)).toEqual(['0xc', '0xa', '0xb']);
+    expect(sortAtRiskVaults(VAULTS, 'debt-desc').map(v => v.wallet_address)).toEqual(['0xb', '0xa', '0xc']);
+    expect(sortAtRiskVaults(VAULTS, 'bogus').map(v => v.wallet_address)).toEqual(['0xb', '0xa', '0xc']);
+    expect(VAULTS[0].wallet_address).toBe('0xa');
+    expect(atRiskVaultId(VAULTS[0])).toBe('0xa:0xc1');
+});
+
+test('previews seized collateral and the liquidator bonus at the oracle price', () => {
+    // 1 unit at $2000 and 125% → $1600 of debt: 0.8 owed, 0.88 seized with a 10% bonus.
+    const preview = previewLiquidation({ collateralAmount: 1, debtAmount: 1600, collateralRatio: 125, price: 2000, bonusPct: 10 });
+    expect(preview.debtValueUSD).toBeCloseTo(1600);
+    expect(preview.seizedCollateral).toBeCloseTo(0.88);
+    expect(preview.bonusValueUSD).toBeCloseTo(160);
+    expect(preview.returnedCollateral).toBeCloseTo(0.12);
+
+    // Deeply underwater: the bonus is capped by what the vault holds.
+    const capped = previewLiquidation({ collateralAmount: 1, debtAmount: 1900, collateralRatio: 105, price: 2000, bonusPct: 10 });
+    expect(capped.seizedCollateral).toBe(1);
+    expect(capped.returnedCollateral).toBe(0);
+});
+
+test('totals a batch using each collateral\'s bonus', () => {
+    const getCollateral = address => (address === '0xc2' ? { liquidationBonus: 5 } : {});
+    const priced = VAULTS.map(vault => ({ ...vault, collateral_value_usd: String(parseFloat(vault.collateral_amount) * 2000) }));
+    const { rows, totals } = previewBatch(priced, { getCollateral });
+    expect(rows).toHaveLength(3);
+    expect(totals.debtToCover).toBe(650);
+    expect(rows[2].preview.bonusCollateral).toBeCloseTo(rows[2].preview.seizedCollateral - rows[2].preview.seizedCollateral / 1.05);
+    expect(totals.bonusValueUSD).toBeCloseTo(rows.reduce((sum, r) => sum + r.preview.bonusValueUSD, 0));
+});
+
+test('prices each row from its own collateral value', () => {
+    // 1 WETH worth $2000 and 1000 WMATIC worth $500, both at 125%.
+    const mixed = [
+        { wallet_address: '0xa', collateral_address: '0xweth', collateralization_ratio: '125', minted_amount: '1600', collateral_amount: '1', collateral_value_usd: '2000' },
+        { wallet_address: '0xb', collateral_address: '0xwmatic', collateralization_ratio: '125', minted_amount: '400', collateral_amount: '1000', collateral_value_usd: '500' },
+        { wallet_address: '0xc', collateral_address: '0xwmatic', collateralization_ratio: '125', minted_amount: '10', collateral_amount: '20' },
+    ];
+    const { rows, totals } = previewBatch(mixed, { getCollateral: () => ({ liquidationBonus: 10 }) });
+
+    expect(rows.map(row => row.price)).toEqual([2000, 0.5, null]);
+    expect(rows[0].preview.seizedCollateral).toBeCloseTo(0.88);
+    expect(rows[1].preview.seizedCollateral).toBeCloseTo(880);
+    expect(rows[1].preview.seizedValueUSD).toBeCloseTo(440);
+    expect(rows[2].preview.seizedValueUSD).toBe(0);
+    expect(totals.debtToCover).toBe(2010);
+    expect(totals.seizedValueUSD).toBeCloseTo(1760 + 440);
+    expect(totals.bonusValueUSD).toBeCloseTo(160 + 40);
+});
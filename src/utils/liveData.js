@@ -0,0 +1,51 @@
+// --- Live Dashboard Data ---
+// Turns live events (from the backend stream or the chain) into in-place state updates for
+// the dashboard, so a deposit elsewhere doesn't need a full five-request refetch.
+//
+// Backend events are `{ type, data }`:
+//   vault           - /vault/status fields plus `wallet_address` and `collateral_address`
+//   mint_status     - /vault/mint-status fields plus `wallet_address`
+//   oracle_price    - same shape as /oracle/price
+//   transaction     - one /transactions row (with `wallet_address`)
+//   protocol_health - same shape as /protocol/health
+
+export const RECENT_TRANSACTIONS_LIMIT = 5;
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const withoutKeys = (data, keys) => Object.fromEntries(Object.entries(data).filter(([key]) => !keys.includes(key)));
+
+/** Prepends `tx` to a `/transactions` page unless it's already listed, keeping the page size. */
+export const mergeTransaction = (page, tx, limit = RECENT_TRANSACTIONS_LIMIT) => {
+    const list = page?.transactions || [];
+    if (list.some(existing => existing.tx_hash === tx.tx_hash)) return page;
+    return { ...page, transactions: [tx, ...list].slice(0, limit), total: (page?.total || 0) + 1 };
+};
+
+/**
+ * State updaters for one live event, keyed by dashboard state name
+ * (`vaultOverview`, `mintStatus`, `oraclePrice`, `transactions`, `protocolHealth`).
+ * Returns null for events about another wallet or collateral.
+ * @param {{ type: string, data: object }} event
+ * @param {{ walletAddress: string, collateral: string }} context
+ */
+export const getLiveUpdates = ({ type, data }, { walletAddress, collateral }) => {
+    if (!data) return null;
+    switch (type) {
+        case 'vault':
+            if (!sameAddress(data.wallet_address, walletAddress) || !sameAddress(data.collateral_address, collateral)) return null;
+            return { vaultOverview: prev => ({ ...prev, ...withoutKeys(data, ['wallet_address', 'collateral_address']) }) };
+        case 'mint_status':
+            if (!sameAddress(data.wallet_address, walletAddress)) return null;
+            return { mintStatus: prev => ({ ...prev, ...withoutKeys(data, ['wallet_address']) }) };
+        case 'oracle_price':
+            return { oraclePrice: () => data };
+        case 'transaction':
+            if (!sameAddress(data.wallet_address, walletAddress)) return null;
+            return { transactions: prev => mergeTransaction(prev, data) };
+        case 'protocol_health':
+            return { protocolHealth: () => data };
+        default:
+            return null;
+    }
+};
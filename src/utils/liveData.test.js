@@ -0,0 +1,27 @@
+import { getLiveUpdates, mergeTransaction } from './liveData';
+
+const CONTEXT = { walletAddress: '0xAbC', collateral: '0xC01' };
+
+test('patches the vault only for the current wallet and collateral', () => {
+    const event = { type: 'vault', data: { wallet_address: '0xabc', collateral_address: '0xc01', collateralRatio: '180.5' } };
+    const { vaultOverview } = getLiveUpdates(event, CONTEXT);
+    expect(vaultOverview({ collateralRatio: '200', mintedAmount: '10' })).toEqual({ collateralRatio: '180.5', mintedAmount: '10' });
+
+    expect(getLiveUpdates({ ...event, data: { ...event.data, collateral_address: '0xc02' } }, CONTEXT)).toBeNull();
+    expect(getLiveUpdates({ type: 'mint_status', data: { wallet_address: '0xdef', dailyMinted: 1 } }, CONTEXT)).toBeNull();
+});
+
+test('replaces protocol-wide data and ignores unknown events', () => {
+    const price = { eth_usd_price: '250000000000', decimals: 8 };
+    expect(getLiveUpdates({ type: 'oracle_price', data: price }, CONTEXT).oraclePrice(null)).toBe(price);
+    expect(getLiveUpdates({ type: 'heartbeat', data: {} }, CONTEXT)).toBeNull();
+});
+
+test('prepends new transactions without duplicates', () => {
+    const page = { transactions: [1, 2, 3, 4, 5].map(n => ({ tx_hash: `0x${n}` })), total: 12 };
+    const next = mergeTransaction(page, { tx_hash: '0x9' });
+    expect(next.transactions.map(tx => tx.tx_hash)).toEqual(['0x9', '0x1', '0x2', '0x3', '0x4']);
+    expect(next.total).toBe(13);
+    expect(mergeTransaction(next, { tx_hash: '0x9' })).toBe(next);
+    expect(mergeTransaction(null, { tx_hash: '0x1' })).toEqual({ transactions: [{ tx_hash: '0x1' }], total: 1 });
+});
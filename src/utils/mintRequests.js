@@ -0,0 +1,33 @@
+import { simulatePosition, MIN_COLLATERAL_RATIO } from './vaultMath';
+
+// --- Pending Mint Requests ---
+// Helpers for the admin review queue. Request amounts are in tGHSX, like /vault/status.
+
+/**
+ * What approving `request` would do to the requester's vault.
+ * @param {{ mint_amount: string|number }} request
+ * @param {{ vault: object, mintStatus?: object, threshold?: number }} context
+ */
+export const assessMintRequest = (request, { vault, mintStatus, threshold = MIN_COLLATERAL_RATIO }) => {
+    const { before, after, belowThreshold } = simulatePosition({ action: 'mint', amount: request.mint_amount, vault, mintStatus, threshold });
+    return {
+        ratioBefore: before.collateralRatio,
+        ratioAfter: after.collateralRatio,
+        belowThreshold,
+        remainingDaily: mintStatus ? before.remainingDaily : null,
+        exceedsDailyLimit: !!mintStatus && Number(request.mint_amount) > before.remainingDaily,
+    };
+};
+
+/**
+ * Runs `action(id)` for every id in parallel and reports which ones failed,
+ * so one bad request doesn't abort the rest of a bulk approve or decline.
+ */
+export async function runBulk(ids, action) {
+    const results = await Promise.allSettled(ids.map(id => action(id)));
+    const failed = results
+        .map((result, i) => ({ id: ids[i], result }))
+        .filter(({ result }) => result.status === 'rejected')
+        .map(({ id, result }) => ({ id, error: result.reason }));
+    return { succeeded: ids.length - failed.length, failed };
+}
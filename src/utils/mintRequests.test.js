@@ -0,0 +1,26 @@
+import { assessMintRequest, runBulk } from './mintRequests';
+
+const vault = { collateralAmount: '10', collateralValueUSD: '30000', mintedAmount: '1000', collateralRatio: '300' };
+
+test('assesses the ratio and daily limit impact of a request', () => {
+    const ok = assessMintRequest({ mint_amount: '500' }, { vault, mintStatus: { remainingDaily: '800' } });
+    expect(ok.ratioBefore).toBeCloseTo(300);
+    expect(ok.ratioAfter).toBeCloseTo(200);
+    expect(ok).toMatchObject({ belowThreshold: false, exceedsDailyLimit: false, remainingDaily: 800 });
+
+    const risky = assessMintRequest({ mint_amount: '1500' }, { vault, mintStatus: { remainingDaily: '800' } });
+    expect(risky.ratioAfter).toBeCloseTo(120);
+    expect(risky).toMatchObject({ belowThreshold: true, exceedsDailyLimit: true });
+
+    expect(assessMintRequest({ mint_amount: '1' }, { vault })).toMatchObject({ remainingDaily: null, exceedsDailyLimit: false });
+
+    // A 200% ratio clears the default minimum but not a collateral listed at 250%.
+    expect(assessMintRequest({ mint_amount: '500' }, { vault, threshold: 250 }).belowThreshold).toBe(true);
+});
+
+test('runs bulk actions to completion and collects failures', async () => {
+    const boom = new Error('already processed');
+    const action = jest.fn(id => (id === 2 ? Promise.reject(boom) : Promise.resolve({ id })));
+    await expect(runBulk([1, 2, 3], action)).resolves.toEqual({ succeeded: 2, failed: [{ id: 2, error: boom }] });
+    expect(action).toHaveBeenCalledTimes(3);
+});
@@ -0,0 +1,76 @@
+// --- Portfolio ---
+// Combines the `/vault/status/:collateral` responses for every enabled collateral into one
+// view of the account. Debt is in tGHSX; its USD value is implied by each vault's ratio,
+// as in `computeLiquidation`, so the aggregate ratio weighs every position correctly.
+
+import { computeLiquidation } from './vaultMath';
+import { retryWithBackoff } from '../api/queryCache';
+
+const toNumber = value => {
+    const n = typeof value === 'string' ? parseFloat(value) : Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * Fetches the vault status of every collateral in parallel, retrying each asset on its own.
+ * A failing asset doesn't sink the others: its entry carries `error` instead of `status`.
+ *
+ * @param {Array<{ address: string }>} collaterals
+ * @param {(address: string) => Promise<object>} getStatus
+ * @param {{ retries?: number, retryDelayMs?: number }} [options] - passed to `retryWithBackoff`
+ * @returns {Promise<Array<{ collateral: object, status?: object, error?: Error }>>}
+ */
+export const fetchPositions = async (collaterals, getStatus, { retries, retryDelayMs } = {}) => {
+    const fetchOne = address => retryWithBackoff(() => getStatus(address), { retries, baseDelayMs: retryDelayMs });
+    const results = await Promise.allSettled(collaterals.map(c => fetchOne(c.address)));
+    return results.map((result, i) => (result.status === 'fulfilled'
+        ? { collateral: collaterals[i], status: result.value }
+        : { collateral: collaterals[i], error: result.reason }));
+};
+
+/**
+ * Per-asset rows plus account totals. `valueShare` and `debtShare` are each asset's % of the
+ * account's collateral value and debt; `ratio` is null for assets without debt. Assets that
+ * failed to load are listed with their `error` and left out of the totals (`isPartial`).
+ *
+ * @returns {{ rows: object[], totals: { valueUSD: number, debt: number, debtValueUSD: number, ratio: number|null, isPartial: boolean } }}
+ */
+export const summarizePortfolio = (positions = []) => {
+    const loaded = positions.map(({ collateral, status, error }) => {
+        const base = { address: collateral.address, symbol: collateral.symbol, name: collateral.name };
+        if (!status) return { ...base, error: error || new Error('No data.') };
+        const debt = toNumber(status.mintedAmount);
+        const { debtValueUSD } = computeLiquidation(status);
+        return {
+            ...base,
+            collateralAmount: toNumber(status.collateralAmount),
+            valueUSD: toNumber(status.collateralValueUSD),
+            debt,
+            debtValueUSD: debt > 0 ? debtValueUSD : 0,
+            ratio: debt > 0 ? toNumber(status.collateralRatio) : null,
+            isLiquidatable: !!status.isLiquidatable,
+        };
+    });
+
+    const ok = loaded.filter(row => !row.error);
+    const sum = field => ok.reduce((total, row) => total + row[field], 0);
+    const valueUSD = sum('valueUSD');
+    const debt = sum('debt');
+    const debtValueUSD = sum('debtValueUSD');
+
+    const rows = loaded.map(row => (row.error ? row : {
+        ...row,
+        valueShare: valueUSD > 0 ? (row.valueUSD / valueUSD) * 100 : 0,
+        debtShare: debt > 0 ? (row.debt / debt) * 100 : 0,
+    }));
+    return {
+        rows,
+        totals: {
+            valueUSD,
+            debt,
+            debtValueUSD,
+            ratio: debtValueUSD > 0 ? (valueUSD / debtValueUSD) * 100 : null,
+            isPartial: ok.length < loaded.length,
+        },
+    };
+};
@@ -0,0 +1,44 @@
+import { fetchPositions, summarizePortfolio } from './portfolio';
+
+const WETH = { address: '0xweth', symbol: 'WETH' };
+const WBTC = { address: '0xwbtc', symbol: 'WBTC' };
+const USDC = { address: '0xusdc', symbol: 'USDC' };
+
+test('fetches every collateral and keeps failures per asset', async () => {
+    const getStatus = jest.fn(address => (address === USDC.address ? Promise.reject(new Error('boom')) : Promise.resolve({ address })));
+    const positions = await fetchPositions([WETH, USDC], getStatus, { retries: 0 });
+    expect(getStatus).toHaveBeenCalledTimes(2);
+    expect(positions[0]).toEqual({ collateral: WETH, status: { address: WETH.address } });
+    expect(positions[1].error.message).toBe('boom');
+});
+
+test('retries only the asset that failed', async () => {
+    const getStatus = jest.fn(address => Promise.resolve({ address }))
+        .mockImplementationOnce(() => Promise.reject(new Error('timeout')));
+    const positions = await fetchPositions([WETH, USDC], getStatus, { retryDelayMs: 0 });
+    expect(getStatus.mock.calls.map(([address]) => address)).toEqual([WETH.address, USDC.address, WETH.address]);
+    expect(positions.map(p => p.status)).toEqual([{ address: WETH.address }, { address: USDC.address }]);
+});
+
+test('aggregates value, debt shares and a debt-weighted ratio', () => {
+    const { rows, totals } = summarizePortfolio([
+        // $3000 at 300% -> $1000 of debt; $1000 at 200% -> $500 of debt.
+        { collateral: WETH, status: { collateralAmount: '1', collateralValueUSD: '3000', mintedAmount: '12000', collateralRatio: '300' } },
+        { collateral: WBTC, status: { collateralAmount: '0.02', collateralValueUSD: '1000', mintedAmount: '6000', collateralRatio: '200' } },
+        { collateral: USDC, status: { collateralAmount: '0', collateralValueUSD: '0', mintedAmount: '0', collateralRatio: '0' } },
+    ]);
+    expect(totals).toMatchObject({ valueUSD: 4000, debt: 18000, debtValueUSD: 1500, isPartial: false });
+    expect(totals.ratio).toBeCloseTo(266.67, 2);
+    expect(rows[0].valueShare).toBe(75);
+    expect(rows[1].debtShare).toBeCloseTo(33.33, 2);
+    expect(rows[2]).toMatchObject({ ratio: null, debtShare: 0 });
+});
+
+test('leaves failed assets out of the totals', () => {
+    const { rows, totals } = summarizePortfolio([
+        { collateral: WETH, status: { collateralAmount: '1', collateralValueUSD: '3000', mintedAmount: '0', collateralRatio: '0' } },
+        { collateral: WBTC, error: new Error('timeout') },
+    ]);
+    expect(rows[1].error.message).toBe('timeout');
+    expect(totals).toMatchObject({ valueUSD: 3000, debt: 0, ratio: null, isPartial: true });
+});
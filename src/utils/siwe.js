@@ -0,0 +1,56 @@
+import { getSiweNonce } from '../api/client';
+
+// --- Sign-In with Ethereum (EIP-4361) ---
+// The same signed message either logs in (POST /auth/siwe/verify) or links the wallet to the
+// signed-in account (POST /auth/wallets). The backend checks nonce, domain and signature.
+
+export const SIWE_STATEMENTS = {
+    LOGIN: 'Sign in to tGHSX with this wallet.',
+    LINK: 'Link this wallet to my tGHSX account.',
+};
+
+/** Formats an EIP-4361 message. `issuedAt` and `expirationTime` are Date objects. */
+export function buildSiweMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+    const lines = [
+        `${domain} wants you to sign in with your Ethereum account:`,
+        address,
+        '',
+        statement,
+        '',
+        `URI: ${uri}`,
+        'Version: 1',
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt.toISOString()}`,
+    ];
+    if (expirationTime) lines.push(`Expiration Time: ${expirationTime.toISOString()}`);
+    return lines.join('\n');
+}
+
+const SIWE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Fetches a nonce and has the wallet sign a SIWE message for `address`.
+ * @param {import('ethers').Signer} signer
+ * @returns {Promise<{ message: string, signature: string }>}
+ */
+export async function signSiweMessage({ signer, address, chainId, statement }) {
+    const { nonce } = await getSiweNonce(address);
+    const now = new Date();
+    const message = buildSiweMessage({
+        domain: window.location.host,
+        address,
+        statement,
+        uri: window.location.origin,
+        chainId,
+        nonce,
+        issuedAt: now,
+        expirationTime: new Date(now.getTime() + SIWE_TTL_MS),
+    });
+    const signature = await signer.signMessage(message);
+    return { message, signature };
+}
+
+/** Whether `address` is among the account's linked wallets (`[{ address }]`), case-insensitively. */
+export const isWalletLinked = (linkedWallets, address) =>
+    !!address && linkedWallets.some(w => w.address.toLowerCase() === address.toLowerCase());
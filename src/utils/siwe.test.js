@@ -0,0 +1,49 @@
+import { buildSiweMessage, signSiweMessage, isWalletLinked } from './siwe';
+
+const ADDRESS = '0x52908400098527886E0F7030069857D2E4169EE7';
+
+beforeEach(() => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, text: () => Promise.resolve(JSON.stringify({ nonce: 'n0nce123' })) });
+});
+
+test('formats an EIP-4361 message', () => {
+    const message = buildSiweMessage({
+        domain: 'app.tghsx.io',
+        address: ADDRESS,
+        statement: 'Sign in.',
+        uri: 'https://app.tghsx.io',
+        chainId: 80002,
+        nonce: 'abc123',
+        issuedAt: new Date('2025-01-01T00:00:00Z'),
+    });
+    expect(message).toBe([
+        'app.tghsx.io wants you to sign in with your Ethereum account:',
+        ADDRESS,
+        '',
+        'Sign in.',
+        '',
+        'URI: https://app.tghsx.io',
+        'Version: 1',
+        'Chain ID: 80002',
+        'Nonce: abc123',
+        'Issued At: 2025-01-01T00:00:00.000Z',
+    ].join('\n'));
+});
+
+test('signs a message carrying the server nonce', async () => {
+    const signer = { signMessage: jest.fn().mockResolvedValue('0xsig') };
+    const { message, signature } = await signSiweMessage({ signer, address: ADDRESS, chainId: 80002, statement: 'Sign in.' });
+
+    expect(fetch.mock.calls[0][0]).toContain(`/auth/siwe/nonce?address=${ADDRESS}`);
+    expect(message).toContain('Nonce: n0nce123');
+    expect(message).toMatch(/Expiration Time: /);
+    expect(signer.signMessage).toHaveBeenCalledWith(message);
+    expect(signature).toBe('0xsig');
+});
+
+test('matches linked wallets case-insensitively', () => {
+    const linked = [{ address: ADDRESS.toLowerCase() }];
+    expect(isWalletLinked(linked, ADDRESS)).toBe(true);
+    expect(isWalletLinked(linked, '0x0000000000000000000000000000000000000001')).toBe(false);
+    expect(isWalletLinked(linked, null)).toBe(false);
+});
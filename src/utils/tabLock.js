@@ -0,0 +1,71 @@
+// --- Tab Lock ---
+// A lease in localStorage that lets one of several open tabs do a job alone (e.g. evaluating
+// risk alerts). The holder renews it on a heartbeat; when that tab closes, the lease is
+// released, and when it crashes or stalls, another tab takes over once the lease runs out.
+
+// Long enough to survive the one-minute timer throttling browsers apply to hidden tabs.
+export const LOCK_LEASE_MS = 90 * 1000;
+export const LOCK_HEARTBEAT_MS = 10 * 1000;
+
+const readLease = key => {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Competes for the lock `name` and calls `onChange(held)` whenever this tab gains or loses it.
+ * Returns a function that stops competing and releases the lock if held.
+ */
+export function acquireTabLock(name, onChange, target = window) {
+    const key = `tabLock:${name}`;
+    const tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    let held = false;
+
+    const update = next => {
+        if (next === held) return;
+        held = next;
+        onChange(held);
+    };
+
+    const tryAcquire = () => {
+        const lease = readLease(key);
+        const now = Date.now();
+        if (lease && lease.owner !== tabId && lease.expiresAt > now) {
+            update(false);
+            return;
+        }
+        try {
+            localStorage.setItem(key, JSON.stringify({ owner: tabId, expiresAt: now + LOCK_LEASE_MS }));
+        } catch (e) {
+            // No storage to coordinate through: act as the only tab.
+            update(true);
+            return;
+        }
+        // Two tabs can write in the same moment; whoever wrote last keeps it.
+        update(readLease(key)?.owner === tabId);
+    };
+
+    const release = () => {
+        if (readLease(key)?.owner === tabId) localStorage.removeItem(key);
+        update(false);
+    };
+
+    // Take over as soon as the holder lets go instead of waiting for the next heartbeat.
+    const handleStorage = event => {
+        if ((event.key === key || event.key === null) && !event.newValue) tryAcquire();
+    };
+
+    tryAcquire();
+    const timer = setInterval(tryAcquire, LOCK_HEARTBEAT_MS);
+    target.addEventListener('storage', handleStorage);
+    target.addEventListener('pagehide', release);
+    return () => {
+        clearInterval(timer);
+        target.removeEventListener('storage', handleStorage);
+        target.removeEventListener('pagehide', release);
+        if (readLease(key)?.owner === tabId) localStorage.removeItem(key);
+    };
+}
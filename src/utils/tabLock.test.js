@@ -0,0 +1,41 @@
+import { acquireTabLock, LOCK_LEASE_MS, LOCK_HEARTBEAT_MS } from './tabLock';
+
+// Each "tab" gets its own event target, like separate windows sharing one localStorage.
+const openTab = () => {
+    const onChange = jest.fn();
+    const target = new EventTarget();
+    const release = acquireTabLock('alerts', onChange, target);
+    return { onChange, target, release };
+};
+
+beforeEach(() => {
+    localStorage.clear();
+    jest.useFakeTimers();
+});
+afterEach(() => jest.useRealTimers());
+
+test('only the first tab holds the lock, and the next one takes over when it is released', () => {
+    const first = openTab();
+    const second = openTab();
+    expect(first.onChange.mock.calls).toEqual([[true]]);
+    expect(second.onChange).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(LOCK_HEARTBEAT_MS * 3);
+    expect(second.onChange).not.toHaveBeenCalled();
+
+    first.release();
+    second.target.dispatchEvent(new StorageEvent('storage', { key: 'tabLock:alerts', newValue: null }));
+    expect(second.onChange.mock.calls).toEqual([[true]]);
+    second.release();
+});
+
+test('takes over a lease its holder stopped renewing', () => {
+    localStorage.setItem('tabLock:alerts', JSON.stringify({ owner: 'crashed-tab', expiresAt: Date.now() + LOCK_LEASE_MS }));
+    const tab = openTab();
+    expect(tab.onChange).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(LOCK_LEASE_MS + LOCK_HEARTBEAT_MS);
+    expect(tab.onChange.mock.calls).toEqual([[true]]);
+    tab.release();
+    expect(localStorage.getItem('tabLock:alerts')).toBeNull();
+});
@@ -0,0 +1,95 @@
+import { TGHSX_ADDRESS } from '../config';
+
+// --- Token Registry ---
+// Symbol and decimals for every token the app displays or parses, keyed by lowercased
+// address. Entries come from `/collaterals` and are confirmed on-chain through
+// `decimals()`/`symbol()`; the result is cached for the browser session.
+
+const STORAGE_KEY = 'tokenRegistry';
+
+// tGHSX has 6 decimals; this entry is still re-read on-chain like any other token.
+export const TGHSX_TOKEN = { address: TGHSX_ADDRESS, symbol: 'tGHSX', name: 'tGHSX Stablecoin', decimals: 6 };
+
+const keyOf = address => (address || '').toLowerCase();
+
+// Module-level copy so every page in the session shares one registry.
+let sessionRegistry = null;
+
+export const loadCachedRegistry = () => {
+    if (sessionRegistry) return sessionRegistry;
+    try {
+        sessionRegistry = JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+        sessionRegistry = {};
+    }
+    return sessionRegistry;
+};
+
+const saveRegistry = registry => {
+    sessionRegistry = registry;
+    try {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(registry));
+    } catch (e) {
+        // Storage full or disabled: the in-memory copy still works for this tab.
+    }
+};
+
+export const clearTokenRegistry = () => {
+    sessionRegistry = null;
+    sessionStorage.removeItem(STORAGE_KEY);
+};
+
+/** Looks up a token by address. Returns undefined until it has been resolved. */
+export const getTokenInfo = (registry, address) => registry?.[keyOf(address)];
+
+/**
+ * Resolves every address that isn't cached yet and returns the merged registry.
+ * Tokens that fail to resolve are left out so callers can show them as unknown
+ * rather than guess their decimals.
+ *
+ * @param {Array<string>} addresses
+ * @param {(address: string) => Promise<{ symbol: string, decimals: number }>} readToken - On-chain reader.
+ * @param {Array<object>} [collaterals] - `/collaterals` entries, used for names and as a fallback.
+ */
+export async function resolveTokens(addresses, readToken, collaterals = []) {
+    const registry = { ...loadCachedRegistry() };
+    const known = Object.fromEntries(collaterals.map(c => [keyOf(c.address), c]));
+    const missing = [...new Set(addresses.map(keyOf))].filter(key => key && !registry[key]);
+    if (!missing.length) return registry;
+
+    const results = await Promise.allSettled(missing.map(key => readToken(known[key]?.address || key)));
+    results.forEach((result, i) => {
+        const key = missing[i];
+        const listed = known[key] || (key === keyOf(TGHSX_ADDRESS) ? TGHSX_TOKEN : null);
+        if (result.status === 'fulfilled') {
+            registry[key] = {
+                address: listed?.address || key,
+                name: listed?.name || result.value.symbol,
+                symbol: result.value.symbol,
+                decimals: Number(result.value.decimals),
+            };
+        } else if (listed && listed.decimals !== undefined) {
+            // The chain read failed but the backend told us the decimals.
+            registry[key] = { address: listed.address, name: listed.name, symbol: listed.symbol, decimals: Number(listed.decimals) };
+        } else {
+            console.error(`Failed to resolve token ${key}:`, result.reason);
+        }
+    });
+
+    saveRegistry(registry);
+    return registry;
+}
+
+/** Formats a raw integer amount (string or number) using the token's decimals. */
+export const formatTokenAmount = (raw, token, maximumFractionDigits = 4) => {
+    if (!token) return '…';
+    const value = parseFloat(raw) / 10 ** token.decimals;
+    if (isNaN(value)) return 'N/A';
+    return `${value.toLocaleString('en-US', { maximumFractionDigits })} ${token.symbol}`;
+};
+
+const COLLATERAL_EVENTS = ['CollateralDeposited', 'CollateralWithdrawn'];
+
+/** Address of the token a vault event's `amount` is denominated in. */
+export const getEventTokenAddress = (eventName, eventData) =>
+    COLLATERAL_EVENTS.includes(eventName) ? eventData?.collateral : TGHSX_ADDRESS;
@@ -0,0 +1,31 @@
+import { resolveTokens, clearTokenRegistry, getTokenInfo, formatTokenAmount, TGHSX_TOKEN } from './tokenRegistry';
+
+const WETH = '0x00000000000000000000000000000000000000Aa';
+const USDC = '0x00000000000000000000000000000000000000Bb';
+
+beforeEach(() => clearTokenRegistry());
+
+test('reads decimals on-chain and caches them for the session', async () => {
+    const readToken = jest.fn(async address => (address === WETH ? { symbol: 'WETH', decimals: 18 } : { symbol: 'USDC', decimals: 6 }));
+
+    const registry = await resolveTokens([WETH, USDC], readToken, [{ address: WETH, name: 'Wrapped Ether', symbol: 'WETH' }]);
+    expect(getTokenInfo(registry, WETH.toUpperCase())).toMatchObject({ symbol: 'WETH', decimals: 18, name: 'Wrapped Ether' });
+    expect(formatTokenAmount('1500000000000000000', getTokenInfo(registry, WETH))).toBe('1.5 WETH');
+    expect(formatTokenAmount('2500000', getTokenInfo(registry, USDC))).toBe('2.5 USDC');
+
+    await resolveTokens([WETH, USDC], readToken);
+    expect(readToken).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(sessionStorage.getItem('tokenRegistry'))[USDC.toLowerCase()].decimals).toBe(6);
+});
+
+test('falls back to listed decimals and never guesses unknown tokens', async () => {
+    const readToken = jest.fn().mockRejectedValue(new Error('call revert exception'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const registry = await resolveTokens([TGHSX_TOKEN.address, USDC], readToken);
+    expect(getTokenInfo(registry, TGHSX_TOKEN.address).decimals).toBe(6);
+    expect(getTokenInfo(registry, USDC)).toBeUndefined();
+    expect(formatTokenAmount('2500000', undefined)).toBe('…');
+
+    console.error.mockRestore();
+});
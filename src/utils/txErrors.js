@@ -0,0 +1,165 @@
+// --- Transaction Error Decoding ---
+// Turns wallet, RPC and contract failures into a message the user can act on.
+// Every decoder returns { title, message, fix } where `fix` may be null.
+
+import { TARGET_CHAIN } from '../web3/chains';
+
+// CollateralVault custom errors (and the OpenZeppelin ones it inherits), keyed by selector:
+// the first 4 bytes of keccak256(signature). Keep in sync with the contract.
+const VAULT_ERRORS = {
+    '0x3a23d825': { name: 'InsufficientCollateral()', message: 'Your vault does not have enough collateral for this.', fix: 'Deposit more collateral or lower the amount.' },
+    '0xd4b45b22': { name: 'CollateralRatioTooLow(uint256,uint256)', message: 'This would push your collateral ratio below the minimum.', fix: 'Lower the amount or deposit more collateral first.' },
+    '0x650ba305': { name: 'ExceedsDailyMintLimit(uint256,uint256)', message: 'This mint exceeds your remaining daily limit.', fix: 'Mint a smaller amount or wait for the daily limit to reset.' },
+    '0xab8c1745': { name: 'MintCooldownActive(uint256)', message: 'Minting is on cooldown for your vault.', fix: 'Wait for the cooldown shown in Mint Status to finish.' },
+    '0xa733eac7': { name: 'CollateralNotEnabled(address)', message: 'This collateral token is not enabled in the vault.', fix: 'Pick another collateral from the list.' },
+    '0x2c5211c6': { name: 'InvalidAmount()', message: 'The amount is not valid for this action.', fix: 'Enter an amount greater than zero.' },
+    '0xac4314a9': { name: 'InsufficientDebt()', message: 'You are repaying more than your outstanding debt.', fix: 'Use Max to repay exactly what you owe.' },
+    '0x0538b67d': { name: 'AutoMintDisabled()', message: 'Auto-Mint is currently disabled.', fix: 'Try again once the protocol re-enables Auto-Mint.' },
+    '0x94d4d4b3': { name: 'HoldTimeNotMet(uint256)', message: 'Your collateral has not been held long enough for Auto-Mint.', fix: 'Wait until the minimum hold time has passed.' },
+    '0x791b3ae3': { name: 'VaultNotLiquidatable()', message: 'This vault is healthy and cannot be liquidated.', fix: 'Refresh the at-risk list; the price may have moved.' },
+    '0x19abf40e': { name: 'StalePrice()', message: 'The oracle price is stale, so the vault refused the action.', fix: 'Wait for the next oracle update and try again.' },
+    '0xd93c0665': { name: 'EnforcedPause()', message: 'The protocol is paused.', fix: 'Vault actions resume once the protocol is unpaused.' },
+    '0xe2517d3f': { name: 'AccessControlUnauthorizedAccount(address,bytes32)', message: 'The connected wallet lacks the role required for this action.', fix: 'Connect a wallet that holds the required role.' },
+    '0xfb8f41b2': { name: 'ERC20InsufficientAllowance(address,uint256,uint256)', message: 'The vault is not approved to move this much of your token.', fix: 'Approve the vault for at least this amount and retry.' },
+    '0xe450d38c': { name: 'ERC20InsufficientBalance(address,uint256,uint256)', message: 'Your wallet balance is too low for this amount.', fix: 'Lower the amount to what your wallet holds.' },
+};
+
+// require() strings and other revert text, matched case-insensitively.
+const REVERT_PATTERNS = [
+    { pattern: /\bpaused\b/, message: 'The protocol is paused.', fix: 'Vault actions resume once the protocol is unpaused.' },
+    { pattern: /daily.*limit|limit.*daily/, message: 'This mint exceeds your remaining daily limit.', fix: 'Mint a smaller amount or wait for the daily limit to reset.' },
+    { pattern: /cooldown/, message: 'Minting is on cooldown for your vault.', fix: 'Wait for the cooldown shown in Mint Status to finish.' },
+    { pattern: /\bratio\b|undercollateral/, message: 'This would push your collateral ratio below the minimum.', fix: 'Lower the amount or deposit more collateral first.' },
+    { pattern: /insufficient collateral/, message: 'Your vault does not have enough collateral for this.', fix: 'Deposit more collateral or lower the amount.' },
+    { pattern: /allowance/, message: 'The vault is not approved to move this much of your token.', fix: 'Approve the vault for at least this amount and retry.' },
+    { pattern: /transfer amount exceeds balance|insufficient balance/, message: 'Your wallet balance is too low for this amount.', fix: 'Lower the amount to what your wallet holds.' },
+    { pattern: /not enabled|unsupported collateral/, message: 'This collateral token is not enabled in the vault.', fix: 'Pick another collateral from the list.' },
+    { pattern: /hold time/, message: 'Your collateral has not been held long enough for Auto-Mint.', fix: 'Wait until the minimum hold time has passed.' },
+    { pattern: /stale/, message: 'The oracle price is stale, so the vault refused the action.', fix: 'Wait for the next oracle update and try again.' },
+];
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const hexToUtf8 = hex => {
+    try {
+        return decodeURIComponent(hex.replace(/(..)/g, '%$1'));
+    } catch (e) {
+        return '';
+    }
+};
+
+/** Decodes ABI-encoded revert data into `{ kind, name?, reason? }`, or null if unrecognized. */
+export const decodeRevertData = data => {
+    if (typeof data !== 'string' || !data.startsWith('0x') || data.length < 10) return null;
+    const selector = data.slice(0, 10).toLowerCase();
+    const body = data.slice(10);
+    if (selector === ERROR_STRING_SELECTOR) {
+        const length = parseInt(body.slice(64, 128), 16);
+        return { kind: 'require', reason: hexToUtf8(body.slice(128, 128 + length * 2)) };
+    }
+    if (selector === PANIC_SELECTOR) {
+        return { kind: 'panic', code: parseInt(body.slice(0, 64), 16) };
+    }
+    if (VAULT_ERRORS[selector]) {
+        return { kind: 'custom', selector, name: VAULT_ERRORS[selector].name };
+    }
+    return { kind: 'unknown', selector };
+};
+
+// Revert data hides at different depths depending on wallet and provider.
+const findRevertData = (err, depth = 0) => {
+    if (!err || depth > 5) return null;
+    if (typeof err === 'string') return /^0x[0-9a-f]{8}/i.test(err) ? err : null;
+    if (typeof err.data === 'string' && /^0x[0-9a-f]{8}/i.test(err.data)) return err.data;
+    if (typeof err.body === 'string') {
+        try {
+            const found = findRevertData(JSON.parse(err.body).error, depth + 1);
+            if (found) return found;
+        } catch (e) {
+            // Not JSON; keep looking.
+        }
+    }
+    return findRevertData(err.data, depth + 1) || findRevertData(err.error, depth + 1) || findRevertData(err.originalError, depth + 1);
+};
+
+const collectMessages = (err, depth = 0) => {
+    if (!err || depth > 5) return [];
+    if (typeof err === 'string') return [err];
+    return [err.reason, err.message, ...collectMessages(err.error, depth + 1), ...collectMessages(err.data, depth + 1)].filter(m => typeof m === 'string');
+};
+
+const matchRevertText = text => {
+    const lower = text.toLowerCase();
+    return REVERT_PATTERNS.find(p => p.pattern.test(lower));
+};
+
+const result = (title, message, fix = null) => ({ title, message, fix });
+
+/**
+ * Maps any error thrown while preparing, signing or mining a transaction (or returned by
+ * an admin endpoint that relays one) to `{ title, message, fix }`.
+ */
+export function decodeTxError(err) {
+    const code = err?.code ?? err?.error?.code;
+    const text = collectMessages(err).join(' | ').toLowerCase();
+
+    // --- Wallet & RPC errors ---
+    if (code === 4001 || code === 'ACTION_REJECTED' || text.includes('user rejected') || text.includes('user denied')) {
+        return result('Request rejected', 'You rejected the request in your wallet.', 'Confirm the request in your wallet to continue.');
+    }
+    if (code === 4902 || code === 4901 || text.includes('underlying network changed') || text.includes('wrong network') || text.includes('chain mismatch')) {
+        return result('Wrong network', 'Your wallet is connected to a different network.', `Switch your wallet to ${TARGET_CHAIN.chainName} and try again.`);
+    }
+    // Any other NETWORK_ERROR means ethers could not reach the RPC node (e.g. "could not detect network").
+    if (code === 'NETWORK_ERROR') {
+        return result('Network unavailable', 'The RPC node could not be reached.', 'Check your connection and try again in a moment.');
+    }
+    if (code === -32002 || text.includes('already pending')) {
+        return result('Wallet busy', 'Your wallet already has a request waiting.', 'Open your wallet and finish or reject the pending request.');
+    }
+    if (code === 'INSUFFICIENT_FUNDS' || text.includes('insufficient funds')) {
+        const { symbol } = TARGET_CHAIN.nativeCurrency;
+        const fix = TARGET_CHAIN.isTestnet
+            ? `Top up ${symbol} from a ${TARGET_CHAIN.chainName} faucet and try again.`
+            : `Add ${symbol} to your wallet and try again.`;
+        return result('Not enough gas', `Your wallet does not have enough ${symbol} to pay for gas.`, fix);
+    }
+    if (code === 'NONCE_EXPIRED' || text.includes('nonce too low') || text.includes('nonce has already been used')) {
+        return result('Nonce too low', 'Your wallet tried to reuse a transaction nonce.', 'Wait for pending transactions to finish, or reset your wallet account activity.');
+    }
+    if (code === 'REPLACEMENT_UNDERPRICED' || text.includes('replacement transaction underpriced') || text.includes('replacement fee too low')) {
+        return result('Replacement underpriced', 'A pending transaction with the same nonce pays a higher fee.', 'Speed up the pending transaction in your wallet or wait for it to mine.');
+    }
+    if (code === 'TRANSACTION_REPLACED' && err.cancelled) {
+        return result('Transaction replaced', 'The transaction was cancelled or replaced in your wallet.', 'Check your wallet activity before retrying.');
+    }
+
+    // --- Contract reverts ---
+    const decoded = decodeRevertData(findRevertData(err));
+    if (decoded?.kind === 'custom') {
+        const { message, fix } = VAULT_ERRORS[decoded.selector];
+        return result('Transaction would fail', message, fix);
+    }
+    if (decoded?.kind === 'require') {
+        const known = matchRevertText(decoded.reason);
+        return result('Transaction would fail', known ? known.message : decoded.reason, known?.fix || null);
+    }
+    if (decoded?.kind === 'panic') {
+        return result('Transaction would fail', `The contract hit an internal error (panic 0x${decoded.code.toString(16)}).`, 'Try a different amount; if it persists, report it to the team.');
+    }
+    const known = matchRevertText(text);
+    if (known) return result('Transaction would fail', known.message, known.fix);
+    if (code === 'UNPREDICTABLE_GAS_LIMIT' || code === 'CALL_EXCEPTION') {
+        return result('Transaction would fail', 'The vault rejected this transaction during gas estimation.', 'Check the amount against your balance, limits and collateral ratio.');
+    }
+
+    const fallback = err?.reason || err?.message;
+    return result('Something went wrong', fallback && fallback.length < 200 ? fallback : 'Unknown error.', null);
+}
+
+/** One-line form for places that only show a single string (alerts, inline status). */
+export const formatTxError = err => {
+    const { message, fix } = decodeTxError(err);
+    return fix ? `${message} ${fix}` : message;
+};
@@ -0,0 +1,62 @@
+import { decodeTxError, decodeRevertData, formatTxError } from './txErrors';
+import { TARGET_CHAIN } from '../web3/chains';
+
+// Error(string) encoding of "Insufficient collateral".
+const REQUIRE_DATA = '0x08c379a0'
+    + '0000000000000000000000000000000000000000000000000000000000000020'
+    + '0000000000000000000000000000000000000000000000000000000000000017'
+    + '496e73756666696369656e7420636f6c6c61746572616c000000000000000000';
+// CollateralRatioTooLow(120, 150)
+const CUSTOM_DATA = '0xd4b45b22'
+    + '0000000000000000000000000000000000000000000000000000000000000078'
+    + '0000000000000000000000000000000000000000000000000000000000000096';
+
+test('decodes require strings and custom vault errors', () => {
+    expect(decodeRevertData(REQUIRE_DATA)).toEqual({ kind: 'require', reason: 'Insufficient collateral' });
+    expect(decodeRevertData(CUSTOM_DATA)).toMatchObject({ kind: 'custom', name: 'CollateralRatioTooLow(uint256,uint256)' });
+    expect(decodeRevertData('0xdeadbeef')).toEqual({ kind: 'unknown', selector: '0xdeadbeef' });
+});
+
+test('finds revert data nested inside provider errors', () => {
+    // Shape of an ethers v5 UNPREDICTABLE_GAS_LIMIT error from MetaMask.
+    const err = { code: 'UNPREDICTABLE_GAS_LIMIT', error: { code: -32603, data: { code: 3, data: CUSTOM_DATA } } };
+    expect(decodeTxError(err)).toMatchObject({ message: 'This would push your collateral ratio below the minimum.' });
+
+    const rpcErr = { code: 'UNPREDICTABLE_GAS_LIMIT', error: { body: JSON.stringify({ error: { code: 3, data: REQUIRE_DATA } }) } };
+    expect(decodeTxError(rpcErr).fix).toBe('Deposit more collateral or lower the amount.');
+});
+
+test('maps wallet errors to actionable fixes', () => {
+    expect(decodeTxError({ code: 4001, message: 'User denied transaction signature.' }).title).toBe('Request rejected');
+    expect(decodeTxError({ code: 'ACTION_REJECTED' }).title).toBe('Request rejected');
+    expect(decodeTxError({ code: 'INSUFFICIENT_FUNDS' }).title).toBe('Not enough gas');
+    expect(decodeTxError({ message: 'nonce too low' }).title).toBe('Nonce too low');
+    expect(decodeTxError({ code: 'REPLACEMENT_UNDERPRICED' }).title).toBe('Replacement underpriced');
+    expect(decodeTxError({ code: 'NETWORK_ERROR', message: 'underlying network changed' }).title).toBe('Wrong network');
+    expect(decodeTxError({ code: 4902 }).fix).toBe(`Switch your wallet to ${TARGET_CHAIN.chainName} and try again.`);
+    expect(decodeTxError({ code: 'NETWORK_ERROR', message: 'could not detect network' }).title).toBe('Network unavailable');
+});
+
+test('names the configured chain and gas token, with a faucet only on a testnet', () => {
+    const { symbol } = TARGET_CHAIN.nativeCurrency;
+    expect(decodeTxError({ code: 'INSUFFICIENT_FUNDS' })).toMatchObject({
+        message: `Your wallet does not have enough ${symbol} to pay for gas.`,
+        fix: `Top up ${symbol} from a ${TARGET_CHAIN.chainName} faucet and try again.`,
+    });
+
+    jest.isolateModules(() => {
+        process.env.REACT_APP_CHAIN_NAME = 'Polygon';
+        process.env.REACT_APP_CHAIN_IS_TESTNET = 'false';
+        const { decodeTxError: decodeOnMainnet } = require('./txErrors');
+        expect(decodeOnMainnet({ code: 4902 }).fix).toBe('Switch your wallet to Polygon and try again.');
+        expect(decodeOnMainnet({ code: 'INSUFFICIENT_FUNDS' }).fix).toBe(`Add ${symbol} to your wallet and try again.`);
+    });
+    delete process.env.REACT_APP_CHAIN_NAME;
+    delete process.env.REACT_APP_CHAIN_IS_TESTNET;
+});
+
+test('matches revert text relayed by the backend and falls back to the message', () => {
+    expect(formatTxError(new Error('execution reverted: Pausable: paused'))).toBe('The protocol is paused. Vault actions resume once the protocol is unpaused.');
+    expect(decodeTxError(new Error('Request failed with status 500.')).message).toBe('Request failed with status 500.');
+    expect(decodeTxError({}).message).toBe('Unknown error.');
+});
@@ -0,0 +1,74 @@
+// --- Tracked Transactions Store ---
+// Transactions the user sent from this browser, persisted in localStorage so pending ones
+// survive a reload or a closed modal. Records are plain objects:
+// { hash, label, flowId, step, status, confirmations, createdAt, updatedAt }
+
+const STORAGE_KEY = 'trackedTransactions';
+
+export const CONFIRMATIONS_REQUIRED = 3;
+// A tx the node has never heard of after this long was dropped or replaced.
+export const DROP_TIMEOUT_MS = 10 * 60 * 1000;
+const SETTLED_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_RECORDS = 50;
+
+export const TX_STATUS = { PENDING: 'pending', MINED: 'mined', CONFIRMED: 'confirmed', FAILED: 'failed', DROPPED: 'dropped' };
+
+export const isSettled = record => record.status === TX_STATUS.CONFIRMED || record.status === TX_STATUS.FAILED || record.status === TX_STATUS.DROPPED;
+
+export const loadTransactions = () => {
+    try {
+        const list = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+export const saveTransactions = list => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+    } catch (e) {
+        // Quota exceeded: tracking still works in memory for this session.
+    }
+};
+
+/** Drops settled records older than a day and caps the list, newest first. */
+export const pruneTransactions = (list, now = Date.now()) =>
+    list
+        .filter(tx => !isSettled(tx) || now - tx.updatedAt < SETTLED_TTL_MS)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, MAX_RECORDS);
+
+export const createRecord = ({ hash, label, flowId = null, step = null }, now = Date.now()) => ({
+    hash,
+    label,
+    flowId,
+    step,
+    status: TX_STATUS.PENDING,
+    confirmations: 0,
+    createdAt: now,
+    updatedAt: now,
+});
+
+/** Inserts or replaces a record by hash. */
+export const upsertTransaction = (list, record) => [record, ...list.filter(tx => tx.hash !== record.hash)];
+
+/**
+ * Next state of a record given its receipt (null if not mined yet) and the latest block.
+ * `known` says whether the node still has the transaction at all.
+ */
+export const applyReceipt = (record, { receipt, blockNumber, known = true }, now = Date.now()) => {
+    if (!receipt) {
+        if (!known && now - record.createdAt > DROP_TIMEOUT_MS) {
+            return { ...record, status: TX_STATUS.DROPPED, updatedAt: now };
+        }
+        return record;
+    }
+    if (receipt.status === 0) {
+        return { ...record, status: TX_STATUS.FAILED, confirmations: 0, updatedAt: now };
+    }
+    const confirmations = Math.max(1, blockNumber - receipt.blockNumber + 1);
+    const status = confirmations >= CONFIRMATIONS_REQUIRED ? TX_STATUS.CONFIRMED : TX_STATUS.MINED;
+    if (status === record.status && confirmations === record.confirmations) return record;
+    return { ...record, status, confirmations, updatedAt: now };
+};
@@ -0,0 +1,37 @@
+import { createRecord, applyReceipt, pruneTransactions, upsertTransaction, loadTransactions, saveTransactions, TX_STATUS, CONFIRMATIONS_REQUIRED, DROP_TIMEOUT_MS } from './txStore';
+
+const T0 = 1_700_000_000_000;
+
+test('walks a transaction from pending to confirmed', () => {
+    let tx = createRecord({ hash: '0x1', label: 'Deposit', flowId: 'f1', step: 'action' }, T0);
+    expect(tx.status).toBe(TX_STATUS.PENDING);
+
+    tx = applyReceipt(tx, { receipt: null, blockNumber: 100 }, T0 + 1000);
+    expect(tx.status).toBe(TX_STATUS.PENDING);
+
+    tx = applyReceipt(tx, { receipt: { status: 1, blockNumber: 101 }, blockNumber: 101 }, T0 + 2000);
+    expect(tx).toMatchObject({ status: TX_STATUS.MINED, confirmations: 1 });
+
+    tx = applyReceipt(tx, { receipt: { status: 1, blockNumber: 101 }, blockNumber: 100 + CONFIRMATIONS_REQUIRED }, T0 + 3000);
+    expect(tx).toMatchObject({ status: TX_STATUS.CONFIRMED, confirmations: CONFIRMATIONS_REQUIRED });
+});
+
+test('marks reverted and long-unknown transactions', () => {
+    const tx = createRecord({ hash: '0x2', label: 'Mint' }, T0);
+    expect(applyReceipt(tx, { receipt: { status: 0, blockNumber: 5 }, blockNumber: 5 }).status).toBe(TX_STATUS.FAILED);
+    expect(applyReceipt(tx, { receipt: null, known: false }, T0 + 1000).status).toBe(TX_STATUS.PENDING);
+    expect(applyReceipt(tx, { receipt: null, known: false }, T0 + DROP_TIMEOUT_MS + 1).status).toBe(TX_STATUS.DROPPED);
+});
+
+test('persists records and prunes old settled ones', () => {
+    const pending = createRecord({ hash: '0xa', label: 'Approve' }, T0);
+    const oldDone = { ...createRecord({ hash: '0xb', label: 'Repay' }, T0 - 1), status: TX_STATUS.CONFIRMED };
+    let list = upsertTransaction([], oldDone);
+    list = upsertTransaction(list, pending);
+    list = upsertTransaction(list, { ...pending, confirmations: 1 });
+    expect(list).toHaveLength(2);
+
+    saveTransactions(list);
+    expect(loadTransactions()).toEqual(list);
+    expect(pruneTransactions(list, T0 + 2 * 24 * 3600 * 1000).map(tx => tx.hash)).toEqual(['0xa']);
+});
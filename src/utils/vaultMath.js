@@ -0,0 +1,222 @@
+// --- Vault Math ---
+// Pure helpers for collateral ratio and liquidation figures. Ratios and thresholds are
+// percentages (150 = 150%), amounts are human-readable token units and prices are USD.
+
+export const MIN_COLLATERAL_RATIO = 150;
+
+const toNumber = value => {
+    const n = typeof value === 'string' ? parseFloat(value) : Number(value);
+    return Number.isFinite(n) ? n : 0;
+};
+
+/** Per-collateral liquidation threshold from `/collaterals`, falling back to the protocol minimum. */
+export const getLiquidationThreshold = collateral => {
+    const threshold = toNumber(collateral?.liquidationThreshold);
+    return threshold > 0 ? threshold : MIN_COLLATERAL_RATIO;
+};
+
+/** USD price from an `/oracle/price` response. */
+export const getOracleUsdPrice = oraclePrice => {
+    if (!oraclePrice) return 0;
+    return toNumber(oraclePrice.eth_usd_price) / 10 ** toNumber(oraclePrice.decimals);
+};
+
+/**
+ * Works out where a position gets liquidated. The debt's USD value is implied by the
+ * current collateral value and ratio, so the liquidation price is the collateral price
+ * at which that debt sits exactly at the threshold.
+ *
+ * @returns {{ price: number, liquidationPrice: number, distancePct: number, debtValueUSD: number }}
+ *   `distancePct` is how far (in %) the price can fall before liquidation; 0 when already past it.
+ */
+export const computeLiquidation = ({ collateralAmount, collateralValueUSD, collateralRatio, threshold = MIN_COLLATERAL_RATIO, oraclePrice }) => {
+    const amount = toNumber(collateralAmount);
+    const value = toNumber(collateralValueUSD);
+    const ratio = toNumber(collateralRatio);
+    // Prefer the valuation the backend used for this vault; fall back to the raw feed.
+    const price = amount > 0 && value > 0 ? value / amount : toNumber(oraclePrice);
+    const debtValueUSD = ratio > 0 ? value / (ratio / 100) : 0;
+
+    if (!amount || !debtValueUSD) {
+        return { price, liquidationPrice: 0, distancePct: 0, debtValueUSD };
+    }
+    const liquidationPrice = (debtValueUSD * threshold) / 100 / amount;
+    const distancePct = price > 0 ? Math.max(0, ((price - liquidationPrice) / price) * 100) : 0;
+    return { price, liquidationPrice, distancePct, debtValueUSD };
+};
+
+// Liquidator bonus (in % of the repaid debt) when /collaterals doesn't report one.
+export const DEFAULT_LIQUIDATION_BONUS = 10;
+
+/** Per-collateral liquidator bonus from `/collaterals`. */
+export const getLiquidationBonus = collateral => {
+    const bonus = toNumber(collateral?.liquidationBonus);
+    return bonus > 0 ? bonus : DEFAULT_LIQUIDATION_BONUS;
+};
+
+/**
+ * Outcome of fully liquidating a vault at collateral price `price`: the liquidator covers all of
+ * the debt and receives its value in collateral plus `bonusPct`, capped at what the vault holds.
+ * The debt's USD value is implied by the ratio, as in `computeLiquidation`.
+ *
+ * @returns {{ debtToCover: number, debtValueUSD: number, seizedCollateral: number, seizedValueUSD: number,
+ *   bonusCollateral: number, bonusValueUSD: number, returnedCollateral: number }}
+ */
+export const previewLiquidation = ({ collateralAmount, debtAmount, collateralRatio, price, bonusPct = DEFAULT_LIQUIDATION_BONUS }) => {
+    const amount = toNumber(collateralAmount);
+    const debt = toNumber(debtAmount);
+    const ratio = toNumber(collateralRatio);
+    const unitPrice = toNumber(price);
+    const debtValueUSD = ratio > 0 ? (amount * unitPrice) / (ratio / 100) : 0;
+    if (!debt || !debtValueUSD || !unitPrice) {
+        return { debtToCover: debt, debtValueUSD, seizedCollateral: 0, seizedValueUSD: 0, bonusCollateral: 0, bonusValueUSD: 0, returnedCollateral: amount };
+    }
+    const owedCollateral = debtValueUSD / unitPrice;
+    const seizedCollateral = Math.min(amount, owedCollateral * (1 + bonusPct / 100));
+    const bonusCollateral = Math.max(0, seizedCollateral - owedCollateral);
+    return {
+        debtToCover: debt,
+        debtValueUSD,
+        seizedCollateral,
+        seizedValueUSD: seizedCollateral * unitPrice,
+        bonusCollateral,
+        bonusValueUSD: bonusCollateral * unitPrice,
+        returnedCollateral: amount - seizedCollateral,
+    };
+};
+
+/**
+ * USD price of one unit of collateral and of one tGHSX for a vault. Debt is valued at
+ * the tGHSX price implied by the current ratio; a vault with no debt yet has nothing to
+ * imply it from, so tGHSX is taken at face value like the health cards do.
+ */
+export const getPositionPrices = (vault, oraclePrice) => {
+    const collateralAmount = toNumber(vault?.collateralAmount);
+    const collateralValueUSD = toNumber(vault?.collateralValueUSD);
+    const mintedAmount = toNumber(vault?.mintedAmount);
+    const ratio = toNumber(vault?.collateralRatio);
+    return {
+        price: collateralAmount > 0 && collateralValueUSD > 0 ? collateralValueUSD / collateralAmount : toNumber(oraclePrice),
+        debtPrice: mintedAmount > 0 && ratio > 0 ? collateralValueUSD / (ratio / 100) / mintedAmount : 1,
+    };
+};
+
+/**
+ * Projects a vault after a deposit, withdraw, mint or repay of `amount`, valuing
+ * both sides with `getPositionPrices`.
+ *
+ * @param {object} params
+ * @param {'deposit'|'withdraw'|'mint'|'repay'} params.action
+ * @param {string|number} params.amount
+ * @param {object} params.vault - `/vault/status/:collateral` response.
+ * @param {object} [params.mintStatus] - `/vault/mint-status` response.
+ * @param {number} [params.threshold]
+ * @param {number} [params.oraclePrice] - Collateral USD price, used when the vault holds none yet.
+ */
+export const simulatePosition = ({ action, amount, vault, mintStatus, threshold = MIN_COLLATERAL_RATIO, oraclePrice }) => {
+    const delta = Math.max(0, toNumber(amount));
+    const collateralAmount = toNumber(vault?.collateralAmount);
+    const mintedAmount = toNumber(vault?.mintedAmount);
+    const remainingDaily = toNumber(mintStatus?.remainingDaily);
+
+    const { price, debtPrice } = getPositionPrices(vault, oraclePrice);
+
+    let nextCollateral = collateralAmount;
+    let nextMinted = mintedAmount;
+    let nextRemaining = remainingDaily;
+    const errors = [];
+
+    if (action === 'deposit') nextCollateral += delta;
+    if (action === 'withdraw') {
+        if (delta > collateralAmount) errors.push('Amount exceeds your deposited collateral.');
+        nextCollateral = Math.max(0, collateralAmount - delta);
+    }
+    if (action === 'mint') {
+        if (mintStatus && delta > remainingDaily) errors.push('Amount exceeds your remaining daily mint limit.');
+        nextMinted += delta;
+        nextRemaining = Math.max(0, remainingDaily - delta);
+    }
+    if (action === 'repay') {
+        if (delta > mintedAmount) errors.push('Amount exceeds your outstanding debt.');
+        nextMinted = Math.max(0, mintedAmount - delta);
+    }
+
+    const position = (coll, minted) => {
+        const valueUSD = coll * price;
+        const debtUSD = minted * debtPrice;
+        return {
+            collateralAmount: coll,
+            collateralValueUSD: valueUSD,
+            mintedAmount: minted,
+            // No debt means the position can't be liquidated at any ratio.
+            collateralRatio: debtUSD > 0 ? (valueUSD / debtUSD) * 100 : Infinity,
+            liquidationPrice: debtUSD > 0 && coll > 0 ? (debtUSD * threshold) / 100 / coll : 0,
+        };
+    };
+
+    const after = { ...position(nextCollateral, nextMinted), remainingDaily: nextRemaining };
+    // Only actions that add risk can be blocked by the threshold; deposits and repays always help.
+    const belowThreshold = (action === 'withdraw' || action === 'mint') && after.collateralRatio < threshold;
+
+    return {
+        before: { ...position(collateralAmount, mintedAmount), remainingDaily },
+        after,
+        belowThreshold,
+        errors,
+    };
+};
+
+/**
+ * Largest amount the user can send for an action.
+ * - deposit: the wallet's collateral balance
+ * - withdraw: what can leave while the ratio stays at or above `targetRatio`
+ * - mint: the lesser of the remaining daily limit and the ratio-safe maximum
+ * - repay: the outstanding debt, capped by the wallet's tGHSX balance
+ *
+ * @returns {{ max: number, exact: (string|null), roundUp?: boolean }} `exact` carries the untouched
+ *   balance string when the max is a full balance, so "Max" doesn't leave dust behind. `roundUp`
+ *   marks a debt figure, which must be rounded up to the token precision to clear it.
+ */
+export const computeMaxAmount = ({ action, vault, mintStatus, walletBalance, tghsxBalance, targetRatio = MIN_COLLATERAL_RATIO, oraclePrice }) => {
+    const collateralAmount = toNumber(vault?.collateralAmount);
+    const mintedAmount = toNumber(vault?.mintedAmount);
+    const { price, debtPrice } = getPositionPrices(vault, oraclePrice);
+    const debtUSD = mintedAmount * debtPrice;
+    const target = Math.max(toNumber(targetRatio), 1);
+
+    switch (action) {
+        case 'deposit':
+            return { max: toNumber(walletBalance), exact: walletBalance ?? null };
+        case 'withdraw': {
+            if (!debtUSD) return { max: collateralAmount, exact: null };
+            if (!price) return { max: 0, exact: null };
+            return { max: Math.max(0, collateralAmount - (debtUSD * target) / 100 / price), exact: null };
+        }
+        case 'mint': {
+            const ratioSafe = Math.max(0, (collateralAmount * price * 100) / (target * debtPrice) - mintedAmount);
+            const remaining = mintStatus ? toNumber(mintStatus.remainingDaily) : Infinity;
+            return { max: Math.min(ratioSafe, remaining), exact: null };
+        }
+        case 'repay': {
+            const balance = toNumber(tghsxBalance);
+            return balance < mintedAmount ? { max: balance, exact: tghsxBalance ?? null } : { max: mintedAmount, exact: null, roundUp: true };
+        }
+        default:
+            return { max: 0, exact: null };
+    }
+};
+
+/**
+ * Formats an amount for an input, rounding down so it never exceeds what was computed, or up
+ * (`roundUp`) for debts, where rounding down would leave dust that can't be repaid.
+ */
+export const toAmountInput = (value, decimals = 18, { roundUp = false } = {}) => {
+    if (!(value > 0)) return '0';
+    const digits = Math.min(decimals, 8);
+    const factor = 10 ** digits;
+    // toPrecision drops float noise first, so 1.5 doesn't round up to 1.500001 and 0.29
+    // (0.28999999999999998 in binary) doesn't round down to 0.28999999.
+    const scaled = Number((value * factor).toPrecision(15));
+    const units = roundUp ? Math.ceil(scaled) : Math.floor(scaled);
+    return (units / factor).toFixed(digits).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
+};
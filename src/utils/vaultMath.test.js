@@ -0,0 +1,109 @@
+import { computeLiquidation, getLiquidationThreshold, getOracleUsdPrice, simulatePosition, computeMaxAmount, toAmountInput, MIN_COLLATERAL_RATIO } from './vaultMath';
+
+test('liquidation price puts the debt exactly at the threshold', () => {
+    // 2 units worth $3000 backing $1000 of debt => 300% ratio.
+    const result = computeLiquidation({ collateralAmount: '2', collateralValueUSD: '3000', collateralRatio: '300', threshold: 150 });
+
+    expect(result.price).toBe(1500);
+    expect(result.debtValueUSD).toBeCloseTo(1000);
+    expect(result.liquidationPrice).toBeCloseTo(750);
+    expect(result.distancePct).toBeCloseTo(50);
+});
+
+test('reports no liquidation price without debt or collateral', () => {
+    expect(computeLiquidation({ collateralAmount: '2', collateralValueUSD: '3000', collateralRatio: '0' }).liquidationPrice).toBe(0);
+    expect(computeLiquidation({ collateralAmount: '0', collateralValueUSD: '0', collateralRatio: '0', oraclePrice: 1800 }).price).toBe(1800);
+});
+
+test('clamps the distance once the price is past liquidation', () => {
+    const result = computeLiquidation({ collateralAmount: '1', collateralValueUSD: '1200', collateralRatio: '120', threshold: 150 });
+    expect(result.liquidationPrice).toBeCloseTo(1500);
+    expect(result.distancePct).toBe(0);
+});
+
+test('reads thresholds and oracle prices defensively', () => {
+    expect(getLiquidationThreshold({ liquidationThreshold: '130' })).toBe(130);
+    expect(getLiquidationThreshold({})).toBe(MIN_COLLATERAL_RATIO);
+    expect(getOracleUsdPrice({ eth_usd_price: '250000000000', decimals: 8 })).toBe(2500);
+    expect(getOracleUsdPrice(null)).toBe(0);
+});
+
+describe('simulatePosition', () => {
+    // 2 units at $1500 against 1000 tGHSX => 300%.
+    const vault = { collateralAmount: '2', collateralValueUSD: '3000', mintedAmount: '1000', collateralRatio: '300' };
+    const mintStatus = { dailyMinted: '0', remainingDaily: '800' };
+
+    test('projects ratio, liquidation price and daily allowance after a mint', () => {
+        const { before, after, belowThreshold, errors } = simulatePosition({ action: 'mint', amount: '500', vault, mintStatus });
+
+        expect(before.collateralRatio).toBeCloseTo(300);
+        expect(after.mintedAmount).toBe(1500);
+        expect(after.collateralRatio).toBeCloseTo(200);
+        expect(after.liquidationPrice).toBeCloseTo(1125);
+        expect(after.remainingDaily).toBe(300);
+        expect(belowThreshold).toBe(false);
+        expect(errors).toEqual([]);
+    });
+
+    test('flags withdrawals that drop below the threshold', () => {
+        const { after, belowThreshold } = simulatePosition({ action: 'withdraw', amount: '1.2', vault });
+        expect(after.collateralRatio).toBeCloseTo(120);
+        expect(belowThreshold).toBe(true);
+    });
+
+    test('never blocks a deposit or repay on ratio alone', () => {
+        const risky = { ...vault, collateralValueUSD: '1200', collateralRatio: '120' };
+        expect(simulatePosition({ action: 'deposit', amount: '0.1', vault: risky }).belowThreshold).toBe(false);
+        expect(simulatePosition({ action: 'repay', amount: '100', vault: risky }).belowThreshold).toBe(false);
+    });
+
+    test('reports amounts beyond what the vault or limits allow', () => {
+        expect(simulatePosition({ action: 'mint', amount: '900', vault, mintStatus }).errors).toHaveLength(1);
+        expect(simulatePosition({ action: 'repay', amount: '1001', vault }).errors).toHaveLength(1);
+        expect(simulatePosition({ action: 'withdraw', amount: '3', vault }).errors).toHaveLength(1);
+    });
+
+    test('values a first mint at face value using the oracle price', () => {
+        const empty = { collateralAmount: '0', collateralValueUSD: '0', mintedAmount: '0', collateralRatio: '0' };
+        const deposited = simulatePosition({ action: 'deposit', amount: '1', vault: empty, oraclePrice: 1500 });
+        expect(deposited.after.collateralValueUSD).toBe(1500);
+        expect(deposited.after.collateralRatio).toBe(Infinity);
+    });
+});
+
+describe('computeMaxAmount', () => {
+    const vault = { collateralAmount: '2', collateralValueUSD: '3000', mintedAmount: '1000', collateralRatio: '300' };
+
+    test('withdraw max keeps the target ratio', () => {
+        const { max } = computeMaxAmount({ action: 'withdraw', vault, targetRatio: 200 });
+        expect(max).toBeCloseTo(2 / 3);
+        expect(simulatePosition({ action: 'withdraw', amount: max, vault }).after.collateralRatio).toBeCloseTo(200);
+    });
+
+    test('mint max is capped by the daily limit or the ratio, whichever is lower', () => {
+        expect(computeMaxAmount({ action: 'mint', vault, targetRatio: 200, mintStatus: { remainingDaily: '800' } }).max).toBeCloseTo(500);
+        expect(computeMaxAmount({ action: 'mint', vault, targetRatio: 200, mintStatus: { remainingDaily: '100' } }).max).toBe(100);
+    });
+
+    test('deposit and repay use exact balances', () => {
+        expect(computeMaxAmount({ action: 'deposit', walletBalance: '1.123456789012345678' })).toEqual({ max: 1.1234567890123457, exact: '1.123456789012345678' });
+        expect(computeMaxAmount({ action: 'repay', vault, tghsxBalance: '400.5' })).toEqual({ max: 400.5, exact: '400.5' });
+        expect(computeMaxAmount({ action: 'repay', vault, tghsxBalance: '5000' })).toEqual({ max: 1000, exact: null, roundUp: true });
+    });
+
+    test('input values round down to the token precision', () => {
+        expect(toAmountInput(2 / 3, 6)).toBe('0.666666');
+        expect(toAmountInput(500, 6)).toBe('500');
+        expect(toAmountInput(-1)).toBe('0');
+        expect(toAmountInput(500, 0)).toBe('500');
+        expect(toAmountInput(1.5, 6)).toBe('1.5');
+        expect(toAmountInput(0.29)).toBe('0.29');
+        expect(toAmountInput(1.005)).toBe('1.005');
+    });
+
+    test('debts round up so repaying them leaves no dust', () => {
+        expect(toAmountInput(2 / 3, 6, { roundUp: true })).toBe('0.666667');
+        expect(toAmountInput(1.5, 6, { roundUp: true })).toBe('1.5');
+        expect(toAmountInput(0.1 + 0.2, 6, { roundUp: true })).toBe('0.3');
+    });
+});
@@ -0,0 +1,37 @@
+import { CHAIN_ID, CHAIN_NAME, NATIVE_CURRENCY_NAME, NATIVE_CURRENCY_SYMBOL, CHAIN_IS_TESTNET, RPC_URL, EXPLORER_URL } from '../config';
+
+// --- Target Chain ---
+// Parameters for wallet_switchEthereumChain / wallet_addEthereumChain.
+
+export const TARGET_CHAIN = {
+    chainId: CHAIN_ID,
+    chainIdHex: `0x${CHAIN_ID.toString(16)}`,
+    chainName: CHAIN_NAME,
+    rpcUrls: [RPC_URL],
+    nativeCurrency: { name: NATIVE_CURRENCY_NAME, symbol: NATIVE_CURRENCY_SYMBOL, decimals: 18 },
+    blockExplorerUrls: [EXPLORER_URL],
+    isTestnet: CHAIN_IS_TESTNET,
+};
+
+/** Asks the wallet to switch to the target chain, adding it first if the wallet doesn't know it. */
+export async function switchToTargetChain(ethereum) {
+    try {
+        await ethereum.request({
+            method: 'wallet_switchEthereumChain',
+            params: [{ chainId: TARGET_CHAIN.chainIdHex }],
+        });
+    } catch (switchError) {
+        // This error code indicates that the chain has not been added to MetaMask.
+        if (switchError.code !== 4902) throw switchError;
+        await ethereum.request({
+            method: 'wallet_addEthereumChain',
+            params: [{
+                chainId: TARGET_CHAIN.chainIdHex,
+                chainName: TARGET_CHAIN.chainName,
+                rpcUrls: TARGET_CHAIN.rpcUrls,
+                nativeCurrency: TARGET_CHAIN.nativeCurrency,
+                blockExplorerUrls: TARGET_CHAIN.blockExplorerUrls,
+            }],
+        });
+    }
+}
@@ -0,0 +1,45 @@
+import { TARGET_CHAIN, switchToTargetChain } from './chains';
+
+const ethereumWith = switchError => ({
+    request: jest.fn(async ({ method }) => {
+        if (method === 'wallet_switchEthereumChain' && switchError) throw switchError;
+        return null;
+    }),
+});
+
+test('builds the target chain from config with the Amoy fallbacks', () => {
+    expect(TARGET_CHAIN).toMatchObject({
+        chainId: 80002,
+        chainIdHex: '0x13882',
+        chainName: 'Polygon Amoy',
+        nativeCurrency: { name: 'POL', symbol: 'POL', decimals: 18 },
+        isTestnet: true,
+    });
+});
+
+test('switches to the target chain when the wallet knows it', async () => {
+    const ethereum = ethereumWith(null);
+    await switchToTargetChain(ethereum);
+    expect(ethereum.request.mock.calls.map(([{ method }]) => method)).toEqual(['wallet_switchEthereumChain']);
+});
+
+test('adds the chain with the configured name and currency when the wallet lacks it', async () => {
+    const ethereum = ethereumWith(Object.assign(new Error('Unrecognized chain ID'), { code: 4902 }));
+    await switchToTargetChain(ethereum);
+    expect(ethereum.request).toHaveBeenLastCalledWith({
+        method: 'wallet_addEthereumChain',
+        params: [{
+            chainId: '0x13882',
+            chainName: TARGET_CHAIN.chainName,
+            rpcUrls: TARGET_CHAIN.rpcUrls,
+            nativeCurrency: TARGET_CHAIN.nativeCurrency,
+            blockExplorerUrls: TARGET_CHAIN.blockExplorerUrls,
+        }],
+    });
+});
+
+test('passes on other switch errors, such as a rejected prompt', async () => {
+    const ethereum = ethereumWith(Object.assign(new Error('User rejected the request.'), { code: 4001 }));
+    await expect(switchToTargetChain(ethereum)).rejects.toMatchObject({ code: 4001 });
+    expect(ethereum.request).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,43 @@
+// --- Wallet Discovery (EIP-6963) ---
+// Injected wallets answer an `eip6963:requestProvider` event with `eip6963:announceProvider`,
+// so several extensions can coexist instead of fighting over window.ethereum.
+
+export const WALLETCONNECT_ID = 'walletconnect';
+export const LEGACY_INJECTED_ID = 'injected';
+const STORAGE_KEY = 'lastWalletConnector';
+
+// Wallets that predate EIP-6963 only set window.ethereum.
+const legacyWallet = ethereum => ({
+    id: LEGACY_INJECTED_ID,
+    name: ethereum.isMetaMask ? 'MetaMask' : 'Browser Wallet',
+    icon: null,
+    provider: ethereum,
+});
+
+/**
+ * Calls `onChange(wallets)` with every wallet found so far, each `{ id, name, icon, provider }`
+ * where `provider` is an EIP-1193 provider. Returns a function that stops listening.
+ */
+export function discoverWallets(onChange, target = window) {
+    const found = new Map();
+    const emit = () => {
+        const wallets = [...found.values()];
+        onChange(!wallets.length && target.ethereum ? [legacyWallet(target.ethereum)] : wallets);
+    };
+    const handleAnnounce = event => {
+        const { info, provider } = event.detail || {};
+        if (!info?.rdns || !provider) return;
+        found.set(info.rdns, { id: info.rdns, name: info.name, icon: info.icon, provider });
+        emit();
+    };
+    target.addEventListener('eip6963:announceProvider', handleAnnounce);
+    target.dispatchEvent(new Event('eip6963:requestProvider'));
+    emit();
+    return () => target.removeEventListener('eip6963:announceProvider', handleAnnounce);
+}
+
+// --- Last-used connector ---
+
+export const loadLastConnector = () => localStorage.getItem(STORAGE_KEY);
+export const saveLastConnector = id => localStorage.setItem(STORAGE_KEY, id);
+export const clearLastConnector = () => localStorage.removeItem(STORAGE_KEY);
@@ -0,0 +1,37 @@
+import { discoverWallets, loadLastConnector, saveLastConnector, clearLastConnector, LEGACY_INJECTED_ID } from './eip6963';
+
+const announce = (target, rdns, name) => {
+    const provider = { request: jest.fn() };
+    target.dispatchEvent(new CustomEvent('eip6963:announceProvider', { detail: { info: { rdns, name, icon: 'data:,' }, provider } }));
+    return provider;
+};
+
+test('collects announced wallets and de-duplicates by rdns', () => {
+    const target = new EventTarget();
+    const onChange = jest.fn();
+    target.addEventListener('eip6963:requestProvider', () => announce(target, 'io.metamask', 'MetaMask'));
+    const stop = discoverWallets(onChange, target);
+
+    announce(target, 'com.coinbase.wallet', 'Coinbase Wallet');
+    announce(target, 'io.metamask', 'MetaMask');
+    expect(onChange.mock.calls.at(-1)[0].map(w => w.id)).toEqual(['io.metamask', 'com.coinbase.wallet']);
+
+    stop();
+    announce(target, 'app.rabby', 'Rabby');
+    expect(onChange.mock.calls.at(-1)[0]).toHaveLength(2);
+});
+
+test('falls back to window.ethereum when nothing announces', () => {
+    const target = new EventTarget();
+    target.ethereum = { isMetaMask: true, request: jest.fn() };
+    const onChange = jest.fn();
+    discoverWallets(onChange, target)();
+    expect(onChange).toHaveBeenLastCalledWith([expect.objectContaining({ id: LEGACY_INJECTED_ID, name: 'MetaMask', provider: target.ethereum })]);
+});
+
+test('remembers the last connector', () => {
+    saveLastConnector('io.metamask');
+    expect(loadLastConnector()).toBe('io.metamask');
+    clearLastConnector();
+    expect(loadLastConnector()).toBeNull();
+});
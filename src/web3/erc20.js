@@ -0,0 +1,95 @@
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.js";
+import { TARGET_CHAIN } from './chains';
+
+// --- ERC20 Helpers ---
+// Allowance checks, approvals and EIP-2612 permit signatures for vault deposits.
+
+export const ERC20_ABI = [
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function balanceOf(address owner) view returns (uint256)",
+    "function decimals() view returns (uint8)",
+    "function symbol() view returns (string)",
+    "function name() view returns (string)",
+    "function nonces(address owner) view returns (uint256)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function version() view returns (string)"
+];
+
+export const APPROVAL_MODES = { EXACT: 'exact', UNLIMITED: 'unlimited', PERMIT: 'permit' };
+
+// Wallets and tokens differ on what "unlimited" means, so anything above half the range counts.
+export const isUnlimitedAllowance = allowance => allowance.gte(ethers.constants.MaxUint256.div(2));
+
+export const getErc20 = (address, signerOrProvider) => new ethers.Contract(address, ERC20_ABI, signerOrProvider);
+
+/** True when the token exposes the EIP-2612 `nonces`/`DOMAIN_SEPARATOR` pair. */
+export async function supportsPermit(token, owner) {
+    try {
+        await Promise.all([token.nonces(owner), token.DOMAIN_SEPARATOR()]);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Approves `spender` only when the current allowance can't cover `amount`.
+ * Returns the mined approval receipt, or null when no approval was needed.
+ */
+export async function ensureAllowance({ token, owner, spender, amount, mode = APPROVAL_MODES.EXACT, onSubmitted }) {
+    const current = await token.allowance(owner, spender);
+    if (current.gte(amount)) return null;
+    const value = mode === APPROVAL_MODES.UNLIMITED ? ethers.constants.MaxUint256 : amount;
+    const tx = await token.approve(spender, value);
+    if (onSubmitted) onSubmitted(tx);
+    return tx.wait();
+}
+
+/**
+ * Signs an EIP-2612 permit for `value`. Nothing is sent on-chain; the vault consumes
+ * the signature in the same transaction as the deposit.
+ */
+export async function signPermit({ token, signer, spender, value, deadline }) {
+    const owner = await signer.getAddress();
+    const [name, nonce, network] = await Promise.all([token.name(), token.nonces(owner), signer.provider.getNetwork()]);
+    // Most OpenZeppelin-based tokens use "1" and don't expose version().
+    const version = await token.version().catch(() => '1');
+    const domain = { name, version, chainId: network.chainId, verifyingContract: token.address };
+    const types = {
+        Permit: [
+            { name: 'owner', type: 'address' },
+            { name: 'spender', type: 'address' },
+            { name: 'value', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' },
+        ],
+    };
+    const signature = await signer._signTypedData(domain, types, { owner, spender, value, nonce, deadline });
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    return { v, r, s, deadline };
+}
+
+/**
+ * Reads `symbol()` and `decimals()` through `provider` to confirm `address` is an ERC20 there.
+ * Throws a readable error for a non-contract address or a contract that isn't a token.
+ */
+export async function readTokenMetadata(address, provider) {
+    const code = await provider.getCode(address);
+    if (!code || code === '0x') throw new Error(`No contract is deployed at this address on ${TARGET_CHAIN.chainName}.`);
+    const token = getErc20(address, provider);
+    try {
+        const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+        return { symbol, decimals };
+    } catch (err) {
+        throw new Error('This contract does not expose ERC20 symbol() and decimals().');
+    }
+}
+
+/** Current allowance granted to `spender` for each token address, skipping tokens that fail to read. */
+export async function readAllowances(tokenAddresses, owner, spender, provider) {
+    const results = await Promise.allSettled(tokenAddresses.map(address => getErc20(address, provider).allowance(owner, spender)));
+    return tokenAddresses
+        .map((address, i) => ({ address, allowance: results[i].status === 'fulfilled' ? results[i].value : null }))
+        .filter(entry => entry.allowance !== null);
+}
@@ -0,0 +1,75 @@
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.js";
+import { ensureAllowance, signPermit, readAllowances, APPROVAL_MODES } from './erc20';
+
+const OWNER = '0x52908400098527886E0F7030069857D2E4169EE7';
+const VAULT = '0x8617E340B3D01FA5F11F306F4090FD50E238070D';
+const WETH = '0x1111111111111111111111111111111111111111';
+const USDC = '0x2222222222222222222222222222222222222222';
+const { BigNumber } = ethers;
+
+const mockToken = allowance => {
+    const receipt = { status: 1 };
+    const mined = jest.fn(async () => receipt);
+    const tx = { hash: '0xabc', wait: mined };
+    return { tx, mined, receipt, token: { address: WETH, allowance: jest.fn(async () => BigNumber.from(allowance)), approve: jest.fn(async () => tx) } };
+};
+
+test('skips the approval when the allowance already covers the amount', async () => {
+    const { token } = mockToken(500);
+    expect(await ensureAllowance({ token, owner: OWNER, spender: VAULT, amount: BigNumber.from(500) })).toBeNull();
+    expect(token.allowance).toHaveBeenCalledWith(OWNER, VAULT);
+    expect(token.approve).not.toHaveBeenCalled();
+});
+
+test('approves the amount (or unlimited) and waits for it to be mined', async () => {
+    const { token, tx, mined, receipt } = mockToken(100);
+    const onSubmitted = jest.fn();
+    expect(await ensureAllowance({ token, owner: OWNER, spender: VAULT, amount: BigNumber.from(500), onSubmitted })).toBe(receipt);
+    expect(token.approve).toHaveBeenCalledWith(VAULT, BigNumber.from(500));
+    expect(onSubmitted).toHaveBeenCalledWith(tx);
+    expect(mined).toHaveBeenCalled();
+
+    await ensureAllowance({ token, owner: OWNER, spender: VAULT, amount: BigNumber.from(500), mode: APPROVAL_MODES.UNLIMITED });
+    expect(token.approve).toHaveBeenLastCalledWith(VAULT, ethers.constants.MaxUint256);
+});
+
+test('signs a permit for the token domain and returns the deadline', async () => {
+    const wallet = new ethers.Wallet(`0x${'11'.repeat(32)}`);
+    const token = {
+        address: WETH,
+        name: jest.fn(async () => 'Wrapped Ether'),
+        nonces: jest.fn(async () => BigNumber.from(3)),
+        version: jest.fn(async () => { throw new Error('call revert exception'); }),
+    };
+    const signer = {
+        getAddress: () => wallet.getAddress(),
+        provider: { getNetwork: async () => ({ chainId: 80002 }) },
+        _signTypedData: jest.fn((domain, types, value) => wallet._signTypedData(domain, types, value)),
+    };
+    const deadline = 1_700_000_600;
+
+    const permit = await signPermit({ token, signer, spender: VAULT, value: BigNumber.from(500), deadline });
+
+    const [domain, types, value] = signer._signTypedData.mock.calls[0];
+    expect(domain).toEqual({ name: 'Wrapped Ether', version: '1', chainId: 80002, verifyingContract: WETH });
+    expect(value).toMatchObject({ owner: wallet.address, spender: VAULT, nonce: BigNumber.from(3), deadline });
+    expect(permit.deadline).toBe(deadline);
+    const signature = ethers.utils.joinSignature({ v: permit.v, r: permit.r, s: permit.s });
+    expect(ethers.utils.verifyTypedData(domain, types, value, signature)).toBe(wallet.address);
+});
+
+test('reads allowances per token and skips tokens that fail', async () => {
+    const iface = new ethers.utils.Interface(['function allowance(address owner, address spender) view returns (uint256)']);
+    const provider = {
+        _isProvider: true,
+        call: jest.fn(async ({ to }) => {
+            if (to === USDC) throw new Error('call revert exception');
+            return iface.encodeFunctionResult('allowance', [700]);
+        }),
+    };
+
+    const allowances = await readAllowances([WETH, USDC], OWNER, VAULT, provider);
+
+    expect(allowances).toEqual([{ address: WETH, allowance: BigNumber.from(700) }]);
+    expect([...iface.decodeFunctionData('allowance', provider.call.mock.calls[0][0].data)]).toEqual([OWNER, VAULT]);
+});
@@ -0,0 +1,12 @@
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.js";
+import { RPC_URL } from '../config';
+
+// Shared read-only provider for reads that shouldn't depend on a connected wallet
+// (token metadata on the history page, receipts for transactions restored after a reload).
+let readOnlyProvider = null;
+
+export const getReadProvider = provider => {
+    if (provider) return provider;
+    if (!readOnlyProvider) readOnlyProvider = new ethers.providers.JsonRpcProvider(RPC_URL);
+    return readOnlyProvider;
+};
@@ -0,0 +1,64 @@
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.js";
+import { VAULT_ADDRESS } from '../config';
+
+// --- On-chain Vault Events ---
+// CollateralVault events that change a user's position. Keep in sync with the contract.
+
+const VAULT_EVENTS_ABI = [
+    "event CollateralDeposited(address indexed user, address indexed collateral, uint256 amount)",
+    "event CollateralWithdrawn(address indexed user, address indexed collateral, uint256 amount)",
+    "event TokensMinted(address indexed user, address indexed collateral, uint256 amount)",
+    "event TokensBurned(address indexed user, address indexed collateral, uint256 amount)",
+    "event AutoMintExecuted(address indexed user, address indexed collateral, uint256 amount)",
+    "event VaultLiquidated(address indexed user, address indexed collateral, address indexed liquidator, uint256 debtCovered, uint256 collateralSeized)"
+];
+
+const EVENT_NAMES = ['CollateralDeposited', 'CollateralWithdrawn', 'TokensMinted', 'TokensBurned', 'AutoMintExecuted', 'VaultLiquidated'];
+
+/**
+ * Calls `onEvent({ name, collateral, txHash })` for every vault event about `user`.
+ * Returns an unsubscribe function.
+ */
+export function subscribeToVaultEvents(provider, user, onEvent) {
+    const vault = new ethers.Contract(VAULT_ADDRESS, VAULT_EVENTS_ABI, provider);
+    const listeners = EVENT_NAMES.map(name => {
+        const filter = vault.filters[name](user);
+        const listener = (...args) => {
+            const event = args[args.length - 1];
+            onEvent({ name, collateral: event.args.collateral, txHash: event.transactionHash });
+        };
+        vault.on(filter, listener);
+        return [filter, listener];
+    });
+    return () => listeners.forEach(([filter, listener]) => vault.off(filter, listener));
+}
+
+// Public RPCs cap the block range of eth_getLogs, so a range is read in windows of this size.
+export const LOG_WINDOW_BLOCKS = 10000;
+
+/**
+ * `AutoMintExecuted` events for `user` in blocks `fromBlock`..`toBlock` (inclusive), newest first,
+ * as `{ collateral, amount, txHash, blockNumber, timestamp }` with `amount` in tGHSX base units
+ * (a decimal string) and `timestamp` in milliseconds. Callers page through history by range.
+ */
+export async function getAutoMintHistory(provider, user, { fromBlock, toBlock }) {
+    const vault = new ethers.Contract(VAULT_ADDRESS, VAULT_EVENTS_ABI, provider);
+    const filter = vault.filters.AutoMintExecuted(user);
+    const windows = [];
+    for (let start = fromBlock; start <= toBlock; start += LOG_WINDOW_BLOCKS) {
+        windows.push([start, Math.min(toBlock, start + LOG_WINDOW_BLOCKS - 1)]);
+    }
+    const events = (await Promise.all(windows.map(([from, to]) => vault.queryFilter(filter, from, to)))).flat();
+    const blockNumbers = [...new Set(events.map(event => event.blockNumber))];
+    const blocks = await Promise.all(blockNumbers.map(number => provider.getBlock(number)));
+    const timestamps = Object.fromEntries(blocks.map(block => [block.number, block.timestamp * 1000]));
+    return events
+        .map(event => ({
+            collateral: event.args.collateral,
+            amount: event.args.amount.toString(),
+            txHash: event.transactionHash,
+            blockNumber: event.blockNumber,
+            timestamp: timestamps[event.blockNumber],
+        }))
+        .sort((a, b) => b.blockNumber - a.blockNumber);
+}
@@ -0,0 +1,44 @@
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.js";
+import { getAutoMintHistory, LOG_WINDOW_BLOCKS } from './vaultEvents';
+import { VAULT_ADDRESS } from '../config';
+
+const USER = '0x52908400098527886E0F7030069857D2E4169EE7';
+const WETH = '0x1111111111111111111111111111111111111111';
+const iface = new ethers.utils.Interface(['event AutoMintExecuted(address indexed user, address indexed collateral, uint256 amount)']);
+
+const autoMintLog = (blockNumber, amount) => ({
+    ...iface.encodeEventLog(iface.getEvent('AutoMintExecuted'), [USER, WETH, amount]),
+    address: VAULT_ADDRESS,
+    blockNumber,
+    blockHash: ethers.utils.hexZeroPad(ethers.utils.hexlify(blockNumber), 32),
+    transactionHash: ethers.utils.hexZeroPad(ethers.utils.hexlify(blockNumber + 1), 32),
+    transactionIndex: 0,
+    logIndex: 0,
+    removed: false,
+});
+
+// Minimal read provider that serves logs by block range, like a capped eth_getLogs.
+const mockProvider = logs => ({
+    _isProvider: true,
+    getLogs: jest.fn(async ({ fromBlock, toBlock }) => {
+        if (toBlock - fromBlock + 1 > LOG_WINDOW_BLOCKS) throw new Error('block range too large');
+        return logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+    }),
+    getBlock: jest.fn(async number => ({ number, timestamp: 1_700_000_000 + number })),
+});
+
+test('reads a block range in capped windows and returns rewards newest first', async () => {
+    const provider = mockProvider([autoMintLog(1500, 15000000), autoMintLog(24000, 7500000), autoMintLog(40000, 1)]);
+    const history = await getAutoMintHistory(provider, USER, { fromBlock: 1000, toBlock: 25000 });
+
+    const ranges = provider.getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock]);
+    expect(ranges).toEqual([[1000, 10999], [11000, 20999], [21000, 25000]]);
+    expect(history.map(entry => entry.blockNumber)).toEqual([24000, 1500]);
+    expect(history[0]).toMatchObject({ collateral: WETH, amount: '7500000', timestamp: (1_700_000_000 + 24000) * 1000 });
+});
+
+test('makes no log requests for an empty range', async () => {
+    const provider = mockProvider([]);
+    expect(await getAutoMintHistory(provider, USER, { fromBlock: 10, toBlock: 9 })).toEqual([]);
+    expect(provider.getLogs).not.toHaveBeenCalled();
+});
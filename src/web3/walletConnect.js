@@ -0,0 +1,31 @@
+import { CHAIN_ID, RPC_URL, WALLETCONNECT_PROJECT_ID } from '../config';
+import { TARGET_CHAIN } from './chains';
+
+// --- WalletConnect v2 ---
+// Split into its own chunk and loaded on first use, so desktop users never download it.
+
+let providerPromise = null;
+
+export const isWalletConnectEnabled = () => !!WALLETCONNECT_PROJECT_ID;
+
+/** Shared EIP-1193 provider backed by WalletConnect. Restores the previous session if there is one. */
+export function getWalletConnectProvider() {
+    if (!providerPromise) {
+        providerPromise = import('@walletconnect/ethereum-provider')
+            .then(({ EthereumProvider }) => EthereumProvider.init({
+                projectId: WALLETCONNECT_PROJECT_ID,
+                chains: [CHAIN_ID],
+                rpcMap: { [CHAIN_ID]: RPC_URL },
+                showQrModal: true,
+                metadata: {
+                    name: 'tGHSX',
+                    description: `tGHSX vaults on ${TARGET_CHAIN.chainName}`,
+                    url: window.location.origin,
+                    icons: [`${window.location.origin}/favicon.ico`],
+                },
+            }));
+        // Let the next attempt retry after a failed chunk load.
+        providerPromise.catch(() => { providerPromise = null; });
+    }
+    return providerPromise;
+}